@@ -0,0 +1,174 @@
+// Compares the old brute-force collision pass with the spatial hash broad-phase.
+// Usage: pnpm bench [players] [food] [ticks]
+import { SpatialHash } from '../src/spatialHash';
+
+interface Body {
+  id: number;
+  x: number;
+  y: number;
+  radius: number;
+  mass: number;
+}
+
+const WORLD_SIZE = 5000;
+const playerCount = Number(process.argv[2]) || 200;
+const foodCount = Number(process.argv[3]) || 10000;
+const ticks = Number(process.argv[4]) || 100;
+
+let nextId = 0;
+
+function massToRadius(mass: number): number {
+  return Math.sqrt(mass) * 2;
+}
+
+function createFood(): Body {
+  return {
+    id: nextId++,
+    x: Math.random() * WORLD_SIZE,
+    y: Math.random() * WORLD_SIZE,
+    radius: 5,
+    mass: 1
+  };
+}
+
+function createWorld(): { players: Body[]; food: Body[] } {
+  const players: Body[] = [];
+  for (let i = 0; i < playerCount; i++) {
+    const mass = 100 + Math.random() * 2000;
+    players.push({
+      id: i,
+      x: Math.random() * WORLD_SIZE,
+      y: Math.random() * WORLD_SIZE,
+      radius: massToRadius(mass),
+      mass
+    });
+  }
+
+  const food: Body[] = [];
+  for (let i = 0; i < foodCount; i++) {
+    food.push(createFood());
+  }
+
+  return { players, food };
+}
+
+function cloneWorld(world: { players: Body[]; food: Body[] }): { players: Body[]; food: Body[] } {
+  return {
+    players: world.players.map((p) => ({ ...p })),
+    food: world.food.map((f) => ({ ...f }))
+  };
+}
+
+function wander(players: Body[], seed: number): void {
+  players.forEach((player, i) => {
+    const angle = seed * 0.1 + i;
+    player.x = Math.max(player.radius, Math.min(WORLD_SIZE - player.radius, player.x + Math.cos(angle) * 5));
+    player.y = Math.max(player.radius, Math.min(WORLD_SIZE - player.radius, player.y + Math.sin(angle) * 5));
+  });
+}
+
+function distance(a: Body, b: Body): number {
+  const dx = a.x - b.x;
+  const dy = a.y - b.y;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// The collision pass as it was before the spatial index: O(P·F + P²) with splice/push
+function bruteForceTick(players: Body[], food: Body[]): void {
+  for (const player of players) {
+    for (let i = food.length - 1; i >= 0; i--) {
+      if (distance(player, food[i]) < player.radius + food[i].radius) {
+        player.mass += food[i].mass;
+        player.radius = massToRadius(player.mass);
+        food.splice(i, 1);
+        food.push(createFood());
+      }
+    }
+  }
+
+  for (let i = 0; i < players.length; i++) {
+    for (let j = i + 1; j < players.length; j++) {
+      const p1 = players[i];
+      const p2 = players[j];
+      if (p1.mass === 0 || p2.mass === 0) continue;
+      if (distance(p1, p2) < p1.radius + p2.radius) {
+        if (p1.mass > p2.mass * 1.1) {
+          p1.mass += p2.mass;
+          p2.mass = 0;
+        } else if (p2.mass > p1.mass * 1.1) {
+          p2.mass += p1.mass;
+          p1.mass = 0;
+        }
+      }
+    }
+  }
+}
+
+function indexedTick(players: Body[], foodIndex: SpatialHash<Body>, playerIndex: SpatialHash<Body>): void {
+  for (const player of players) {
+    playerIndex.update(player);
+  }
+
+  for (const player of players) {
+    for (const food of foodIndex.query(player.x, player.y, player.radius)) {
+      if (distance(player, food) < player.radius + food.radius) {
+        player.mass += food.mass;
+        player.radius = massToRadius(player.mass);
+        foodIndex.remove(food);
+        foodIndex.insert(createFood());
+      }
+    }
+    playerIndex.update(player);
+  }
+
+  for (const p1 of players) {
+    if (p1.mass === 0) continue;
+    for (const p2 of playerIndex.query(p1.x, p1.y, p1.radius)) {
+      if (p2 === p1 || p2.mass === 0) continue;
+      if (distance(p1, p2) < p1.radius + p2.radius) {
+        if (p1.mass > p2.mass * 1.1) {
+          p1.mass += p2.mass;
+          p2.mass = 0;
+          playerIndex.remove(p2);
+        } else if (p2.mass > p1.mass * 1.1) {
+          p2.mass += p1.mass;
+          p1.mass = 0;
+          playerIndex.remove(p1);
+          break;
+        }
+      }
+    }
+  }
+}
+
+function measure(label: string, tick: (seed: number) => void): number {
+  const start = process.hrtime.bigint();
+  for (let t = 0; t < ticks; t++) {
+    tick(t);
+  }
+  const ms = Number(process.hrtime.bigint() - start) / 1e6 / ticks;
+  console.log(`${label.padEnd(12)} ${ms.toFixed(3)} ms/tick`);
+  return ms;
+}
+
+const world = createWorld();
+console.log(`${playerCount} players, ${foodCount} food, ${ticks} ticks`);
+
+const before = cloneWorld(world);
+const beforeMs = measure('brute force', (seed) => {
+  wander(before.players, seed);
+  bruteForceTick(before.players, before.food);
+});
+
+const after = cloneWorld(world);
+const foodIndex = new SpatialHash<Body>(100);
+const playerIndex = new SpatialHash<Body>(200);
+for (const food of after.food) {
+  foodIndex.insert(food);
+}
+const afterMs = measure('spatial hash', (seed) => {
+  wander(after.players, seed);
+  indexedTick(after.players, foodIndex, playerIndex);
+});
+
+console.log(`speedup      ${(beforeMs / afterMs).toFixed(1)}x`);
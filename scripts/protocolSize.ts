@@ -0,0 +1,86 @@
+// Compares the size of a typical snapshot in the binary protocol with JSON.
+// The round trip itself is covered by tests/protocol.test.ts.
+// Usage: pnpm bench:protocol [players] [food]
+import { encodeSnapshot, PALETTE } from '../src/public/js/protocol';
+import type { GameSnapshot } from '../src/types/serverTypes';
+
+const WORLD_SIZE = 5000;
+const playerCount = Number(process.argv[2]) || 20;
+const foodCount = Number(process.argv[3]) || 300;
+
+let nextId = 0;
+
+function randomColor(): string {
+  return PALETTE[Math.floor(Math.random() * PALETTE.length)];
+}
+
+function createSnapshot(): GameSnapshot {
+  const players = [];
+  for (let i = 0; i < playerCount; i++) {
+    const cells = [];
+    const cellCount = 1 + Math.floor(Math.random() * 4);
+    for (let j = 0; j < cellCount; j++) {
+      const mass = 20 + Math.random() * 500;
+      cells.push({
+        id: nextId++,
+        x: Math.random() * WORLD_SIZE,
+        y: Math.random() * WORLD_SIZE,
+        radius: Math.sqrt(mass) * 2,
+        mass
+      });
+    }
+
+    const mass = cells.reduce((sum, cell) => sum + cell.mass, 0);
+    players.push({
+      id: nextId++,
+      x: cells[0].x,
+      y: cells[0].y,
+      radius: Math.sqrt(mass) * 2,
+      color: randomColor(),
+      name: `Player ${i}`,
+      mass,
+      teamId: i % 2,
+      effects: i % 4 === 0 ? [{ type: 'speed' as const, expiresAt: Date.now() + 5000 }] : [],
+      cells
+    });
+  }
+
+  const foodAdded = [];
+  for (let i = 0; i < foodCount; i++) {
+    foodAdded.push({
+      id: nextId++,
+      x: Math.random() * WORLD_SIZE,
+      y: Math.random() * WORLD_SIZE,
+      radius: 5,
+      color: randomColor(),
+      mass: 1
+    });
+  }
+
+  return {
+    ts: Date.now(),
+    lastProcessedInput: 42,
+    players,
+    foodAdded,
+    foodRemoved: foodAdded.slice(0, 20).map((food) => food.id),
+    ejected: [],
+    viruses: [{ id: nextId++, x: 1200, y: 800, radius: 24.5, mass: 150 }],
+    powerUps: [{ id: nextId++, type: 'magnet' as const, x: 2500, y: 2500, radius: 18 }],
+    leaderboard: players.slice(0, 10).map((p, i) => ({ id: p.id, name: p.name, mass: p.mass, bot: i % 3 === 0, x: p.x, y: p.y })),
+    teams: [
+      { id: 0, name: 'Red', color: '#FF6B6B', mass: 1234.5, players: Math.ceil(playerCount / 2) },
+      { id: 1, name: 'Green', color: '#82E0AA', mass: 987.25, players: Math.floor(playerCount / 2) }
+    ],
+    totalPlayers: playerCount
+  };
+}
+
+const snapshot = createSnapshot();
+const encoded = encodeSnapshot(snapshot, WORLD_SIZE, WORLD_SIZE);
+
+const jsonBytes = Buffer.byteLength(JSON.stringify(snapshot));
+const binaryBytes = encoded.byteLength;
+console.log(`${playerCount} players, ${foodCount} food added`);
+console.log(`json         ${jsonBytes} bytes`);
+console.log(`binary       ${binaryBytes} bytes`);
+console.log(`ratio        ${(jsonBytes / binaryBytes).toFixed(1)}x smaller`);
@@ -0,0 +1,230 @@
+import express, { type NextFunction, type Request, type Response, type Router } from 'express';
+import { timingSafeEqual } from 'crypto';
+import type { Server, Socket } from 'socket.io';
+import type { ArenaManager } from './arenaManager';
+import type { MuteList } from './chat';
+
+// Upper bound for foodCount so a typo can't grind the tick loop to a halt
+const MAX_FOOD_COUNT = 20000;
+
+// Banned addresses, kept in memory so a restart lifts every ban
+export class BanList {
+  private addresses: Set<string>;
+
+  constructor() {
+    this.addresses = new Set();
+  }
+
+  public has(ip: string): boolean {
+    return this.addresses.has(ip);
+  }
+
+  public add(ip: string): void {
+    this.addresses.add(ip);
+  }
+
+  public remove(ip: string): boolean {
+    return this.addresses.delete(ip);
+  }
+
+  public list(): string[] {
+    return Array.from(this.addresses);
+  }
+}
+
+function isValidToken(header: string | undefined, token: string): boolean {
+  const provided = Buffer.from(header?.startsWith('Bearer ') ? header.slice(7) : '');
+  const expected = Buffer.from(token);
+  return provided.length === expected.length && timingSafeEqual(provided, expected);
+}
+
+// Operator endpoints, every request needs an `Authorization: Bearer <token>` header
+export function createAdminRouter(
+  token: string,
+  io: Server,
+  arenaManager: ArenaManager,
+  bans: BanList,
+  mutes: MuteList
+): Router {
+  const router = express.Router();
+  router.use(express.json());
+
+  router.use((req: Request, res: Response, next: NextFunction) => {
+    if (!isValidToken(req.headers.authorization, token)) {
+      res.status(401).json({ error: 'Invalid admin token' });
+      return;
+    }
+    next();
+  });
+
+  router.get('/players', (_req, res) => {
+    const members = arenaManager.getArenas().flatMap((arena) => arena.listMembers());
+    res.json(members.map((member) => ({ ...member, muted: mutes.isMuted(member.ip) })));
+  });
+
+  router.post('/players/:socketId/kick', (req, res) => {
+    const socket = io.sockets.sockets.get(req.params.socketId);
+    if (!socket) {
+      res.status(404).json({ error: 'No socket with that id' });
+      return;
+    }
+
+    console.log(`Admin kicked ${socket.id}`);
+    removeSocket(socket);
+    res.json({ kicked: [socket.id] });
+  });
+
+  // Bans the socket's address and drops every connection from it
+  router.post('/players/:socketId/ban', (req, res) => {
+    const socket = io.sockets.sockets.get(req.params.socketId);
+    if (!socket) {
+      res.status(404).json({ error: 'No socket with that id' });
+      return;
+    }
+
+    res.json(banAddress(socket.handshake.address));
+  });
+
+  // Mutes the socket's address for the given number of minutes, or until unmuted when none are given
+  router.post('/players/:socketId/mute', (req, res) => {
+    const socket = io.sockets.sockets.get(req.params.socketId);
+    if (!socket) {
+      res.status(404).json({ error: 'No socket with that id' });
+      return;
+    }
+
+    const minutes = req.body?.minutes;
+    if (minutes !== undefined && (typeof minutes !== 'number' || !(minutes > 0))) {
+      res.status(400).json({ error: 'minutes must be a positive number' });
+      return;
+    }
+
+    res.json({ socketId: socket.id, ...muteAddress(socket.handshake.address, minutes) });
+  });
+
+  router.delete('/players/:socketId/mute', (req, res) => {
+    const socket = io.sockets.sockets.get(req.params.socketId);
+    if (!socket) {
+      res.status(404).json({ error: 'No socket with that id' });
+      return;
+    }
+
+    mutes.remove(socket.handshake.address);
+    console.log(`Admin unmuted ${socket.handshake.address}`);
+    res.json({ socketId: socket.id, ip: socket.handshake.address });
+  });
+
+  router.get('/mutes', (_req, res) => {
+    res.json(mutes.list());
+  });
+
+  router.post('/mutes', (req, res) => {
+    const ip = req.body?.ip;
+    const minutes = req.body?.minutes;
+    if (typeof ip !== 'string' || ip.trim() === '') {
+      res.status(400).json({ error: 'ip must be a non-empty string' });
+      return;
+    }
+    if (minutes !== undefined && (typeof minutes !== 'number' || !(minutes > 0))) {
+      res.status(400).json({ error: 'minutes must be a positive number' });
+      return;
+    }
+
+    res.json(muteAddress(ip.trim(), minutes));
+  });
+
+  router.delete('/mutes/:ip', (req, res) => {
+    if (!mutes.remove(req.params.ip)) {
+      res.status(404).json({ error: 'That address is not muted' });
+      return;
+    }
+
+    console.log(`Admin unmuted ${req.params.ip}`);
+    res.json({ ip: req.params.ip });
+  });
+
+  router.get('/bans', (_req, res) => {
+    res.json(bans.list());
+  });
+
+  router.post('/bans', (req, res) => {
+    const ip = req.body?.ip;
+    if (typeof ip !== 'string' || ip.trim() === '') {
+      res.status(400).json({ error: 'ip must be a non-empty string' });
+      return;
+    }
+
+    res.json(banAddress(ip.trim()));
+  });
+
+  router.delete('/bans/:ip', (req, res) => {
+    if (!bans.remove(req.params.ip)) {
+      res.status(404).json({ error: 'That address is not banned' });
+      return;
+    }
+
+    console.log(`Admin lifted the ban on ${req.params.ip}`);
+    res.json({ ip: req.params.ip });
+  });
+
+  router.post('/arenas/:id/reset', (req, res) => {
+    const arena = arenaManager.getArena(req.params.id);
+    if (!arena) {
+      res.status(404).json({ error: 'No arena with that id' });
+      return;
+    }
+
+    console.log(`Admin reset ${arena.id}`);
+    arena.gameServer.resetWorld();
+    res.json(arena.getInfo());
+  });
+
+  router.put('/arenas/:id/food-count', (req, res) => {
+    const arena = arenaManager.getArena(req.params.id);
+    if (!arena) {
+      res.status(404).json({ error: 'No arena with that id' });
+      return;
+    }
+
+    const foodCount = req.body?.foodCount;
+    if (!Number.isInteger(foodCount) || foodCount < 0 || foodCount > MAX_FOOD_COUNT) {
+      res.status(400).json({ error: `foodCount must be an integer between 0 and ${MAX_FOOD_COUNT}` });
+      return;
+    }
+
+    console.log(`Admin set food count of ${arena.id} to ${foodCount}`);
+    arena.gameServer.setFoodCount(foodCount);
+    res.json({ id: arena.id, foodCount: arena.gameServer.getFoodCount() });
+  });
+
+  // Leaving first revokes the resume token, otherwise the player would sit frozen in the
+  // world for the whole grace period where anyone could eat it
+  function removeSocket(socket: Socket): void {
+    arenaManager.leave(socket);
+    socket.disconnect(true);
+  }
+
+  function muteAddress(ip: string, minutes: number | undefined): { ip: string; mutedUntil: number | null } {
+    const mutedUntil = minutes !== undefined ? Date.now() + minutes * 60 * 1000 : null;
+    mutes.add(ip, mutedUntil ?? Number.POSITIVE_INFINITY);
+    console.log(`Admin muted ${ip}${minutes !== undefined ? ` for ${minutes} minutes` : ''}`);
+    return { ip, mutedUntil };
+  }
+
+  function banAddress(ip: string): { ip: string; kicked: string[] } {
+    bans.add(ip);
+
+    const kicked: string[] = [];
+    for (const socket of io.sockets.sockets.values()) {
+      if (socket.handshake.address === ip) {
+        kicked.push(socket.id);
+        removeSocket(socket);
+      }
+    }
+
+    console.log(`Admin banned ${ip}, dropped ${kicked.length} connections`);
+    return { ip, kicked };
+  }
+
+  return router;
+}
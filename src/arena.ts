@@ -0,0 +1,429 @@
+import type { Server, Socket } from 'socket.io';
+import { getClientRules } from './config';
+import { GameServer } from './gameServer';
+import { tickBytesSent, tickDuration } from './metrics';
+import type { Party } from './party';
+import { encodeSnapshot } from './public/js/protocol';
+import { REPLAY_VERSION, ReplayRecorder } from './replayRecorder';
+import type { StatsStore } from './statsStore';
+import type {
+  AdminPlayerInfo,
+  ArenaEvent,
+  ArenaOptions,
+  ClientRules,
+  DeathData,
+  GameMode,
+  PartyInfo,
+  PartySettings,
+  Player,
+  RoomInfo,
+  SessionResult,
+  WorldPreset
+} from './types/serverTypes';
+
+// Key the recorder's food deltas are tracked under in GameServer
+const REPLAY_VIEWER = 'replay';
+// A recording ends once no human has played for this long
+const REPLAY_IDLE_TIMEOUT = 10000;
+// Long sessions are split into files of at most this length
+const REPLAY_MAX_DURATION = 30 * 60 * 1000;
+
+// One independent game world with its own Socket.IO room and tick loop
+export class Arena {
+  public readonly id: string;
+  public readonly name: string;
+  public readonly capacity: number;
+  // Default arenas stay up when empty, overflow arenas are removed once everyone left
+  public readonly persistent: boolean;
+  // Private arenas made through an invite code, null for the public ones
+  public readonly party: Party | null;
+  // Both are replaced when a party host changes the rules
+  public preset: WorldPreset;
+  public gameServer: GameServer;
+  private readonly io: Server;
+  private readonly tickRate: number;
+  private readonly options: ArenaOptions;
+  private readonly statsStore: StatsStore;
+  private members: Set<string>;
+  private timer: NodeJS.Timeout | null;
+  private lastTick: number;
+  // Null when recording is off, or was turned off after the replay directory failed
+  private replayDir: string | null;
+  private recorder: ReplayRecorder | null;
+  private recordingStartedAt: number;
+  // When the last human player left or died, null while someone is playing
+  private emptySince: number | null;
+
+  constructor(
+    io: Server,
+    id: string,
+    name: string,
+    mode: GameMode,
+    preset: WorldPreset,
+    persistent: boolean,
+    options: ArenaOptions,
+    statsStore: StatsStore,
+    party: Party | null = null
+  ) {
+    this.io = io;
+    this.id = id;
+    this.name = name;
+    this.capacity = options.capacity;
+    this.tickRate = options.tickRate;
+    this.persistent = persistent;
+    this.party = party;
+    this.options = options;
+    this.statsStore = statsStore;
+    this.preset = preset;
+    this.gameServer = this.createGameServer(mode, preset);
+    this.members = new Set();
+    this.timer = null;
+    this.lastTick = Date.now();
+    this.replayDir = options.replayDir;
+    this.recorder = null;
+    this.recordingStartedAt = 0;
+    this.emptySince = null;
+  }
+
+  private createGameServer(mode: GameMode, preset: WorldPreset): GameServer {
+    const gameServer = new GameServer({ mode, teamCount: this.options.teamCount, world: preset.world });
+    gameServer.configureBots(this.options.botPopulation, this.options.botDifficulty);
+
+    gameServer.on('playerSpawn', (_socketId: string, player: Player) => {
+      this.recorder?.writeEvent({ type: 'join', ts: Date.now(), playerId: player.id, name: player.name });
+    });
+    gameServer.on('playerDeath', (socketId: string, data: DeathData, player: Player) => {
+      // Bots have no socket, so this only ever reaches human players
+      this.io.to(socketId).emit('playerDeath', data);
+      this.recorder?.writeEvent({
+        type: 'death',
+        ts: Date.now(),
+        playerId: data.playerId,
+        name: player.name,
+        eatenBy: data.eatenBy,
+        finalMass: data.finalMass
+      });
+    });
+    gameServer.on('arenaEvent', (event: ArenaEvent) => {
+      this.io.to(this.roomName).emit('arenaEvent', event);
+    });
+    gameServer.on('sessionEnd', (_socketId: string, result: SessionResult) => {
+      this.statsStore.record({ ...result, arenaId: this.id });
+    });
+    return gameServer;
+  }
+
+  public get roomName(): string {
+    return `arena:${this.id}`;
+  }
+
+  public get mode(): GameMode {
+    return this.gameServer.mode;
+  }
+
+  public get playerCount(): number {
+    return this.gameServer.getPlayerCount();
+  }
+
+  public get memberCount(): number {
+    return this.members.size;
+  }
+
+  public isFull(): boolean {
+    return this.playerCount >= this.capacity;
+  }
+
+  public start(): void {
+    if (this.timer) return;
+
+    this.lastTick = Date.now();
+    this.timer = setInterval(() => this.tick(), this.tickRate);
+  }
+
+  public stop(): void {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.stopRecording();
+    tickDuration.remove({ arena: this.id });
+    tickBytesSent.remove({ arena: this.id });
+  }
+
+  public addMember(socket: Socket): void {
+    this.members.add(socket.id);
+    socket.join(this.roomName);
+    this.party?.addMember(socket.id, socket.handshake.address);
+    this.broadcastParty();
+  }
+
+  public removeMember(socket: Socket): void {
+    this.removeMemberById(socket.id);
+    socket.leave(this.roomName);
+  }
+
+  // For sockets that are already gone, like a disconnected player whose grace period ran out
+  public removeMemberById(socketId: string): void {
+    this.gameServer.removePlayer(socketId);
+    this.gameServer.removeSpectator(socketId);
+    this.members.delete(socketId);
+    if (this.party) {
+      this.party.removeMember(socketId);
+      this.broadcastParty();
+    }
+  }
+
+  // Back on the menu but still in the party, only parties keep members that aren't playing or watching
+  public idleMember(socketId: string): void {
+    this.gameServer.removePlayer(socketId);
+    this.gameServer.removeSpectator(socketId);
+  }
+
+  // The member stays, and any player it has stays in the world, until it is resumed or removed
+  public suspendMember(socketId: string): void {
+    this.gameServer.freezePlayer(socketId);
+  }
+
+  // Moves a suspended member over to the reconnected socket. False when there is nothing to
+  // go back to: the member was removed, or outside a party, its player didn't survive.
+  public resumeMember(oldSocketId: string, socket: Socket): boolean {
+    if (!this.members.has(oldSocketId)) return false;
+
+    const player = this.gameServer.reattachPlayer(oldSocketId, socket.id);
+    if (!player && !this.party) {
+      this.removeMemberById(oldSocketId);
+      return false;
+    }
+
+    // Whoever was watching picks a new view once the client is back
+    this.gameServer.removeSpectator(oldSocketId);
+    this.members.delete(oldSocketId);
+    this.party?.replaceMember(oldSocketId, socket.id);
+    this.addMember(socket);
+    return true;
+  }
+
+  public spawnPlayer(socket: Socket, playerName: string): Player {
+    // Respawning replaces whatever is left of the previous run
+    this.gameServer.removeSpectator(socket.id);
+    this.gameServer.removePlayer(socket.id);
+    this.startRecording();
+    const player = this.gameServer.addPlayer(socket.id, playerName);
+    // Members are listed under the name they last played with
+    this.broadcastParty();
+    return player;
+  }
+
+  // Watches the arena without taking part, any player the socket had is removed
+  public spectate(socket: Socket): void {
+    this.gameServer.addSpectator(socket.id);
+  }
+
+  public getInfo(): RoomInfo {
+    return {
+      id: this.id,
+      name: this.name,
+      mode: this.mode,
+      preset: this.preset.name,
+      players: this.playerCount,
+      capacity: this.capacity
+    };
+  }
+
+  // Sent to clients with init and spectateInit
+  public getClientRules(): ClientRules {
+    return getClientRules(this.preset, this.tickRate);
+  }
+
+  // Starts the party over in a new world built from the host's settings. Whoever was playing
+  // or watching is put straight into it, the caller sends them their new init.
+  public configure(settings: PartySettings, preset: WorldPreset): { players: [Socket, Player][]; spectators: Socket[] } {
+    const playing: [Socket, string][] = [];
+    const watching: Socket[] = [];
+    for (const socketId of this.members) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      const player = this.gameServer.getPlayer(socketId);
+      // Members waiting to be resumed have no socket, they come back to the party on the menu
+      if (socket && player) {
+        playing.push([socket, player.name]);
+      } else if (socket && this.gameServer.isSpectator(socketId)) {
+        watching.push(socket);
+      }
+      // Ends the sessions so the round so far still counts towards the high scores
+      this.gameServer.removePlayer(socketId);
+    }
+
+    this.stopRecording();
+    this.gameServer.removeAllListeners();
+    this.preset = {
+      id: preset.id,
+      name: preset.name,
+      world: { ...preset.world, worldWidth: settings.mapSize, worldHeight: settings.mapSize, foodCount: settings.foodCount }
+    };
+    this.gameServer = this.createGameServer(settings.mode, this.preset);
+    if (this.party) {
+      this.party.settings = settings;
+    }
+
+    // Clients drop what they know of the old world before the new init arrives
+    this.io.to(this.roomName).emit('partyReset');
+    const players = playing.map(([socket, name]): [Socket, Player] => [socket, this.spawnPlayer(socket, name)]);
+    for (const socket of watching) {
+      this.spectate(socket);
+    }
+    this.broadcastParty();
+    return { players, spectators: watching };
+  }
+
+  // Every member gets the party with its own member id, so it knows which entry is itself
+  public broadcastParty(): void {
+    const party = this.party;
+    if (!party) return;
+
+    const base: Omit<PartyInfo, 'self' | 'resumeToken'> = {
+      code: party.code,
+      arenaId: this.id,
+      settings: party.settings,
+      members: party.getSocketIds().map((socketId) => ({
+        id: party.getMemberId(socketId) ?? 0,
+        name: this.gameServer.getPlayer(socketId)?.name ?? this.io.sockets.sockets.get(socketId)?.data.playerName ?? 'Anonymous',
+        host: party.isHost(socketId)
+      })),
+      presets: this.options.presets.map((preset) => ({
+        id: preset.id,
+        name: preset.name,
+        mapSize: preset.world.worldWidth,
+        foodCount: preset.world.foodCount
+      }))
+    };
+
+    for (const socketId of party.getSocketIds()) {
+      const resumeToken = this.io.sockets.sockets.get(socketId)?.data.resumeToken ?? null;
+      this.io.to(socketId).emit('partyUpdate', { ...base, self: party.getMemberId(socketId), resumeToken });
+    }
+  }
+
+  // Everyone connected to the arena, whether playing, watching or sitting on the game over screen
+  public listMembers(): Omit<AdminPlayerInfo, 'muted'>[] {
+    const members: Omit<AdminPlayerInfo, 'muted'>[] = [];
+    for (const socketId of this.members) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (!socket) continue;
+
+      const player = this.gameServer.getPlayer(socketId);
+      members.push({
+        socketId,
+        ip: socket.handshake.address,
+        arenaId: this.id,
+        name: player ? player.name : (socket.data.playerName ?? null),
+        status: player ? 'playing' : this.gameServer.isSpectator(socketId) ? 'spectating' : 'idle',
+        mass: player ? player.mass : 0
+      });
+    }
+    return members;
+  }
+
+  // Movement is scaled by the real time between ticks
+  private tick(): void {
+    const startedAt = performance.now();
+    const now = Date.now();
+    const deltaTime = Math.min(now - this.lastTick, this.tickRate * 4);
+    this.lastTick = now;
+
+    this.gameServer.update(deltaTime);
+    this.gameServer.checkCollisions();
+
+    const worldDimensions = this.gameServer.getWorldDimensions();
+    let bytesSent = 0;
+    for (const [socketId, snapshot] of this.gameServer.getSnapshots()) {
+      const socket = this.io.sockets.sockets.get(socketId);
+      if (!socket) continue;
+
+      if (socket.data.protocol === 'binary') {
+        const encoded = encodeSnapshot(snapshot, worldDimensions.width, worldDimensions.height);
+        bytesSent += encoded.byteLength;
+        socket.emit('gameUpdate', encoded);
+      } else {
+        // Socket.IO serializes again on its own, JSON clients are the debugging fallback so the cost is fine
+        bytesSent += Buffer.byteLength(JSON.stringify(snapshot));
+        socket.emit('gameUpdate', snapshot);
+      }
+    }
+
+    this.recordTick(now);
+
+    tickDuration.observe({ arena: this.id }, (performance.now() - startedAt) / 1000);
+    tickBytesSent.observe({ arena: this.id }, bytesSent);
+  }
+
+  // Starts a replay file if recording is enabled and none is being written
+  private startRecording(): void {
+    if (!this.replayDir || this.recorder) return;
+
+    const worldDimensions = this.gameServer.getWorldDimensions();
+    this.recordingStartedAt = Date.now();
+    this.emptySince = null;
+    this.gameServer.resetKnownFood(REPLAY_VIEWER);
+    try {
+      this.recorder = new ReplayRecorder(this.replayDir, {
+        version: REPLAY_VERSION,
+        arenaId: this.id,
+        arenaName: this.name,
+        mode: this.mode,
+        teams: this.gameServer.getTeams(),
+        worldWidth: worldDimensions.width,
+        worldHeight: worldDimensions.height,
+        tickRate: this.tickRate,
+        startedAt: this.recordingStartedAt
+      });
+    } catch (error) {
+      this.disableRecording(error);
+      return;
+    }
+
+    // Players already in the world (bots, mostly) get a join event so the viewer knows their names
+    for (const player of this.gameServer.getGameState().players) {
+      this.recorder.writeEvent({ type: 'join', ts: this.recordingStartedAt, playerId: player.id, name: player.name });
+    }
+    console.log(`Recording replay ${this.recorder.id}`);
+  }
+
+  private stopRecording(): void {
+    if (!this.recorder) return;
+
+    const recorder = this.recorder;
+    this.recorder = null;
+    this.gameServer.resetKnownFood(REPLAY_VIEWER);
+    recorder.close().catch((error) => console.error(`Failed to finish replay ${recorder.id}:`, error));
+  }
+
+  // A replay directory that can't be written to stays that way, so the arena stops trying
+  private disableRecording(error: unknown): void {
+    console.error(`Replay recording in ${this.id} turned off:`, error);
+    this.replayDir = null;
+    this.stopRecording();
+  }
+
+  private recordTick(now: number): void {
+    if (!this.recorder) return;
+    if (this.recorder.failed) {
+      this.disableRecording(`replay ${this.recorder.id} could not be written`);
+      return;
+    }
+
+    this.recorder.writeSnapshot(this.gameServer.getWorldSnapshot(REPLAY_VIEWER));
+
+    if (this.playerCount > 0) {
+      this.emptySince = null;
+    } else if (this.emptySince === null) {
+      this.emptySince = now;
+    }
+
+    if (this.emptySince !== null && now - this.emptySince >= REPLAY_IDLE_TIMEOUT) {
+      this.stopRecording();
+    } else if (now - this.recordingStartedAt >= REPLAY_MAX_DURATION) {
+      this.stopRecording();
+      this.startRecording();
+    }
+  }
+}
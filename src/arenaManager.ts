@@ -0,0 +1,343 @@
+import { randomBytes } from 'crypto';
+import type { Server, Socket } from 'socket.io';
+import { Arena } from './arena';
+import { createInviteCode, Party, partyArenaId } from './party';
+import type { StatsStore } from './statsStore';
+import type { ArenaOptions, PartySettings, Player, RoomInfo } from './types/serverTypes';
+
+interface ResumeEntry {
+  socketId: string;
+  arena: Arena;
+  // Set once the socket disconnected, removes the player when the grace period is over
+  expiry: NodeJS.Timeout | null;
+}
+
+export class ArenaManager {
+  private readonly io: Server;
+  private readonly options: ArenaOptions;
+  private readonly statsStore: StatsStore;
+  private arenas: Map<string, Arena>;
+  private socketArenas: Map<string, Arena>;
+  private resumeEntries: Map<string, ResumeEntry>;
+  private nextArenaId: number;
+
+  constructor(io: Server, options: ArenaOptions, statsStore: StatsStore) {
+    this.io = io;
+    this.options = options;
+    this.statsStore = statsStore;
+    this.arenas = new Map();
+    this.socketArenas = new Map();
+    this.resumeEntries = new Map();
+    this.nextArenaId = 1;
+
+    for (let i = 0; i < options.defaultArenas; i++) {
+      this.createArena(true);
+    }
+  }
+
+  public createArena(persistent: boolean): Arena {
+    const number = this.nextArenaId++;
+    const mode = this.options.modes[(number - 1) % this.options.modes.length];
+    const preset = this.options.presets[(number - 1) % this.options.presets.length];
+    const arena = new Arena(
+      this.io,
+      `arena-${number}`,
+      `Arena ${number}`,
+      mode,
+      preset,
+      persistent,
+      this.options,
+      this.statsStore
+    );
+
+    this.arenas.set(arena.id, arena);
+    arena.start();
+    return arena;
+  }
+
+  // A private arena only reachable through its invite code, with the socket as its host
+  public createParty(socket: Socket): Arena {
+    let code = createInviteCode();
+    while (this.arenas.has(partyArenaId(code))) {
+      code = createInviteCode();
+    }
+
+    const mode = this.options.modes[0];
+    const preset = this.options.presets[0];
+    const party = new Party(code, {
+      mode,
+      preset: preset.id,
+      mapSize: preset.world.worldWidth,
+      foodCount: preset.world.foodCount
+    });
+    const arena = new Arena(
+      this.io,
+      partyArenaId(code),
+      `Party ${code}`,
+      mode,
+      preset,
+      false,
+      this.options,
+      this.statsStore,
+      party
+    );
+
+    this.arenas.set(arena.id, arena);
+    arena.start();
+    this.moveTo(socket, arena);
+    return arena;
+  }
+
+  // Null when the party is gone, the code is wrong or the host kicked someone from this address
+  public joinParty(socket: Socket, code: string): Arena | null {
+    const arena = this.arenas.get(partyArenaId(code));
+    if (!arena?.party || arena.party.isKicked(socket.handshake.address)) return null;
+
+    if (this.socketArenas.get(socket.id) === arena) {
+      arena.broadcastParty();
+    } else {
+      this.moveTo(socket, arena);
+    }
+    return arena;
+  }
+
+  // The party the socket hosts, if any
+  private getHostedParty(socket: Socket): Arena | null {
+    const arena = this.socketArenas.get(socket.id);
+    return arena?.party?.isHost(socket.id) ? arena : null;
+  }
+
+  // Rebuilds the host's party world, null when the socket isn't a host or the preset is unknown
+  public configureParty(
+    socket: Socket,
+    settings: PartySettings
+  ): ({ arena: Arena } & ReturnType<Arena['configure']>) | null {
+    const arena = this.getHostedParty(socket);
+    const preset = this.options.presets.find((candidate) => candidate.id === settings.preset);
+    if (!arena || !preset) return null;
+
+    console.log(`${arena.id} restarted with ${JSON.stringify(settings)}`);
+    return { arena, ...arena.configure(settings, preset) };
+  }
+
+  // Hosts can remove anyone but themselves, the kicked client is told so it can go back to the menu
+  public kick(socket: Socket, memberId: number): boolean {
+    const arena = this.getHostedParty(socket);
+    const socketId = arena?.party?.findSocketId(memberId);
+    if (!arena?.party || !socketId || socketId === socket.id) return false;
+
+    arena.party.kick(socketId);
+    const target = this.io.sockets.sockets.get(socketId);
+    if (target) {
+      this.leave(target);
+      target.emit('partyKicked');
+    } else {
+      // Disconnected and waiting to be resumed
+      arena.removeMemberById(socketId);
+      this.socketArenas.delete(socketId);
+    }
+    return true;
+  }
+
+  public getArena(arenaId: string): Arena | undefined {
+    return this.arenas.get(arenaId);
+  }
+
+  public getArenas(): Arena[] {
+    return Array.from(this.arenas.values());
+  }
+
+  public getArenaForSocket(socketId: string): Arena | undefined {
+    return this.socketArenas.get(socketId);
+  }
+
+  // Puts the socket into the requested arena if it has room, otherwise into the fullest arena
+  // that still has space, opening a new one when every arena is full
+  public assign(socket: Socket, arenaId?: string): Arena {
+    const current = this.socketArenas.get(socket.id);
+    const requested = this.getEnterableArena(socket, arenaId);
+
+    let arena: Arena | undefined;
+    if (requested && !requested.isFull()) {
+      arena = requested;
+    } else if (!arenaId && current && !current.isFull()) {
+      // Players restarting after death stay where they were
+      arena = current;
+    } else {
+      arena = this.getPublicArenas()
+        .filter((candidate) => !candidate.isFull())
+        .sort((a, b) => b.playerCount - a.playerCount)[0];
+    }
+
+    if (!arena) {
+      arena = this.createArena(false);
+    }
+
+    this.moveTo(socket, arena);
+    return arena;
+  }
+
+  // Spectators don't take up capacity, so they can watch any arena. Without a room id
+  // they stay where they are or go to the busiest arena.
+  public watch(socket: Socket, arenaId?: string): Arena {
+    const requested = this.getEnterableArena(socket, arenaId);
+    const arena =
+      requested ??
+      this.socketArenas.get(socket.id) ??
+      this.getPublicArenas().sort((a, b) => b.playerCount - a.playerCount)[0] ??
+      this.createArena(false);
+
+    this.moveTo(socket, arena);
+    return arena;
+  }
+
+  // Parties are only entered through joinParty. Their arena id lets members play or watch,
+  // but to anyone else, kicked members included, it is as good as an unknown id.
+  private getEnterableArena(socket: Socket, arenaId?: string): Arena | undefined {
+    const arena = arenaId ? this.arenas.get(arenaId) : undefined;
+    if (arena?.party && this.socketArenas.get(socket.id) !== arena) {
+      return undefined;
+    }
+    return arena;
+  }
+
+  private moveTo(socket: Socket, arena: Arena): void {
+    if (this.socketArenas.get(socket.id) === arena) return;
+
+    this.leave(socket);
+    // Party members can come back after a dropped connection whether or not they play,
+    // the token goes out with the party update
+    if (arena.party) {
+      this.issueResumeToken(socket, arena);
+    }
+    arena.addMember(socket);
+    this.socketArenas.set(socket.id, arena);
+  }
+
+  public leave(socket: Socket): void {
+    this.revokeResumeToken(socket);
+
+    const arena = this.socketArenas.get(socket.id);
+    if (!arena) return;
+
+    arena.removeMember(socket);
+    this.socketArenas.delete(socket.id);
+    this.closeIfEmpty(arena);
+  }
+
+  // Going back to the menu leaves a public arena, but party members stay in the party
+  // and keep their resume token
+  public leaveGame(socket: Socket): void {
+    const arena = this.socketArenas.get(socket.id);
+    if (!arena?.party) {
+      this.leave(socket);
+      return;
+    }
+
+    arena.idleMember(socket.id);
+  }
+
+  private closeIfEmpty(arena: Arena): void {
+    if (!arena.persistent && arena.memberCount === 0) {
+      arena.stop();
+      this.arenas.delete(arena.id);
+    }
+  }
+
+  // Every join gets a new token, the previous one stops working
+  public issueResumeToken(socket: Socket, arena: Arena): string {
+    this.revokeResumeToken(socket);
+
+    const token = randomBytes(16).toString('hex');
+    this.resumeEntries.set(token, { socketId: socket.id, arena, expiry: null });
+    socket.data.resumeToken = token;
+    return token;
+  }
+
+  private revokeResumeToken(socket: Socket): void {
+    const token: string | undefined = socket.data.resumeToken;
+    if (!token) return;
+
+    const entry = this.resumeEntries.get(token);
+    if (entry?.expiry) {
+      clearTimeout(entry.expiry);
+    }
+    this.resumeEntries.delete(token);
+    socket.data.resumeToken = undefined;
+  }
+
+  // A player still alive when its connection drops stays in the world for a while, and party
+  // members keep their place in the party whatever they were doing. Anyone else leaves straight away.
+  public disconnect(socket: Socket): void {
+    const token: string | undefined = socket.data.resumeToken;
+    const entry = token ? this.resumeEntries.get(token) : undefined;
+    const arena = this.socketArenas.get(socket.id);
+    const resumable = arena?.party || arena?.gameServer.getPlayer(socket.id);
+
+    if (!token || !entry || !arena || !resumable || this.options.resumeGracePeriod <= 0) {
+      this.leave(socket);
+      return;
+    }
+    if (entry.expiry) return;
+
+    arena.suspendMember(socket.id);
+    entry.expiry = setTimeout(() => this.expire(token), this.options.resumeGracePeriod);
+  }
+
+  private expire(token: string): void {
+    const entry = this.resumeEntries.get(token);
+    if (!entry) return;
+
+    this.resumeEntries.delete(token);
+    entry.arena.removeMemberById(entry.socketId);
+    this.socketArenas.delete(entry.socketId);
+    this.closeIfEmpty(entry.arena);
+  }
+
+  // Re-attaches the member behind the token to a reconnected socket. Null when the token is
+  // unknown, expired, or the player was eaten while its client was away. Party members get
+  // their place in the party back either way, with a player only if it survived.
+  public resume(socket: Socket, token: string): { arena: Arena; player: Player | null } | null {
+    let entry = this.resumeEntries.get(token);
+    if (!entry || entry.socketId === socket.id) return null;
+
+    // The server may not have noticed the old connection dropping yet
+    const oldSocket = this.io.sockets.sockets.get(entry.socketId);
+    if (oldSocket) {
+      oldSocket.disconnect(true);
+      entry = this.resumeEntries.get(token);
+      if (!entry?.expiry) return null;
+    }
+
+    const { arena, socketId } = entry;
+    if (entry.expiry) {
+      clearTimeout(entry.expiry);
+    }
+    this.resumeEntries.delete(token);
+    this.socketArenas.delete(socketId);
+
+    // Whatever the new socket was doing before is dropped
+    this.leave(socket);
+
+    if (arena.party) {
+      this.issueResumeToken(socket, arena);
+    }
+    if (!arena.resumeMember(socketId, socket)) {
+      this.revokeResumeToken(socket);
+      this.closeIfEmpty(arena);
+      return null;
+    }
+
+    this.socketArenas.set(socket.id, arena);
+    return { arena, player: arena.gameServer.getPlayer(socket.id) ?? null };
+  }
+
+  private getPublicArenas(): Arena[] {
+    return Array.from(this.arenas.values()).filter((arena) => !arena.party);
+  }
+
+  // Parties are private, only their invite code leads to them
+  public listRooms(): RoomInfo[] {
+    return this.getPublicArenas().map((arena) => arena.getInfo());
+  }
+}
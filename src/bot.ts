@@ -0,0 +1,155 @@
+import type { Random } from './random';
+import type { BotDifficulty, Cell, Food, MoveData, Player } from './types/serverTypes';
+
+export interface BotProfile {
+  // Milliseconds between decisions, slower bots react late
+  thinkInterval: number;
+  // How far around its own edge a bot looks for food, prey and threats
+  sightRange: number;
+  // Random offset added to every target so easy bots wobble
+  aimError: number;
+  // Whether the bot splits to catch prey that is in reach
+  splitToChase: boolean;
+}
+
+export const BOT_PROFILES: Record<BotDifficulty, BotProfile> = {
+  easy: { thinkInterval: 500, sightRange: 300, aimError: 150, splitToChase: false },
+  normal: { thinkInterval: 250, sightRange: 500, aimError: 60, splitToChase: false },
+  hard: { thinkInterval: 100, sightRange: 800, aimError: 10, splitToChase: true }
+};
+
+const BOT_NAMES = [
+  'Blobby', 'Nomnom', 'Gulp', 'Pellet', 'Orbit', 'Mitosis', 'Snacky', 'Bubbles',
+  'Goo', 'Amoeba', 'Chomp', 'Drift', 'Wobble', 'Jelly', 'Plankton', 'Spore'
+];
+
+// Distance a fleeing bot aims ahead of itself
+const FLEE_DISTANCE = 500;
+
+export interface BotDecision {
+  target: MoveData;
+  split: boolean;
+}
+
+// Decides where a bot player steers. The bot only produces move/split inputs,
+// GameServer applies them exactly like it applies a human player's input.
+export class Bot {
+  public readonly name: string;
+  public readonly profile: BotProfile;
+  private readonly worldWidth: number;
+  private readonly worldHeight: number;
+  // The arena's eatRatio rule, cells need to be this much heavier than another cell to eat it
+  private readonly eatRatio: number;
+  private nextThinkAt: number;
+  private seq: number;
+  private wanderTarget: { x: number; y: number } | null;
+  private readonly random: Random;
+
+  constructor(
+    difficulty: BotDifficulty,
+    worldWidth: number,
+    worldHeight: number,
+    eatRatio: number,
+    random: Random = Math.random
+  ) {
+    this.random = random;
+    this.name = BOT_NAMES[Math.floor(random() * BOT_NAMES.length)];
+    this.profile = BOT_PROFILES[difficulty];
+    this.worldWidth = worldWidth;
+    this.worldHeight = worldHeight;
+    this.eatRatio = eatRatio;
+    this.nextThinkAt = 0;
+    this.seq = 0;
+    this.wanderTarget = null;
+  }
+
+  public shouldThink(now: number): boolean {
+    if (now < this.nextThinkAt) return false;
+
+    this.nextThinkAt = now + this.profile.thinkInterval;
+    return true;
+  }
+
+  // Flee from anything that can eat us, otherwise chase what we can eat, otherwise graze
+  public think(player: Player, food: Food[], others: Cell[]): BotDecision {
+    let smallest = Number.POSITIVE_INFINITY;
+    let largest = 0;
+    for (const cell of player.cells) {
+      smallest = Math.min(smallest, cell.mass);
+      largest = Math.max(largest, cell.mass);
+    }
+
+    const sight = this.profile.sightRange + player.radius;
+    let fleeX = 0;
+    let fleeY = 0;
+    let prey: Cell | null = null;
+    let preyDistance = Number.POSITIVE_INFINITY;
+
+    for (const cell of others) {
+      const dx = cell.x - player.x;
+      const dy = cell.y - player.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      if (distance > sight + cell.radius) continue;
+
+      if (cell.mass > smallest * this.eatRatio) {
+        // Closer threats push harder
+        const weight = 1 / Math.max(1, distance - cell.radius);
+        fleeX -= (dx / Math.max(1, distance)) * weight;
+        fleeY -= (dy / Math.max(1, distance)) * weight;
+      } else if (largest > cell.mass * this.eatRatio && distance < preyDistance) {
+        prey = cell;
+        preyDistance = distance;
+      }
+    }
+
+    if (fleeX !== 0 || fleeY !== 0) {
+      const length = Math.sqrt(fleeX * fleeX + fleeY * fleeY);
+      return this.decide(player.x + (fleeX / length) * FLEE_DISTANCE, player.y + (fleeY / length) * FLEE_DISTANCE, false);
+    }
+
+    if (prey) {
+      // A split halves the cell, so only lunge when the half can still eat the prey
+      const split =
+        this.profile.splitToChase &&
+        largest / 2 > prey.mass * this.eatRatio &&
+        preyDistance < player.radius * 4 &&
+        player.cells.length < 4;
+      return this.decide(prey.x, prey.y, split);
+    }
+
+    let nearestFood: Food | null = null;
+    let foodDistance = Number.POSITIVE_INFINITY;
+    for (const item of food) {
+      const dx = item.x - player.x;
+      const dy = item.y - player.y;
+      const distance = dx * dx + dy * dy;
+      if (distance < foodDistance) {
+        nearestFood = item;
+        foodDistance = distance;
+      }
+    }
+
+    if (nearestFood) {
+      this.wanderTarget = null;
+      return this.decide(nearestFood.x, nearestFood.y, false);
+    }
+
+    // Nothing in sight, head somewhere new until something turns up
+    if (!this.wanderTarget || Math.abs(this.wanderTarget.x - player.x) + Math.abs(this.wanderTarget.y - player.y) < player.radius) {
+      this.wanderTarget = { x: this.random() * this.worldWidth, y: this.random() * this.worldHeight };
+    }
+    return this.decide(this.wanderTarget.x, this.wanderTarget.y, false);
+  }
+
+  private decide(x: number, y: number, split: boolean): BotDecision {
+    const error = this.profile.aimError;
+    return {
+      target: {
+        x: x + (this.random() - 0.5) * 2 * error,
+        y: y + (this.random() - 0.5) * 2 * error,
+        seq: ++this.seq
+      },
+      split
+    };
+  }
+}
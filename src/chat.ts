@@ -0,0 +1,96 @@
+import type { Socket } from 'socket.io';
+import { RateLimiter } from './rateLimiter';
+import type { ChatMessage } from './types/serverTypes';
+
+// Longest message kept, anything after this is cut off
+export const CHAT_MAX_LENGTH = 120;
+// Colour used for people talking from the spectator seats or the game over screen
+const SPECTATOR_COLOR = '#AAAAAA';
+
+// Masks whole words from a configurable list, ignoring case
+export class ChatFilter {
+  private readonly pattern: RegExp | null;
+
+  constructor(words: string[]) {
+    const escaped = words
+      .map((word) => word.trim())
+      .filter((word) => word.length > 0)
+      .map((word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    this.pattern = escaped.length > 0 ? new RegExp(`\\b(?:${escaped.join('|')})\\b`, 'gi') : null;
+  }
+
+  public clean(text: string): string {
+    if (!this.pattern) return text;
+    return text.replace(this.pattern, (word) => '*'.repeat(word.length));
+  }
+}
+
+// A few messages in a row, then one every two seconds
+export function createChatLimiter(): RateLimiter {
+  return new RateLimiter(3, 0.5);
+}
+
+// Comma separated list, e.g. CHAT_WORD_FILTER=foo,bar
+export function parseWordList(value: string | undefined): string[] {
+  return value ? value.split(',') : [];
+}
+
+// Collapses whitespace and control characters and enforces the length limit,
+// null when nothing is left to send
+export function normalizeChatText(text: string): string | null {
+  const normalized = text.replace(/[\p{Cc}\s]+/gu, ' ').trim();
+  return normalized.length > 0 ? normalized.slice(0, CHAT_MAX_LENGTH) : null;
+}
+
+// Muted addresses and when each mute runs out, kept in memory like the ban list. Going by
+// address means reconnecting or reloading the page doesn't lift a mute.
+export class MuteList {
+  private mutedUntil: Map<string, number>;
+
+  constructor() {
+    this.mutedUntil = new Map();
+  }
+
+  // Infinity mutes until the mute is lifted
+  public add(ip: string, until: number): void {
+    this.mutedUntil.set(ip, until);
+  }
+
+  public remove(ip: string): boolean {
+    return this.mutedUntil.delete(ip);
+  }
+
+  public isMuted(ip: string, now = Date.now()): boolean {
+    const until = this.mutedUntil.get(ip);
+    if (until === undefined) return false;
+    if (until > now) return true;
+
+    this.mutedUntil.delete(ip);
+    return false;
+  }
+
+  // Mutes still running, mutedUntil is null for the ones without an end
+  public list(now = Date.now()): { ip: string; mutedUntil: number | null }[] {
+    return Array.from(this.mutedUntil.keys())
+      .filter((ip) => this.isMuted(ip, now))
+      .map((ip) => {
+        const until = this.mutedUntil.get(ip) ?? 0;
+        return { ip, mutedUntil: Number.isFinite(until) ? until : null };
+      });
+  }
+}
+
+// Players talk under their cell's name and colour, everyone else under the name they last joined with
+export function createChatMessage(
+  socket: Socket,
+  player: { id: number; name: string; color: string } | undefined,
+  text: string
+): ChatMessage {
+  return {
+    playerId: player ? player.id : null,
+    name: player ? player.name : (socket.data.playerName ?? 'Spectator'),
+    color: player ? player.color : SPECTATOR_COLOR,
+    text,
+    ts: Date.now()
+  };
+}
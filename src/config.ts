@@ -0,0 +1,233 @@
+import fs from 'fs';
+import type { ClientRules, GameConfig, WorldConfig, WorldPreset } from './types/serverTypes';
+
+// The rules every world starts from, presets only list what they change
+export const DEFAULT_WORLD_CONFIG: WorldConfig = {
+  worldWidth: 5000,
+  worldHeight: 5000,
+  foodCount: 1000,
+  foodMass: 1,
+  foodRadius: 5,
+  startMass: 100,
+  radiusScale: 2,
+  baseSpeed: 5,
+  minSpeed: 2,
+  speedReferenceMass: 100,
+  speedExponent: 1,
+  eatRatio: 1.1,
+  massDecayRate: 0,
+  massDecayThreshold: 1000,
+  maxCellMass: 22500,
+  minSplitMass: 36,
+  maxCells: 16,
+  mergeBaseTime: 15000,
+  mergeTimePerMass: 20,
+  minEjectMass: 32,
+  ejectMassLoss: 16,
+  ejectedMass: 12,
+  virusCount: 30,
+  virusMass: 150,
+  virusMaxMass: 250,
+  maxViruses: 60,
+  powerUpCount: 6,
+  powerUpInterval: 15000,
+  speedBoost: 1.5,
+  magnetRange: 120,
+  massGainBoost: 2
+};
+
+interface Limit {
+  min: number;
+  max: number;
+  integer?: boolean;
+}
+
+// Anything outside these ranges is a typo or would break the simulation
+const WORLD_LIMITS: Record<keyof WorldConfig, Limit> = {
+  worldWidth: { min: 500, max: 50000 },
+  worldHeight: { min: 500, max: 50000 },
+  foodCount: { min: 0, max: 20000, integer: true },
+  foodMass: { min: 0, max: 100 },
+  foodRadius: { min: 1, max: 50 },
+  startMass: { min: 10, max: 10000 },
+  radiusScale: { min: 0.5, max: 10 },
+  baseSpeed: { min: 0.1, max: 50 },
+  minSpeed: { min: 0, max: 50 },
+  speedReferenceMass: { min: 1, max: 10000 },
+  speedExponent: { min: 0, max: 2 },
+  eatRatio: { min: 1, max: 3 },
+  massDecayRate: { min: 0, max: 0.5 },
+  massDecayThreshold: { min: 0, max: 1000000 },
+  maxCellMass: { min: 10, max: 1000000 },
+  minSplitMass: { min: 2, max: 10000 },
+  maxCells: { min: 1, max: 64, integer: true },
+  mergeBaseTime: { min: 0, max: 600000 },
+  mergeTimePerMass: { min: 0, max: 1000 },
+  minEjectMass: { min: 1, max: 10000 },
+  ejectMassLoss: { min: 1, max: 1000 },
+  ejectedMass: { min: 1, max: 1000 },
+  virusCount: { min: 0, max: 1000, integer: true },
+  virusMass: { min: 10, max: 10000 },
+  virusMaxMass: { min: 10, max: 20000 },
+  maxViruses: { min: 0, max: 2000, integer: true },
+  powerUpCount: { min: 0, max: 200, integer: true },
+  powerUpInterval: { min: 100, max: 3600000 },
+  speedBoost: { min: 1, max: 5 },
+  magnetRange: { min: 0, max: 2000 },
+  massGainBoost: { min: 1, max: 10 }
+};
+
+const WORLD_KEYS = Object.keys(WORLD_LIMITS) as (keyof WorldConfig)[];
+const TICK_INTERVAL_LIMIT: Limit = { min: 10, max: 1000 };
+const DEFAULT_TICK_INTERVAL = 50;
+const PRESET_ID_PATTERN = /^[a-z0-9-]{1,32}$/;
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function checkNumber(value: unknown, limit: Limit, path: string): number {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    throw new Error(`Invalid game config: ${path} must be a number`);
+  }
+  if (value < limit.min || value > limit.max) {
+    throw new Error(`Invalid game config: ${path} must be between ${limit.min} and ${limit.max}`);
+  }
+  if (limit.integer && !Number.isInteger(value)) {
+    throw new Error(`Invalid game config: ${path} must be a whole number`);
+  }
+  return value;
+}
+
+// Rules that only make sense together
+function checkWorld(world: WorldConfig, path: string): WorldConfig {
+  if (world.maxCellMass < world.startMass) {
+    throw new Error(`Invalid game config: ${path}.maxCellMass must be at least startMass`);
+  }
+  if (world.virusMaxMass <= world.virusMass) {
+    throw new Error(`Invalid game config: ${path}.virusMaxMass must be greater than virusMass`);
+  }
+  if (world.maxViruses < world.virusCount) {
+    throw new Error(`Invalid game config: ${path}.maxViruses must be at least virusCount`);
+  }
+  if (world.minEjectMass <= world.ejectMassLoss) {
+    throw new Error(`Invalid game config: ${path}.minEjectMass must be greater than ejectMassLoss`);
+  }
+  return world;
+}
+
+// Overrides the given rules, rejecting unknown keys so typos don't go unnoticed
+function parseWorldOverrides(value: unknown, path: string, allowName = false): Partial<WorldConfig> {
+  if (!isRecord(value)) {
+    throw new Error(`Invalid game config: ${path} must be an object`);
+  }
+
+  const overrides: Partial<WorldConfig> = {};
+  for (const [key, entry] of Object.entries(value)) {
+    if (allowName && key === 'name') continue;
+    if (!(key in WORLD_LIMITS)) {
+      throw new Error(`Invalid game config: unknown setting ${path}.${key}`);
+    }
+    overrides[key as keyof WorldConfig] = checkNumber(entry, WORLD_LIMITS[key as keyof WorldConfig], `${path}.${key}`);
+  }
+  return overrides;
+}
+
+// worldWidth -> GAME_WORLD_WIDTH
+function envName(key: string): string {
+  return `GAME_${key.replace(/[A-Z]/g, (letter) => `_${letter}`).toUpperCase()}`;
+}
+
+// GAME_* variables override that setting in every preset
+function readEnvOverrides(env: NodeJS.ProcessEnv): Partial<WorldConfig> {
+  const overrides: Partial<WorldConfig> = {};
+  for (const key of WORLD_KEYS) {
+    const name = envName(key);
+    const value = env[name];
+    if (value === undefined || value === '') continue;
+
+    overrides[key] = checkNumber(Number(value), WORLD_LIMITS[key], name);
+  }
+  return overrides;
+}
+
+// Comma separated preset ids, e.g. ARENA_PRESETS=classic,fast
+function parsePresetList(value: unknown, presets: WorldPreset[], path: string): WorldPreset[] {
+  const ids = typeof value === 'string' ? value.split(',').map((id) => id.trim()) : value;
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new Error(`Invalid game config: ${path} must list at least one preset`);
+  }
+
+  return ids.map((id) => {
+    const preset = presets.find((candidate) => candidate.id === id);
+    if (!preset) {
+      throw new Error(`Invalid game config: ${path} names unknown preset ${String(id)}`);
+    }
+    return preset;
+  });
+}
+
+// Builds the full config from the parsed file contents and the environment. The file may
+// leave anything out: without presets there is a single "classic" one with the defaults.
+export function parseGameConfig(raw: unknown, env: NodeJS.ProcessEnv = {}): GameConfig {
+  if (!isRecord(raw)) {
+    throw new Error('Invalid game config: expected an object');
+  }
+
+  const tickValue = env.TICK_INTERVAL ? Number(env.TICK_INTERVAL) : (raw.tickInterval ?? DEFAULT_TICK_INTERVAL);
+  const tickInterval = checkNumber(tickValue, TICK_INTERVAL_LIMIT, env.TICK_INTERVAL ? 'TICK_INTERVAL' : 'tickInterval');
+
+  const base = parseWorldOverrides(raw.world ?? {}, 'world');
+  const envOverrides = readEnvOverrides(env);
+  const rawPresets = raw.presets ?? { classic: { name: 'Classic' } };
+  if (!isRecord(rawPresets) || Object.keys(rawPresets).length === 0) {
+    throw new Error('Invalid game config: presets must be an object with at least one preset');
+  }
+
+  const presets = Object.entries(rawPresets).map(([id, value]): WorldPreset => {
+    const path = `presets.${id}`;
+    if (!PRESET_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid game config: preset id ${id} may only use lowercase letters, digits and dashes`);
+    }
+    const overrides = parseWorldOverrides(value, path, true);
+    const name = isRecord(value) && typeof value.name === 'string' && value.name.trim() !== '' ? value.name.trim() : id;
+
+    return {
+      id,
+      name,
+      world: checkWorld({ ...DEFAULT_WORLD_CONFIG, ...base, ...overrides, ...envOverrides }, path)
+    };
+  });
+
+  const arenaPresets = parsePresetList(
+    env.ARENA_PRESETS || (raw.arenaPresets ?? [presets[0].id]),
+    presets,
+    env.ARENA_PRESETS ? 'ARENA_PRESETS' : 'arenaPresets'
+  );
+
+  return { tickInterval, presets, arenaPresets };
+}
+
+// A missing file is fine and means defaults, a broken one stops the server from starting
+export function loadGameConfig(file: string, env: NodeJS.ProcessEnv = process.env): GameConfig {
+  let raw: unknown = {};
+  if (fs.existsSync(file)) {
+    try {
+      raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid game config: ${file} is not valid JSON (${(error as Error).message})`);
+    }
+  }
+  return parseGameConfig(raw, env);
+}
+
+export function getClientRules(preset: WorldPreset, tickInterval: number): ClientRules {
+  return {
+    preset: preset.name,
+    tickInterval,
+    minSpeed: preset.world.minSpeed,
+    speedReferenceMass: preset.world.speedReferenceMass,
+    speedExponent: preset.world.speedExponent,
+    speedBoost: preset.world.speedBoost
+  };
+}
@@ -1,173 +1,1303 @@
-import { io } from './server';
-import type { DeathData, Food, GameState, Player } from './types/serverTypes';
+import { EventEmitter } from 'events';
+import { Bot } from './bot';
+import { DEFAULT_WORLD_CONFIG } from './config';
+import { PALETTE, POWER_UP_TYPES } from './public/js/protocol';
+import { createRandom, type Random } from './random';
+import { SpatialHash } from './spatialHash';
+import type {
+  ArenaEvent,
+  BotDifficulty,
+  Cell,
+  ClientPlayer,
+  DeathData,
+  EjectedMass,
+  Food,
+  GameMode,
+  GameServerOptions,
+  GameSnapshot,
+  GameState,
+  GameSummary,
+  LeaderboardEntry,
+  MoveData,
+  Player,
+  PlayerSession,
+  PowerUp,
+  PowerUpType,
+  SessionResult,
+  Spectator,
+  Team,
+  TeamScore,
+  ViewBounds,
+  Virus,
+  WorldConfig
+} from './types/serverTypes';
 
-export class GameServer {
+// Team colours are locked and come from the shared palette
+const TEAMS: Team[] = [
+  { id: 0, name: 'Red', color: '#FF6B6B' },
+  { id: 1, name: 'Green', color: '#82E0AA' },
+  { id: 2, name: 'Blue', color: '#45B7D1' }
+];
+
+// How long each power-up lasts once picked up, in milliseconds
+const POWER_UP_DURATIONS: Record<PowerUpType, number> = {
+  speed: 8000,
+  shield: 6000,
+  magnet: 10000,
+  doubler: 12000
+};
+
+// Masses announced in the kill feed the first time a player reaches them in a life
+const MASS_MILESTONES = [1000, 2500, 5000, 10000];
+// The post-game sparkline keeps at most this many points, halving its resolution when full
+const MAX_MASS_SAMPLES = 120;
+const MASS_SAMPLE_INTERVAL = 1000;
+// Two players trading the lead back and forth only get announced this often
+const LEADER_ANNOUNCE_COOLDOWN = 10000;
+
+export function massToRadius(mass: number, scale = DEFAULT_WORLD_CONFIG.radiusScale): number {
+  return Math.sqrt(mass) * scale;
+}
+
+export function toClientPlayer(player: Player): ClientPlayer {
+  return {
+    id: player.id,
+    x: player.x,
+    y: player.y,
+    radius: player.radius,
+    color: player.color,
+    name: player.name,
+    mass: player.mass,
+    teamId: player.teamId,
+    effects: player.effects,
+    cells: player.cells.map((cell) => ({ id: cell.id, x: cell.x, y: cell.y, radius: cell.radius, mass: cell.mass }))
+  };
+}
+
+function rekey<T>(map: Map<string, T>, from: string, to: string): void {
+  const value = map.get(from);
+  if (value === undefined) return;
+
+  map.delete(from);
+  map.set(to, value);
+}
+
+// The simulation of one world, with no networking of its own. Emits
+// 'playerSpawn' (socketId, player), 'playerDeath' (socketId, deathData, player),
+// 'foodEaten' (socketId, food), 'cellEaten' (eaterSocketId, victimSocketId, mass),
+// 'arenaEvent' (event) for the kill feed and 'sessionEnd' (socketId, result) when a
+// human player dies or leaves.
+// Seed and clock can be injected so the same inputs always play out the same way.
+export class GameServer extends EventEmitter {
+  public readonly mode: GameMode;
+  private readonly random: Random;
+  private readonly now: () => number;
+  private readonly teams: Team[];
   private players: Map<string, Player>;
-  private food: Food[];
+  private food: Map<number, Food>;
+  private foodIndex: SpatialHash<Food>;
+  private cellIndex: SpatialHash<Cell>;
+  private ejected: EjectedMass[];
+  private ejectedIndex: SpatialHash<EjectedMass>;
+  private viruses: Virus[];
+  private powerUps: PowerUp[];
+  // When the next power-up may appear, they trickle in one at a time
+  private nextPowerUpAt: number;
+  private targets: Map<string, MoveData>;
+  // Sequence number of the last target each player was moved towards
+  private processedInputs: Map<string, number>;
+  // Food ids each client has been sent and not yet told to remove
+  private knownFood: Map<string, Set<number>>;
+  // Sockets watching the arena without a player of their own
+  private spectators: Map<string, Spectator>;
+  // Stats for the current life of every player
+  private sessions: Map<string, PlayerSession>;
+  // Socket id of the last leader announced in the kill feed, and when that was
+  private leaderId: string | null;
+  private leaderAnnouncedAt: number;
+  // Bot players, keyed by the id they are stored under in `players`
+  private bots: Map<string, Bot>;
+  private botPopulation: number;
+  private botDifficulty: BotDifficulty;
+  private nextBotId: number;
   private readonly worldWidth: number;
   private readonly worldHeight: number;
-  private readonly foodCount: number;
+  // Operators can change this at runtime through the admin API
+  private foodCount: number;
+  // Everything presets can change, see WorldConfig
+  private readonly rules: WorldConfig;
+  private readonly splitSpeed: number;
+  private readonly boostDecay: number;
+  private readonly ejectSpeed: number;
+  private readonly powerUpRadius: number;
+  private readonly viewWidth: number;
+  private readonly viewHeight: number;
+  private readonly viewMargin: number;
+  // Player speed is expressed per step of this length in milliseconds
+  private readonly moveStepTime: number;
+  private nextEntityId: number;
 
-  constructor() {
+  constructor(options: GameServerOptions = {}) {
+    super();
+    const { mode = 'ffa', teamCount = 2 } = options;
+    this.mode = mode;
+    this.teams = mode === 'teams' ? TEAMS.slice(0, Math.max(2, Math.min(TEAMS.length, teamCount))) : [];
+    this.random = options.seed !== undefined ? createRandom(options.seed) : Math.random;
+    this.now = options.now ?? Date.now;
     this.players = new Map();
-    this.food = [];
-    this.worldWidth = 5000;
-    this.worldHeight = 5000;
-    this.foodCount = 1000;
-    
+    this.food = new Map();
+    // Food is tiny and plentiful, cells span a wider range of sizes
+    this.foodIndex = new SpatialHash(100);
+    this.cellIndex = new SpatialHash(200);
+    this.ejected = [];
+    this.ejectedIndex = new SpatialHash(100);
+    this.viruses = [];
+    this.powerUps = [];
+    this.targets = new Map();
+    this.processedInputs = new Map();
+    this.knownFood = new Map();
+    this.spectators = new Map();
+    this.sessions = new Map();
+    this.leaderId = null;
+    this.leaderAnnouncedAt = -LEADER_ANNOUNCE_COOLDOWN;
+    this.bots = new Map();
+    this.botPopulation = 0;
+    this.botDifficulty = 'normal';
+    this.nextBotId = 0;
+    this.rules = { ...DEFAULT_WORLD_CONFIG, ...options.world };
+    this.worldWidth = this.rules.worldWidth;
+    this.worldHeight = this.rules.worldHeight;
+    this.foodCount = this.rules.foodCount;
+    this.splitSpeed = 40;
+    this.boostDecay = 0.85;
+    this.ejectSpeed = 30;
+    this.powerUpRadius = 18;
+    this.viewWidth = 1920;
+    this.viewHeight = 1080;
+    this.viewMargin = 200;
+    this.moveStepTime = 1000 / 60;
+    this.nextEntityId = 0;
+    this.nextPowerUpAt = this.now() + this.rules.powerUpInterval;
+
     this.initFood();
+    this.initViruses();
   }
 
   private initFood(): void {
-    this.food = [];
+    this.food.clear();
+    this.foodIndex.clear();
     for (let i = 0; i < this.foodCount; i++) {
-      this.food.push(this.createFood());
+      this.spawnFood();
+    }
+  }
+
+  private spawnFood(): void {
+    const food = this.createFood();
+    this.food.set(food.id, food);
+    this.foodIndex.insert(food);
+  }
+
+  private removeFood(food: Food): void {
+    this.food.delete(food.id);
+    this.foodIndex.remove(food);
+  }
+
+  // Grows or shrinks the food supply straight away, eaten food keeps respawning up to the new count
+  public setFoodCount(count: number): void {
+    this.foodCount = count;
+    while (this.food.size < count) {
+      this.spawnFood();
+    }
+    for (const food of this.food.values()) {
+      if (this.food.size <= count) break;
+      this.removeFood(food);
+    }
+  }
+
+  public getFoodCount(): number {
+    return this.food.size;
+  }
+
+  // Regenerates food and viruses and puts every player back to a fresh cell somewhere new.
+  // Players keep their ids so clients carry on without rejoining, bots are replaced.
+  public resetWorld(): void {
+    this.ejected = [];
+    this.ejectedIndex.clear();
+    this.powerUps = [];
+    this.nextPowerUpAt = this.now() + this.rules.powerUpInterval;
+    this.initFood();
+    this.initViruses();
+
+    for (const [socketId, player] of this.players) {
+      if (this.bots.has(socketId)) {
+        this.removePlayer(socketId);
+        continue;
+      }
+
+      // The run so far counts as a finished session, the reset starts a new one
+      this.endSession(socketId, player, null, player.mass);
+      for (const cell of player.cells) {
+        this.cellIndex.remove(cell);
+      }
+
+      const x = this.random() * this.worldWidth;
+      const y = this.random() * this.worldHeight;
+      player.cells = [this.createCell(socketId, x, y, this.rules.startMass)];
+      player.effects = [];
+      this.targets.set(socketId, { x, y, seq: this.targets.get(socketId)?.seq ?? 0 });
+      this.sessions.set(socketId, this.createSession(this.rules.startMass, this.players.size));
+      this.updatePlayerBounds(player);
+    }
+  }
+
+  private initViruses(): void {
+    this.viruses = [];
+    for (let i = 0; i < this.rules.virusCount; i++) {
+      this.viruses.push(this.createVirus(this.random() * this.worldWidth, this.random() * this.worldHeight));
     }
   }
 
+  // Adds one power-up every interval until the world holds powerUpCount of them
+  private spawnPowerUps(now: number): void {
+    if (this.powerUps.length >= this.rules.powerUpCount || now < this.nextPowerUpAt) return;
+
+    this.powerUps.push({
+      id: this.nextEntityId++,
+      type: POWER_UP_TYPES[Math.floor(this.random() * POWER_UP_TYPES.length)],
+      x: this.random() * this.worldWidth,
+      y: this.random() * this.worldHeight,
+      radius: this.powerUpRadius
+    });
+    this.nextPowerUpAt = now + this.rules.powerUpInterval;
+  }
+
+  // Picking up a power-up the player already has restarts its timer
+  private applyPowerUp(player: Player, type: PowerUpType): void {
+    const expiresAt = this.now() + POWER_UP_DURATIONS[type];
+    player.effects = player.effects.filter((effect) => effect.type !== type);
+    player.effects.push({ type, expiresAt });
+  }
+
+  private expireEffects(player: Player, now: number): void {
+    if (player.effects.length === 0) return;
+
+    player.effects = player.effects.filter((effect) => effect.expiresAt > now);
+  }
+
+  private hasEffect(player: Player | undefined, type: PowerUpType): boolean {
+    return player?.effects.some((effect) => effect.type === type) ?? false;
+  }
+
+  private getMassGain(ownerId: string, mass: number): number {
+    return this.hasEffect(this.players.get(ownerId), 'doubler') ? mass * this.rules.massGainBoost : mass;
+  }
+
   private getRandomColor(): string {
-    const colors = [
-      '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7',
-      '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9',
-      '#F8C471', '#82E0AA', '#F1948A', '#85C1E9', '#D7BDE2'
-    ];
-    return colors[Math.floor(Math.random() * colors.length)];
+    // Colours come from the shared palette so the binary protocol can send them as an index
+    return PALETTE[Math.floor(this.random() * PALETTE.length)];
+  }
+
+  // Puts a new player into the team with the fewest players, the lighter team on a tie
+  private pickTeam(): Team | null {
+    if (this.teams.length === 0) return null;
+
+    const scores = this.getTeamScores();
+    scores.sort((a, b) => a.players - b.players || a.mass - b.mass);
+    return this.teams.find((team) => team.id === scores[0].id) ?? null;
+  }
+
+  private isSameTeam(player1: Player, player2: Player): boolean {
+    return player1.teamId !== null && player1.teamId === player2.teamId;
   }
 
   public addPlayer(socketId: string, playerName: string): Player {
+    const x = this.random() * this.worldWidth;
+    const y = this.random() * this.worldHeight;
+    const team = this.pickTeam();
     const player: Player = {
-      id: socketId,
-      x: Math.random() * this.worldWidth,
-      y: Math.random() * this.worldHeight,
-      radius: 20,
-      color: this.getRandomColor(),
+      id: this.nextEntityId++,
+      x,
+      y,
+      radius: this.radiusOf(this.rules.startMass),
+      color: team ? team.color : this.getRandomColor(),
       name: playerName,
-      mass: 100,
-      speed: 5
+      mass: this.rules.startMass,
+      speed: this.rules.baseSpeed,
+      teamId: team ? team.id : null,
+      effects: [],
+      cells: [this.createCell(socketId, x, y, this.rules.startMass)]
     };
 
     this.players.set(socketId, player);
+    this.targets.set(socketId, { x, y, seq: 0 });
+    this.processedInputs.set(socketId, 0);
+    this.knownFood.set(socketId, new Set());
+    this.sessions.set(socketId, this.createSession(player.mass, this.players.size));
+    this.updatePlayerBounds(player);
+    this.emit('playerSpawn', socketId, player);
     return player;
   }
 
   public removePlayer(socketId: string): void {
+    const player = this.players.get(socketId);
+    if (player) {
+      // Players that die have their session ended already, this covers leaving mid-game
+      this.endSession(socketId, player, null, player.mass);
+      for (const cell of player.cells) {
+        this.cellIndex.remove(cell);
+      }
+    }
+
     this.players.delete(socketId);
+    this.targets.delete(socketId);
+    this.processedInputs.delete(socketId);
+    this.knownFood.delete(socketId);
+    this.bots.delete(socketId);
+  }
+
+  // A fresh life starts out ranked last among everyone in the world
+  private createSession(mass: number, rank: number): PlayerSession {
+    const now = this.now();
+    return {
+      spawnedAt: now,
+      peakMass: mass,
+      playersEaten: 0,
+      foodEaten: 0,
+      highestRank: rank,
+      nextMilestone: MASS_MILESTONES.findIndex((milestone) => milestone > mass),
+      massHistory: [Math.round(mass)],
+      sampleInterval: MASS_SAMPLE_INTERVAL,
+      lastSampleAt: now
+    };
+  }
+
+  private endSession(socketId: string, player: Player, killedBy: string | null, finalMass: number): void {
+    const session = this.sessions.get(socketId);
+    if (!session) return;
+
+    this.sessions.delete(socketId);
+    if (this.bots.has(socketId)) return;
+
+    const now = this.now();
+    const result: SessionResult = {
+      name: player.name,
+      peakMass: session.peakMass,
+      finalMass,
+      timeAlive: now - session.spawnedAt,
+      playersEaten: session.playersEaten,
+      foodEaten: session.foodEaten,
+      killedBy,
+      endedAt: now
+    };
+    this.emit('sessionEnd', socketId, result);
   }
 
-  public movePlayer(socketId: string, targetX: number, targetY: number): void {
+  // Holds a player where it is while its client is away
+  public freezePlayer(socketId: string): void {
     const player = this.players.get(socketId);
-    if (!player) return;
+    const target = this.targets.get(socketId);
+    if (!player || !target) return;
 
-    // Calculate direction vector
-    const dx = targetX - player.x;
-    const dy = targetY - player.y;
-    const distance = Math.sqrt(dx * dx + dy * dy);
+    this.targets.set(socketId, { x: player.x, y: player.y, seq: target.seq });
+  }
+
+  // Hands a player over to a new socket id, keeping its cells, mass and session.
+  // Null when the player was eaten in the meantime.
+  public reattachPlayer(oldSocketId: string, newSocketId: string): Player | null {
+    const player = this.players.get(oldSocketId);
+    if (!player) return null;
+
+    rekey(this.players, oldSocketId, newSocketId);
+    rekey(this.targets, oldSocketId, newSocketId);
+    rekey(this.processedInputs, oldSocketId, newSocketId);
+    rekey(this.sessions, oldSocketId, newSocketId);
+    for (const cell of player.cells) {
+      cell.ownerId = newSocketId;
+    }
+
+    // The client starts over with an empty world, so all food in view is sent again
+    this.knownFood.delete(oldSocketId);
+    this.knownFood.set(newSocketId, new Set());
+    return player;
+  }
+
+  public addSpectator(socketId: string): void {
+    this.removePlayer(socketId);
+    this.spectators.set(socketId, { followId: null, free: false, x: this.worldWidth / 2, y: this.worldHeight / 2 });
+    this.knownFood.set(socketId, new Set());
+  }
+
+  public removeSpectator(socketId: string): void {
+    if (!this.spectators.delete(socketId)) return;
+
+    this.knownFood.delete(socketId);
+  }
+
+  // Follows a player by id, or the current leader when playerId is null
+  public setSpectatorFollow(socketId: string, playerId: number | null): void {
+    const spectator = this.spectators.get(socketId);
+    if (!spectator) return;
+
+    spectator.followId = playerId;
+    spectator.free = false;
+  }
+
+  // Detaches the camera and moves it to the given point
+  public setSpectatorPosition(socketId: string, x: number, y: number): void {
+    const spectator = this.spectators.get(socketId);
+    if (!spectator) return;
 
-    if (distance > 0) {
-      // Normalize direction
-      const dirX = dx / distance;
-      const dirY = dy / distance;
+    spectator.free = true;
+    spectator.x = Math.max(0, Math.min(this.worldWidth, x));
+    spectator.y = Math.max(0, Math.min(this.worldHeight, y));
+  }
+
+  // The player a spectator is watching, falling back to the leader once the followed player is gone
+  private getSpectatorFocus(spectator: Spectator): Player | null {
+    if (spectator.free) return null;
+
+    let leader: Player | null = null;
+    for (const player of this.players.values()) {
+      if (player.id === spectator.followId) return player;
+      if (!leader || player.mass > leader.mass) {
+        leader = player;
+      }
+    }
+    return leader;
+  }
+
+  // Bots top the world up to `population` players and make room as humans join
+  public configureBots(population: number, difficulty: BotDifficulty): void {
+    this.botPopulation = Math.max(0, population);
+    this.botDifficulty = difficulty;
+    this.balanceBots();
+  }
+
+  private balanceBots(): void {
+    const wanted = Math.max(0, this.botPopulation - this.getPlayerCount());
+
+    while (this.bots.size < wanted) {
+      const botId = `bot:${this.nextBotId++}`;
+      const bot = new Bot(this.botDifficulty, this.worldWidth, this.worldHeight, this.rules.eatRatio, this.random);
+      this.bots.set(botId, bot);
+      this.addPlayer(botId, bot.name);
+    }
+
+    // Remove the smallest bots first so nobody sees a big cell vanish
+    if (this.bots.size > wanted) {
+      const surplus = Array.from(this.bots.keys())
+        .sort((a, b) => (this.players.get(a)?.mass ?? 0) - (this.players.get(b)?.mass ?? 0))
+        .slice(0, this.bots.size - wanted);
+      for (const botId of surplus) {
+        this.removePlayer(botId);
+      }
+    }
+  }
+
+  // Bots steer through setPlayerTarget/splitPlayer, the same input path human players use
+  private updateBots(now: number): void {
+    for (const [botId, bot] of this.bots) {
+      const player = this.players.get(botId);
+      if (!player || !bot.shouldThink(now)) continue;
+
+      const sight = bot.profile.sightRange + player.radius;
+      const food = this.foodIndex.query(player.x, player.y, sight);
+      const others = this.cellIndex.query(player.x, player.y, sight).filter((cell) => {
+        const owner = this.players.get(cell.ownerId);
+        return cell.ownerId !== botId && owner !== undefined && !this.isSameTeam(player, owner);
+      });
+
+      const decision = bot.think(player, food, others);
+      this.setPlayerTarget(botId, decision.target);
+      if (decision.split) {
+        this.splitPlayer(botId);
+      }
+    }
+  }
+
+  // Stores the latest target for a player, the actual movement happens once per tick in update()
+  public setPlayerTarget(socketId: string, input: MoveData): void {
+    if (!this.players.has(socketId)) return;
+
+    this.targets.set(socketId, { x: input.x, y: input.y, seq: input.seq });
+  }
+
+  // Bigger cells are slower, how much slower depends on the rules
+  private getCellSpeed(player: Player, cell: Cell): number {
+    const { minSpeed, speedReferenceMass, speedExponent } = this.rules;
+    return Math.max(minSpeed, player.speed * (speedReferenceMass / cell.mass) ** speedExponent);
+  }
+
+  // Cells above the threshold slowly shrink back towards it
+  private decayCells(player: Player, deltaTime: number): void {
+    const { massDecayRate, massDecayThreshold } = this.rules;
+    if (massDecayRate === 0) return;
+
+    const factor = 1 - massDecayRate * (deltaTime / 1000);
+    for (const cell of player.cells) {
+      if (cell.mass <= massDecayThreshold) continue;
+
+      cell.mass = Math.max(massDecayThreshold, cell.mass * factor);
+      cell.radius = this.radiusOf(cell.mass);
+    }
+  }
+
+  private movePlayer(socketId: string, player: Player, deltaTime: number): void {
+    const target = this.targets.get(socketId);
+    if (!target) return;
+
+    this.processedInputs.set(socketId, target.seq);
+    const steps = deltaTime / this.moveStepTime;
+    const boost = this.hasEffect(player, 'speed') ? this.rules.speedBoost : 1;
+
+    for (const cell of player.cells) {
+      // Calculate direction vector
+      const dx = target.x - cell.x;
+      const dy = target.y - cell.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+
+      if (distance > 0) {
+        // Normalize direction
+        const dirX = dx / distance;
+        const dirY = dy / distance;
+
+        // Calculate speed based on mass (bigger = slower), never overshooting the target
+        const speed = Math.min(distance, this.getCellSpeed(player, cell) * boost * steps);
+
+        // Move cell with smoothing
+        cell.x += dirX * speed;
+        cell.y += dirY * speed;
+
+        this.clampCell(cell);
+      }
+    }
+  }
+
+  public splitPlayer(socketId: string): void {
+    const player = this.players.get(socketId);
+    const target = this.targets.get(socketId);
+    if (!player || !target) return;
+
+    const now = this.now();
+    // Iterate over a snapshot so freshly split cells are not split again
+    for (const cell of [...player.cells]) {
+      if (player.cells.length >= this.rules.maxCells) break;
+      if (cell.mass < this.rules.minSplitMass) continue;
+
+      const dx = target.x - cell.x;
+      const dy = target.y - cell.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      // Split straight up when the cursor sits on the cell centre
+      const dirX = distance > 0 ? dx / distance : 0;
+      const dirY = distance > 0 ? dy / distance : -1;
+
+      cell.mass /= 2;
+      cell.radius = this.radiusOf(cell.mass);
+      cell.mergeAt = now + this.getMergeCooldown(cell.mass);
+
+      const newCell = this.createCell(socketId, cell.x + dirX * cell.radius, cell.y + dirY * cell.radius, cell.mass);
+      newCell.boostX = dirX * this.splitSpeed;
+      newCell.boostY = dirY * this.splitSpeed;
+      newCell.mergeAt = cell.mergeAt;
+      this.clampCell(newCell);
+      player.cells.push(newCell);
+    }
+
+    this.updatePlayerBounds(player);
+  }
+
+  public ejectMass(socketId: string): void {
+    const player = this.players.get(socketId);
+    const target = this.targets.get(socketId);
+    if (!player || !target) return;
+
+    for (const cell of player.cells) {
+      if (cell.mass < this.rules.minEjectMass) continue;
+
+      const dx = target.x - cell.x;
+      const dy = target.y - cell.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+      const dirX = distance > 0 ? dx / distance : 0;
+      const dirY = distance > 0 ? dy / distance : -1;
+
+      cell.mass -= this.rules.ejectMassLoss;
+      cell.radius = this.radiusOf(cell.mass);
+
+      const pellet: EjectedMass = {
+        id: this.nextEntityId++,
+        x: cell.x + dirX * cell.radius,
+        y: cell.y + dirY * cell.radius,
+        radius: this.radiusOf(this.rules.ejectedMass),
+        color: player.color,
+        mass: this.rules.ejectedMass,
+        boostX: dirX * this.ejectSpeed,
+        boostY: dirY * this.ejectSpeed
+      };
+      this.clampCell(pellet);
+      this.ejected.push(pellet);
+      this.ejectedIndex.insert(pellet);
+    }
+
+    this.updatePlayerBounds(player);
+  }
+
+  // Moves every player towards its latest target, advances launched cells, pellets and viruses
+  // and resolves merging/separation between cells of the same player
+  public update(deltaTime: number): void {
+    const now = this.now();
+
+    this.balanceBots();
+    this.updateBots(now);
+    this.spawnPowerUps(now);
+
+    for (const pellet of this.ejected) {
+      this.applyBoost(pellet);
+      this.ejectedIndex.update(pellet);
+    }
+
+    for (const virus of this.viruses) {
+      this.applyBoost(virus);
+    }
+
+    for (const [socketId, player] of this.players) {
+      this.expireEffects(player, now);
+      this.decayCells(player, deltaTime);
+      this.movePlayer(socketId, player, deltaTime);
+
+      for (const cell of player.cells) {
+        this.applyBoost(cell);
+      }
 
-      // Calculate speed based on mass (bigger = slower)
-      const speed = Math.max(2, player.speed * (100 / player.mass));
-      
-      // Move player with smoothing
-      player.x += dirX * speed;
-      player.y += dirY * speed;
+      for (let i = 0; i < player.cells.length; i++) {
+        for (let j = i + 1; j < player.cells.length; j++) {
+          const cell1 = player.cells[i];
+          const cell2 = player.cells[j];
 
-      // Keep player within world bounds
-      player.x = Math.max(player.radius, Math.min(this.worldWidth - player.radius, player.x));
-      player.y = Math.max(player.radius, Math.min(this.worldHeight - player.radius, player.y));
+          const dx = cell2.x - cell1.x;
+          const dy = cell2.y - cell1.y;
+          const distance = Math.sqrt(dx * dx + dy * dy);
+          const minDistance = cell1.radius + cell2.radius;
+
+          if (distance >= minDistance) continue;
+
+          if (now >= cell1.mergeAt && now >= cell2.mergeAt) {
+            // Merge once the smaller cell's centre is inside the bigger one
+            if (distance < Math.max(cell1.radius, cell2.radius)) {
+              this.growCell(cell1, cell2.mass);
+              player.cells.splice(j, 1);
+              this.cellIndex.remove(cell2);
+              j--;
+            }
+          } else if (cell1.boostX === 0 && cell1.boostY === 0 && cell2.boostX === 0 && cell2.boostY === 0) {
+            // Push overlapping siblings apart until they are allowed to merge
+            const overlap = (minDistance - distance) / 2;
+            const dirX = distance > 0 ? dx / distance : 1;
+            const dirY = distance > 0 ? dy / distance : 0;
+            cell1.x -= dirX * overlap;
+            cell1.y -= dirY * overlap;
+            cell2.x += dirX * overlap;
+            cell2.y += dirY * overlap;
+            this.clampCell(cell1);
+            this.clampCell(cell2);
+          }
+        }
+      }
+
+      this.updatePlayerBounds(player);
     }
   }
 
   public checkCollisions(): void {
-    // Check player-food collisions
+    // Check cell-food collisions, only food in the buckets around each cell is tested
     for (const player of this.players.values()) {
-      for (let i = this.food.length - 1; i >= 0; i--) {
-        const food = this.food[i];
-        const dx = player.x - food.x;
-        const dy = player.y - food.y;
-        const distance = Math.sqrt(dx * dx + dy * dy);
+      const reachBonus = this.hasEffect(player, 'magnet') ? this.rules.magnetRange : 0;
+      const gain = this.hasEffect(player, 'doubler') ? this.rules.massGainBoost : 1;
+
+      for (const cell of player.cells) {
+        const reach = cell.radius + reachBonus;
+        for (const food of this.foodIndex.query(cell.x, cell.y, reach)) {
+          const dx = cell.x - food.x;
+          const dy = cell.y - food.y;
+          const distance = Math.sqrt(dx * dx + dy * dy);
 
-        if (distance < player.radius + food.radius) {
-          // Player eats food
-          player.mass += food.mass;
-          player.radius = this.massToRadius(player.mass);
-          
-          // Remove food and add new one
-          this.food.splice(i, 1);
-          this.food.push(this.createFood());
+          if (distance < reach + food.radius) {
+            // Cell eats food
+            this.growCell(cell, food.mass * gain);
+            const session = this.sessions.get(cell.ownerId);
+            if (session) {
+              session.foodEaten++;
+            }
+
+            // Remove food and add new one
+            this.removeFood(food);
+            this.spawnFood();
+            this.emit('foodEaten', cell.ownerId, food);
+          }
         }
       }
+
+      this.updatePlayerBounds(player);
     }
 
-    // Check player-player collisions
-    const playersArray = Array.from(this.players.values());
-    for (let i = 0; i < playersArray.length; i++) {
-      for (let j = i + 1; j < playersArray.length; j++) {
-        const player1 = playersArray[i];
-        const player2 = playersArray[j];
+    // Check cell-power-up collisions, whoever touches a power-up first gets its effect
+    this.powerUps = this.powerUps.filter((powerUp) => {
+      for (const cell of this.cellIndex.query(powerUp.x, powerUp.y, powerUp.radius)) {
+        const dx = cell.x - powerUp.x;
+        const dy = cell.y - powerUp.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+        const player = this.players.get(cell.ownerId);
+
+        if (player && distance < cell.radius + powerUp.radius) {
+          this.applyPowerUp(player, powerUp.type);
+          return false;
+        }
+      }
+
+      return true;
+    });
+
+    // Check cell-ejected mass collisions, a pellet is eaten once its centre is inside a cell
+    this.ejected = this.ejected.filter((pellet) => {
+      // Pellets still flying away from their cell can't be eaten back straight away
+      if (pellet.boostX !== 0 || pellet.boostY !== 0) return true;
+
+      for (const cell of this.cellIndex.query(pellet.x, pellet.y, 0)) {
+        const dx = cell.x - pellet.x;
+        const dy = cell.y - pellet.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance < cell.radius) {
+          this.growCell(cell, this.getMassGain(cell.ownerId, pellet.mass));
+          this.refreshOwner(cell);
+          this.ejectedIndex.remove(pellet);
+          return false;
+        }
+      }
+
+      return true;
+    });
+
+    // Check cell-virus collisions, only cells big enough to swallow the virus pop
+    for (const virus of [...this.viruses]) {
+      for (const cell of this.cellIndex.query(virus.x, virus.y, 0)) {
+        const dx = cell.x - virus.x;
+        const dy = cell.y - virus.y;
+        const distance = Math.sqrt(dx * dx + dy * dy);
+
+        if (distance < cell.radius && cell.mass > virus.mass * this.rules.eatRatio) {
+          const player = this.players.get(cell.ownerId);
+          if (!player) continue;
+
+          this.growCell(cell, virus.mass);
+          this.viruses = this.viruses.filter((v) => v !== virus);
+          this.viruses.push(this.createVirus(this.random() * this.worldWidth, this.random() * this.worldHeight));
+          this.popCell(player, cell);
+          this.updatePlayerBounds(player);
+          break;
+        }
+      }
+    }
 
-        const dx = player1.x - player2.x;
-        const dy = player1.y - player2.y;
+    // Check virus-ejected mass collisions, feeding a virus enough makes it duplicate
+    // until the world holds maxViruses, after that viruses swallow pellets without growing
+    const fed = new Set<EjectedMass>();
+    for (const virus of [...this.viruses]) {
+      for (const pellet of this.ejectedIndex.query(virus.x, virus.y, virus.radius)) {
+        const dx = virus.x - pellet.x;
+        const dy = virus.y - pellet.y;
         const distance = Math.sqrt(dx * dx + dy * dy);
+        if (distance >= virus.radius + pellet.radius) continue;
 
-        if (distance < player1.radius + player2.radius) {
-          // Collision detected
-          if (player1.mass > player2.mass * 1.1) {
-            // Player1 eats Player2
-            player1.mass += player2.mass;
-            player1.radius = this.massToRadius(player1.mass);
-            this.handlePlayerDeath(player2.id, player1.name);
-          } else if (player2.mass > player1.mass * 1.1) {
-            // Player2 eats Player1
-            player2.mass += player1.mass;
-            player2.radius = this.massToRadius(player2.mass);
-            this.handlePlayerDeath(player1.id, player2.name);
+        fed.add(pellet);
+        this.ejectedIndex.remove(pellet);
+        virus.mass = Math.min(this.rules.virusMaxMass, virus.mass + pellet.mass);
+        virus.radius = this.radiusOf(virus.mass);
+
+        if (virus.mass >= this.rules.virusMaxMass && this.viruses.length < this.rules.maxViruses) {
+          this.duplicateVirus(virus, pellet);
+        }
+      }
+    }
+    if (fed.size > 0) {
+      this.ejected = this.ejected.filter((pellet) => !fed.has(pellet));
+    }
+
+    // Check cell-cell collisions between different players, teammates pass through each other
+    for (const player1 of Array.from(this.players.values())) {
+      for (const cell1 of [...player1.cells]) {
+        for (const cell2 of this.cellIndex.query(cell1.x, cell1.y, cell1.radius)) {
+          // Either cell may have been eaten earlier in this pass
+          if (!this.cellIndex.has(cell1.id)) break;
+          if (cell2.ownerId === cell1.ownerId || !this.cellIndex.has(cell2.id)) continue;
+
+          const player2 = this.players.get(cell2.ownerId);
+          if (!player2 || this.isSameTeam(player1, player2)) continue;
+
+          const dx = cell1.x - cell2.x;
+          const dy = cell1.y - cell2.y;
+          const distance = Math.sqrt(dx * dx + dy * dy);
+
+          if (distance < cell1.radius + cell2.radius) {
+            // Collision detected, shielded players can't be eaten
+            if (cell1.mass > cell2.mass * this.rules.eatRatio && !this.hasEffect(player2, 'shield')) {
+              // Cell1 eats Cell2
+              this.eatCell(player1, cell1, player2, cell2);
+            } else if (cell2.mass > cell1.mass * this.rules.eatRatio && !this.hasEffect(player1, 'shield')) {
+              // Cell2 eats Cell1
+              this.eatCell(player2, cell2, player1, cell1);
+            }
           }
         }
       }
     }
+
+    this.trackSessions();
   }
 
-  private createFood(): Food {
+  // Mass only grows through eating, so after collisions is where peaks, ranks and milestones
+  // can change. Also samples mass for the post-game sparkline and announces new leaders.
+  private trackSessions(): void {
+    const now = this.now();
+    const ranked = Array.from(this.players.entries()).sort(([, a], [, b]) => b.mass - a.mass);
+
+    ranked.forEach(([socketId, player], index) => {
+      const session = this.sessions.get(socketId);
+      if (!session) return;
+
+      session.peakMass = Math.max(session.peakMass, player.mass);
+      session.highestRank = Math.min(session.highestRank, index + 1);
+      if (now - session.lastSampleAt >= session.sampleInterval) {
+        this.sampleMass(session, player.mass, now);
+      }
+
+      // Only the biggest milestone passed at once is announced
+      let reached: number | null = null;
+      while (session.nextMilestone >= 0 && player.mass >= MASS_MILESTONES[session.nextMilestone]) {
+        reached = MASS_MILESTONES[session.nextMilestone];
+        session.nextMilestone = session.nextMilestone + 1 < MASS_MILESTONES.length ? session.nextMilestone + 1 : -1;
+      }
+      if (reached !== null) {
+        this.emitArenaEvent({ type: 'milestone', ts: now, name: player.name, mass: reached });
+      }
+    });
+
+    // A lead taken during the cooldown is announced once it is over, if it is still held
+    const leaderId = ranked[0]?.[0] ?? null;
+    if (leaderId !== null && leaderId !== this.leaderId && now - this.leaderAnnouncedAt >= LEADER_ANNOUNCE_COOLDOWN) {
+      this.leaderId = leaderId;
+      this.leaderAnnouncedAt = now;
+      this.emitArenaEvent({ type: 'leader', ts: now, name: ranked[0][1].name });
+    }
+  }
+
+  private sampleMass(session: PlayerSession, mass: number, now: number): void {
+    session.massHistory.push(Math.round(mass));
+    session.lastSampleAt = now;
+    if (session.massHistory.length >= MAX_MASS_SAMPLES) {
+      session.massHistory = session.massHistory.filter((_, index) => index % 2 === 0);
+      session.sampleInterval *= 2;
+    }
+  }
+
+  private emitArenaEvent(event: ArenaEvent): void {
+    this.emit('arenaEvent', event);
+  }
+
+  private eatCell(eater: Player, eaterCell: Cell, victim: Player, victimCell: Cell): void {
+    this.growCell(eaterCell, this.getMassGain(eaterCell.ownerId, victimCell.mass));
+    victim.cells = victim.cells.filter((cell) => cell !== victimCell);
+    this.cellIndex.remove(victimCell);
+
+    this.updatePlayerBounds(eater);
+    this.updatePlayerBounds(victim);
+    this.emit('cellEaten', eaterCell.ownerId, victimCell.ownerId, victimCell.mass);
+
+    // A player only dies once their last cell is eaten
+    if (victim.cells.length === 0) {
+      const session = this.sessions.get(eaterCell.ownerId);
+      if (session) {
+        session.playersEaten++;
+      }
+      this.handlePlayerDeath(victimCell.ownerId, eater.name, victimCell.mass);
+    }
+  }
+
+  // Splits a cell that swallowed a virus into evenly sized pieces flying outwards
+  private popCell(player: Player, cell: Cell): void {
+    const pieces = Math.min(
+      this.rules.maxCells - player.cells.length,
+      Math.floor(cell.mass / (this.rules.minSplitMass / 2)) - 1
+    );
+    if (pieces <= 0) return;
+
+    const now = this.now();
+    cell.mass /= pieces + 1;
+    cell.radius = this.radiusOf(cell.mass);
+    cell.mergeAt = now + this.getMergeCooldown(cell.mass);
+
+    for (let i = 0; i < pieces; i++) {
+      const angle = (i / pieces) * Math.PI * 2;
+      const dirX = Math.cos(angle);
+      const dirY = Math.sin(angle);
+
+      const newCell = this.createCell(cell.ownerId, cell.x + dirX * cell.radius, cell.y + dirY * cell.radius, cell.mass);
+      newCell.boostX = dirX * this.splitSpeed;
+      newCell.boostY = dirY * this.splitSpeed;
+      newCell.mergeAt = cell.mergeAt;
+      this.clampCell(newCell);
+      player.cells.push(newCell);
+    }
+  }
+
+  // Resets an overfed virus and shoots a new one in the direction of the last pellet
+  private duplicateVirus(virus: Virus, pellet: EjectedMass): void {
+    virus.mass = this.rules.virusMass;
+    virus.radius = this.radiusOf(virus.mass);
+
+    const speed = Math.sqrt(pellet.boostX * pellet.boostX + pellet.boostY * pellet.boostY);
+    const dx = virus.x - pellet.x;
+    const dy = virus.y - pellet.y;
+    const distance = Math.sqrt(dx * dx + dy * dy);
+    const dirX = speed > 0 ? pellet.boostX / speed : distance > 0 ? dx / distance : 1;
+    const dirY = speed > 0 ? pellet.boostY / speed : distance > 0 ? dy / distance : 0;
+
+    const newVirus = this.createVirus(virus.x, virus.y);
+    newVirus.boostX = dirX * this.splitSpeed;
+    newVirus.boostY = dirY * this.splitSpeed;
+    this.viruses.push(newVirus);
+  }
+
+  private createVirus(x: number, y: number): Virus {
+    const virus: Virus = {
+      id: this.nextEntityId++,
+      x,
+      y,
+      radius: this.radiusOf(this.rules.virusMass),
+      mass: this.rules.virusMass,
+      boostX: 0,
+      boostY: 0
+    };
+    this.clampCell(virus);
+    return virus;
+  }
+
+  private createCell(ownerId: string, x: number, y: number, mass: number): Cell {
     return {
-      id: `food_${Date.now()}_${Math.random()}`,
-      x: Math.random() * this.worldWidth,
-      y: Math.random() * this.worldHeight,
-      radius: 5,
-      color: this.getRandomColor(),
-      mass: 1
+      id: this.nextEntityId++,
+      ownerId,
+      x,
+      y,
+      radius: this.radiusOf(mass),
+      mass,
+      boostX: 0,
+      boostY: 0,
+      mergeAt: 0
     };
   }
 
-  private massToRadius(mass: number): number {
-    return Math.sqrt(mass) * 2;
+  private radiusOf(mass: number): number {
+    return massToRadius(mass, this.rules.radiusScale);
+  }
+
+  // Adds eaten mass to a cell, a cell never grows past maxCellMass
+  private growCell(cell: Cell, mass: number): void {
+    cell.mass = Math.min(this.rules.maxCellMass, cell.mass + mass);
+    cell.radius = this.radiusOf(cell.mass);
+  }
+
+  private getMergeCooldown(mass: number): number {
+    return this.rules.mergeBaseTime + mass * this.rules.mergeTimePerMass;
+  }
+
+  private clampCell(cell: Cell | EjectedMass | Virus): void {
+    // Keep cell within world bounds
+    cell.x = Math.max(cell.radius, Math.min(this.worldWidth - cell.radius, cell.x));
+    cell.y = Math.max(cell.radius, Math.min(this.worldHeight - cell.radius, cell.y));
+  }
+
+  // Moves an entity along its launch velocity and slows it down
+  private applyBoost(entity: Cell | EjectedMass | Virus): void {
+    if (entity.boostX === 0 && entity.boostY === 0) return;
+
+    entity.x += entity.boostX;
+    entity.y += entity.boostY;
+    entity.boostX *= this.boostDecay;
+    entity.boostY *= this.boostDecay;
+
+    if (Math.abs(entity.boostX) < 0.5 && Math.abs(entity.boostY) < 0.5) {
+      entity.boostX = 0;
+      entity.boostY = 0;
+    }
+
+    this.clampCell(entity);
   }
 
-  private handlePlayerDeath(playerId: string, eatenBy: string): void {
-    const player = this.players.get(playerId);
+  private refreshOwner(cell: Cell): void {
+    const player = this.players.get(cell.ownerId);
     if (player) {
-      const deathData: DeathData = {
-        playerId,
-        eatenBy,
-        finalMass: player.mass
-      };
-      io.to(playerId).emit('playerDeath', deathData);
-      this.players.delete(playerId);
+      this.updatePlayerBounds(player);
     }
   }
 
+  // Recomputes the aggregate position, mass and radius of a player from its cells
+  // and keeps the cell index in sync with where the cells moved or grew
+  private updatePlayerBounds(player: Player): void {
+    if (player.cells.length === 0) return;
+
+    let mass = 0;
+    let x = 0;
+    let y = 0;
+    for (const cell of player.cells) {
+      this.cellIndex.update(cell);
+      mass += cell.mass;
+      x += cell.x * cell.mass;
+      y += cell.y * cell.mass;
+    }
+
+    player.mass = mass;
+    player.x = x / mass;
+    player.y = y / mass;
+    player.radius = this.radiusOf(mass);
+  }
+
+  private createFood(): Food {
+    return {
+      id: this.nextEntityId++,
+      x: this.random() * this.worldWidth,
+      y: this.random() * this.worldHeight,
+      radius: this.rules.foodRadius,
+      color: this.getRandomColor(),
+      mass: this.rules.foodMass
+    };
+  }
+
+  private handlePlayerDeath(socketId: string, eatenBy: string, finalMass: number): void {
+    const player = this.players.get(socketId);
+    if (!player) return;
+
+    const deathData: DeathData = {
+      playerId: player.id,
+      eatenBy,
+      finalMass,
+      summary: this.getSummary(socketId, finalMass)
+    };
+    this.emitArenaEvent({ type: 'kill', ts: this.now(), eater: eatenBy, victim: player.name, mass: finalMass });
+    this.emit('playerDeath', socketId, deathData, player);
+    this.endSession(socketId, player, eatenBy, finalMass);
+    // Eaten bots are simply replaced on the next tick
+    this.removePlayer(socketId);
+  }
+
+  // The life so far, ending in the mass the player died with
+  private getSummary(socketId: string, finalMass: number): GameSummary {
+    const session = this.sessions.get(socketId) ?? this.createSession(finalMass, this.players.size);
+    return {
+      timeAlive: this.now() - session.spawnedAt,
+      peakMass: Math.max(session.peakMass, finalMass),
+      highestRank: session.highestRank,
+      playersEaten: session.playersEaten,
+      foodEaten: session.foodEaten,
+      massHistory: [...session.massHistory, Math.round(finalMass)]
+    };
+  }
+
   public getGameState(): GameState {
     return {
-      ts: Date.now(),
+      ts: this.now(),
       players: Array.from(this.players.values()),
-      food: this.food,
+      food: Array.from(this.food.values()),
+      ejected: this.ejected,
+      viruses: this.viruses,
+      powerUps: this.powerUps,
+      totalPlayers: this.players.size
+    };
+  }
+
+  // Builds one snapshot per player and spectator, limited to what is inside their viewport
+  public getSnapshots(): Map<string, GameSnapshot> {
+    // The parts that are the same for everyone in the arena
+    const shared = { ts: this.now(), leaderboard: this.getLeaderboard(), teams: this.getTeamScores() };
+    const snapshots = new Map<string, GameSnapshot>();
+
+    for (const [socketId, player] of this.players) {
+      if (this.bots.has(socketId)) continue;
+
+      snapshots.set(socketId, this.buildSnapshot(socketId, this.getViewBounds(player), player, shared));
+    }
+
+    for (const [socketId, spectator] of this.spectators) {
+      const focus = this.getSpectatorFocus(spectator);
+      if (focus) {
+        // Remember where the camera was so free roaming starts from there
+        spectator.x = focus.x;
+        spectator.y = focus.y;
+      }
+
+      const view = focus ? this.getViewBounds(focus) : this.getFreeViewBounds(spectator.x, spectator.y);
+      snapshots.set(socketId, this.buildSnapshot(socketId, view, focus, shared));
+    }
+
+    return snapshots;
+  }
+
+  // The whole world as one snapshot, food is sent as changes since the last call with the same viewer id
+  public getWorldSnapshot(viewerId: string): GameSnapshot {
+    const shared = { ts: this.now(), leaderboard: this.getLeaderboard(), teams: this.getTeamScores() };
+    const view = { left: 0, top: 0, right: this.worldWidth, bottom: this.worldHeight };
+    return this.buildSnapshot(viewerId, view, null, shared);
+  }
+
+  // The next snapshot for this viewer starts again from scratch
+  public resetKnownFood(viewerId: string): void {
+    this.knownFood.delete(viewerId);
+  }
+
+  private buildSnapshot(
+    socketId: string,
+    view: ViewBounds,
+    focus: Player | null,
+    shared: Pick<GameSnapshot, 'ts' | 'leaderboard' | 'teams'>
+  ): GameSnapshot {
+    const known = this.knownFood.get(socketId) ?? new Set<number>();
+
+    // The focused player is always sent, even when it is bigger than the view
+    const visiblePlayers = new Map<number, Player>();
+    if (focus) {
+      visiblePlayers.set(focus.id, focus);
+    }
+    for (const cell of this.cellIndex.queryRect(view.left, view.top, view.right, view.bottom)) {
+      const owner = this.players.get(cell.ownerId);
+      if (owner) {
+        visiblePlayers.set(owner.id, owner);
+      }
+    }
+
+    const visibleFood = new Set<number>();
+    const foodAdded: Food[] = [];
+    for (const food of this.foodIndex.queryRect(view.left, view.top, view.right, view.bottom)) {
+      visibleFood.add(food.id);
+      if (!known.has(food.id)) {
+        foodAdded.push(food);
+      }
+    }
+
+    const foodRemoved: number[] = [];
+    for (const foodId of known) {
+      if (!visibleFood.has(foodId)) {
+        foodRemoved.push(foodId);
+      }
+    }
+    this.knownFood.set(socketId, visibleFood);
+
+    return {
+      ...shared,
+      lastProcessedInput: this.processedInputs.get(socketId) ?? 0,
+      players: Array.from(visiblePlayers.values(), toClientPlayer),
+      foodAdded,
+      foodRemoved,
+      ejected: this.ejected
+        .filter((pellet) => this.isInView(pellet, view))
+        .map(({ id, x, y, radius, color, mass }) => ({ id, x, y, radius, color, mass })),
+      viruses: this.viruses
+        .filter((virus) => this.isInView(virus, view))
+        .map(({ id, x, y, radius, mass }) => ({ id, x, y, radius, mass })),
+      powerUps: this.powerUps.filter((powerUp) => this.isInView(powerUp, view)),
+      // Spectators live in their own map and are not counted
       totalPlayers: this.players.size
     };
   }
 
+  public getLeaderboard(): LeaderboardEntry[] {
+    return Array.from(this.players.entries())
+      .sort(([, a], [, b]) => b.mass - a.mass)
+      .slice(0, 10)
+      .map(([socketId, player]) => ({
+        id: player.id,
+        name: player.name,
+        mass: player.mass,
+        bot: this.bots.has(socketId),
+        x: player.x,
+        y: player.y
+      }));
+  }
+
+  // Combined mass and head count per team, heaviest team first
+  public getTeamScores(): TeamScore[] {
+    const scores = new Map<number, TeamScore>();
+    for (const team of this.teams) {
+      scores.set(team.id, { ...team, mass: 0, players: 0 });
+    }
+
+    for (const player of this.players.values()) {
+      const score = player.teamId !== null ? scores.get(player.teamId) : undefined;
+      if (!score) continue;
+
+      score.mass += player.mass;
+      score.players++;
+    }
+
+    return Array.from(scores.values()).sort((a, b) => b.mass - a.mass);
+  }
+
+  public getTeams(): Team[] {
+    return this.teams;
+  }
+
+  // The viewport grows with the player's size and covers every one of its cells. The margin
+  // grows along with it, since clients zoom out by the same factor and may zoom out a little
+  // further on top (see MIN_USER_ZOOM in game.js).
+  private getViewBounds(player: Player): ViewBounds {
+    const scale = Math.max(1, Math.sqrt(player.radius / 20));
+    const halfWidth = (this.viewWidth / 2 + this.viewMargin) * scale;
+    const halfHeight = (this.viewHeight / 2 + this.viewMargin) * scale;
+
+    let left = player.x - halfWidth;
+    let top = player.y - halfHeight;
+    let right = player.x + halfWidth;
+    let bottom = player.y + halfHeight;
+    for (const cell of player.cells) {
+      left = Math.min(left, cell.x - cell.radius - this.viewMargin);
+      top = Math.min(top, cell.y - cell.radius - this.viewMargin);
+      right = Math.max(right, cell.x + cell.radius + this.viewMargin);
+      bottom = Math.max(bottom, cell.y + cell.radius + this.viewMargin);
+    }
+
+    return { left, top, right, bottom };
+  }
+
+  // Viewport of a free-roaming spectator, the size of a fresh player's view
+  private getFreeViewBounds(x: number, y: number): ViewBounds {
+    const halfWidth = this.viewWidth / 2 + this.viewMargin;
+    const halfHeight = this.viewHeight / 2 + this.viewMargin;
+    return { left: x - halfWidth, top: y - halfHeight, right: x + halfWidth, bottom: y + halfHeight };
+  }
+
+  private isInView(entity: { x: number; y: number; radius: number }, view: ViewBounds): boolean {
+    return (
+      entity.x + entity.radius >= view.left &&
+      entity.x - entity.radius <= view.right &&
+      entity.y + entity.radius >= view.top &&
+      entity.y - entity.radius <= view.bottom
+    );
+  }
+
+  public getPlayer(socketId: string): Player | undefined {
+    return this.players.get(socketId);
+  }
+
+  public isSpectator(socketId: string): boolean {
+    return this.spectators.has(socketId);
+  }
+
+  // Human players only, bots never take up arena capacity
+  public getPlayerCount(): number {
+    return this.players.size - this.bots.size;
+  }
+
+  public getBotCount(): number {
+    return this.bots.size;
+  }
+
   public getWorldDimensions(): { width: number; height: number } {
     return {
       width: this.worldWidth,
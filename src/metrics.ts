@@ -0,0 +1,136 @@
+// Minimal Prometheus text-format metrics, enough for a few gauges and histograms
+// without pulling in a client library.
+
+export type Labels = Record<string, string>;
+
+export interface Sample {
+  labels: Labels;
+  value: number;
+}
+
+function formatLabels(labels: Labels): string {
+  const pairs = Object.entries(labels).map(
+    ([key, value]) => `${key}="${value.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value: number): string {
+  if (value === Number.POSITIVE_INFINITY) return '+Inf';
+  return String(value);
+}
+
+// Gauges are read at scrape time, so they are rendered straight from current values
+export function renderGauge(name: string, help: string, samples: Sample[]): string {
+  const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+  for (const sample of samples) {
+    lines.push(`${name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+  }
+  return lines.join('\n');
+}
+
+export class Counter {
+  private readonly name: string;
+  private readonly help: string;
+  private values: Map<string, Sample>;
+
+  constructor(name: string, help: string) {
+    this.name = name;
+    this.help = help;
+    this.values = new Map();
+  }
+
+  public inc(labels: Labels, amount = 1): void {
+    const key = formatLabels(labels);
+    const sample = this.values.get(key);
+    if (sample) {
+      sample.value += amount;
+    } else {
+      this.values.set(key, { labels, value: amount });
+    }
+  }
+
+  public render(): string {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} counter`];
+    for (const sample of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+interface HistogramSeries {
+  labels: Labels;
+  // Cumulative counts per bucket, the last entry is +Inf
+  counts: number[];
+  sum: number;
+  count: number;
+}
+
+export class Histogram {
+  private readonly name: string;
+  private readonly help: string;
+  private readonly buckets: number[];
+  private series: Map<string, HistogramSeries>;
+
+  constructor(name: string, help: string, buckets: number[]) {
+    this.name = name;
+    this.help = help;
+    this.buckets = [...buckets].sort((a, b) => a - b);
+    this.series = new Map();
+  }
+
+  public observe(labels: Labels, value: number): void {
+    const key = formatLabels(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: new Array(this.buckets.length + 1).fill(0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+
+    for (let i = 0; i < this.buckets.length; i++) {
+      if (value <= this.buckets[i]) {
+        series.counts[i]++;
+      }
+    }
+    series.counts[this.buckets.length]++;
+    series.sum += value;
+    series.count++;
+  }
+
+  // Drops the series for labels that no longer exist, e.g. a closed arena
+  public remove(labels: Labels): void {
+    this.series.delete(formatLabels(labels));
+  }
+
+  public render(): string {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} histogram`];
+    for (const series of this.series.values()) {
+      const bounds = [...this.buckets, Number.POSITIVE_INFINITY];
+      bounds.forEach((bound, i) => {
+        const labels = formatLabels({ ...series.labels, le: formatValue(bound) });
+        lines.push(`${this.name}_bucket${labels} ${series.counts[i]}`);
+      });
+      lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+      lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+    }
+    return lines.join('\n');
+  }
+}
+
+export const tickDuration = new Histogram(
+  'agario_tick_duration_seconds',
+  'Time spent simulating and broadcasting one arena tick',
+  [0.001, 0.0025, 0.005, 0.01, 0.025, 0.05, 0.1]
+);
+
+export const tickBytesSent = new Histogram(
+  'agario_tick_bytes_sent',
+  'Bytes of game updates sent to all clients in one arena tick',
+  [1024, 4096, 16384, 65536, 262144, 1048576]
+);
+
+export const invalidPayloads = new Counter(
+  'agario_invalid_payloads_total',
+  'Socket events dropped because their payload failed validation'
+);
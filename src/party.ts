@@ -0,0 +1,111 @@
+import { randomBytes } from 'crypto';
+import type { PartySettings } from './types/serverTypes';
+
+// No 0/O or 1/I, so codes survive being read out loud or typed from a screenshot
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+export const INVITE_CODE_PATTERN = new RegExp(`^[${CODE_ALPHABET}]{${CODE_LENGTH}}$`);
+
+// Hosts pick within these, bigger worlds and more food cost every member bandwidth and the server ticks
+export const PARTY_MAP_SIZE_LIMIT = { min: 1000, max: 20000 };
+export const PARTY_FOOD_COUNT_LIMIT = { min: 0, max: 5000 };
+
+// The alphabet has 32 letters, so every byte maps onto it without bias
+export function createInviteCode(): string {
+  return Array.from(randomBytes(CODE_LENGTH), (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+}
+
+export function partyArenaId(code: string): string {
+  return `party-${code}`;
+}
+
+// Who is in a private arena and who runs it. The first member is the host, and when the
+// host leaves the longest-standing member takes over.
+export class Party {
+  public readonly code: string;
+  public settings: PartySettings;
+  private hostId: string | null;
+  // Socket id to member id, in joining order
+  private memberIds: Map<string, number>;
+  private nextMemberId: number;
+  // Socket id to the address it connected from
+  private memberAddresses: Map<string, string>;
+  // Addresses of kicked members. Kicks go by address because a reload gets a fresh socket id,
+  // which also keeps out anyone else playing from behind the same address.
+  private kicked: Set<string>;
+
+  constructor(code: string, settings: PartySettings) {
+    this.code = code;
+    this.settings = settings;
+    this.hostId = null;
+    this.memberIds = new Map();
+    this.nextMemberId = 1;
+    this.memberAddresses = new Map();
+    this.kicked = new Set();
+  }
+
+  public addMember(socketId: string, address: string): void {
+    if (!this.memberIds.has(socketId)) {
+      this.memberIds.set(socketId, this.nextMemberId++);
+    }
+    this.memberAddresses.set(socketId, address);
+    this.hostId ??= socketId;
+  }
+
+  public removeMember(socketId: string): void {
+    this.memberIds.delete(socketId);
+    this.memberAddresses.delete(socketId);
+    if (this.hostId === socketId) {
+      this.hostId = this.memberIds.keys().next().value ?? null;
+    }
+  }
+
+  // A reconnected member keeps its number and, if it had it, the host role
+  public replaceMember(oldSocketId: string, newSocketId: string): void {
+    const memberId = this.memberIds.get(oldSocketId);
+    if (memberId === undefined) return;
+
+    this.memberIds = new Map(
+      Array.from(this.memberIds, ([socketId, id]): [string, number] => [socketId === oldSocketId ? newSocketId : socketId, id])
+    );
+    const address = this.memberAddresses.get(oldSocketId);
+    this.memberAddresses.delete(oldSocketId);
+    if (address !== undefined) {
+      this.memberAddresses.set(newSocketId, address);
+    }
+    if (this.hostId === oldSocketId) {
+      this.hostId = newSocketId;
+    }
+  }
+
+  public isHost(socketId: string): boolean {
+    return this.hostId === socketId;
+  }
+
+  public getMemberId(socketId: string): number | undefined {
+    return this.memberIds.get(socketId);
+  }
+
+  public findSocketId(memberId: number): string | undefined {
+    for (const [socketId, id] of this.memberIds) {
+      if (id === memberId) return socketId;
+    }
+    return undefined;
+  }
+
+  public getSocketIds(): string[] {
+    return Array.from(this.memberIds.keys());
+  }
+
+  public kick(socketId: string): void {
+    const address = this.memberAddresses.get(socketId);
+    if (address !== undefined) {
+      this.kicked.add(address);
+    }
+    this.removeMember(socketId);
+  }
+
+  public isKicked(address: string): boolean {
+    return this.kicked.has(address);
+  }
+}
@@ -1,45 +1,167 @@
-class GameApp {
-  constructor() {
+import { ACTION_LABELS, formatBinding, INPUT_SCHEMES, InputManager } from './input.js';
+
+// How each power-up and its effect look: pickup and aura colour, HUD icon and name
+const POWER_UP_STYLES = {
+  speed: { color: 0xFFD54F, icon: '⚡', label: 'Speed' },
+  shield: { color: 0x4FC3F7, icon: '🛡️', label: 'Shield' },
+  magnet: { color: 0xF06292, icon: '🧲', label: 'Magnet' },
+  doubler: { color: 0xBA68C8, icon: '×2', label: 'Mass x2' },
+};
+
+const GRID_SIZE = 100;
+// Must match the server's base viewport and the margin around it, the server scales both
+// up as the player grows
+const VIEW_WIDTH = 1920;
+const VIEW_HEIGHT = 1080;
+const VIEW_MARGIN = 200;
+// Leaders shown on the minimap
+const MINIMAP_PLAYERS = 5;
+// Food and cell bodies are drawn once at these sizes and scaled, tint gives food its colour
+const FOOD_TEXTURE_RADIUS = 16;
+const CELL_TEXTURE_RADII = [32, 64, 128, 256, 512];
+// Anything this far outside the screen is still drawn so it doesn't pop in at the edges
+const CULL_MARGIN = 100;
+// Cells smaller than this get no name or mass label
+const LABEL_MIN_RADIUS = 20;
+const LABEL_STYLE = {
+  fontFamily: 'Arial',
+  fontSize: 48,
+  fontWeight: 'bold',
+  fill: 0xFFFFFF,
+  stroke: { color: 0x000000, width: 6 },
+};
+
+export class GameApp {
+  // Offline apps only render, whoever created them feeds snapshots in (see replay.js)
+  constructor(options = {}) {
+    this.offline = options.offline || false;
     this.socket = null;
     this.gameStarted = false;
     this.gameOver = false;
     this.playerName = "";
     this.currentPlayer = null;
     this.players = [];
-    this.food = [];
+    this.food = new Map();
+    this.ejected = [];
+    this.viruses = [];
+    this.powerUps = [];
     this.playerCount = 0;
     this.leaderboard = [];
+    this.rooms = [];
+    this.highscores = [];
+    this.arenaId = null;
+    this.arenaName = "";
+    this.gameMode = "ffa";
+    this.teams = [];
+    this.teamScores = [];
     
-    // Pixi.js
+    // Pixi.js, the application is created asynchronously and ready resolves once it exists
     this.app = null;
+    this.ready = null;
+    this.worldContainer = null;
     this.playerContainer = null;
     this.foodContainer = null;
-    this.gridContainer = null;
+    this.virusContainer = null;
+    this.powerUpContainer = null;
+    this.gridSprite = null;
+    this.foodTexture = null;
+    // Cell body textures by colour, border and size, shared by every cell that looks the same
+    this.cellTextures = new Map();
+    // Cell containers by player id and cell id
     this.playerSprites = new Map();
+    // Food sprites by food id, only for food on screen. Released sprites go back to the pool.
     this.foodSprites = new Map();
+    this.foodPool = [];
+    this.virusSprites = new Map();
+    this.powerUpSprites = new Map();
     
-    // Camera
+    // Camera, x and y are the world point at the centre of the screen
     this.camera = { x: 0, y: 0 };
-    this.mouse = { x: 0, y: 0 };
+    // Mouse, keyboard, gamepad or joystick, see input.js
+    this.input = null;
+    this.settingsOpen = false;
+    // Screen pixels per world unit, eases towards the automatic zoom times the player's own
+    this.zoom = 1;
+    this.userZoom = 1;
+    // Finger distance and zoom when a two-finger pinch started
+    this.pinch = null;
     
-    // World
-    this.worldWidth = 5000;
-    this.worldHeight = 5000;
+    // World, the size comes with init or spectateInit
+    this.worldWidth = 0;
+    this.worldHeight = 0;
+    // Display name of the arena's rule preset
+    this.presetName = "";
     
     // Interpolation
     this.playerStates = new Map();
     this.serverUpdateTime = 0;
     this.lastServerTimestamp = 0;
+    this.serverTimeOffset = null;
+
+    // Prediction
+    this.inputSequence = 0;
+    this.pendingInputs = [];
+    this.moveTarget = null;
+    this.playerSpeed = 5;
+    // Speed formula of the arena's rules, see applyRules
+    this.minSpeed = 2;
+    this.speedReferenceMass = 100;
+    this.speedExponent = 1;
+    this.lastPredictionTime = 0;
+
+    // Spectating
+    this.spectating = false;
+    // Player the camera follows, null follows whoever leads the arena
+    this.spectateTargetId = null;
+    this.freeRoam = false;
+    this.spectatePosition = { x: 0, y: 0 };
+    this.lastSpectateSend = 0;
+    this.gameLoopStarted = false;
+
+    // Reconnecting
+    // Hands our player back to us if the connection drops, comes with every init
+    this.resumeToken = null;
+    // Set while the connection is down and until the server has taken us back
+    this.reconnecting = false;
     
     // Game state
     this.finalMass = 0;
-    this.finalPosition = 0;
     this.eatenBy = "";
+    // What the server tells us about the life that just ended, see GameSummary
+    this.summary = null;
+
+    // Private party
+    // Code of the party we are in or joining, invite links put it on the page
+    this.partyCode = document.getElementById('app')?.dataset.partyCode || null;
+    // The latest PartyInfo from the server
+    this.party = null;
+    // Settings the party panel's fields were last filled from
+    this.shownPartySettings = null;
     
-    // Settings
+    // Settings, the tick rates and speed boost are replaced by the arena's rules on init
     this.SERVER_UPDATE_RATE = 50;
-    this.MOVE_SEND_RATE = 16;
+    this.MOVE_SEND_RATE = 50;
+    // Other players are drawn this far behind server time so there are always two snapshots to blend
+    this.INTERPOLATION_DELAY = this.SERVER_UPDATE_RATE * 2;
+    // Must match the server's movement step so predictions line up
+    this.MOVE_STEP_TIME = 1000 / 60;
+    this.SPEED_BOOST = 1.5;
     this.CAMERA_SMOOTHING = 0.08;
+    this.ZOOM_SMOOTHING = 0.1;
+    // Wheel and pinch zoom limits on top of the automatic zoom. The automatic zoom fits the
+    // server's base viewport to the screen, zooming out can show at most half the margin the
+    // server sends around it. The other half covers the camera trailing behind the player.
+    this.MIN_USER_ZOOM = VIEW_WIDTH / (VIEW_WIDTH + VIEW_MARGIN);
+    this.MAX_USER_ZOOM = 2.5;
+    // Share of the mouse's distance from the screen centre a free-roaming camera moves per frame
+    this.FREE_ROAM_SPEED = 0.05;
+    // Older chat lines are dropped from the panel
+    this.CHAT_HISTORY = 50;
+    // Kill feed entries fade out after a while, and only the newest few are shown
+    this.KILL_FEED_DURATION = 8000;
+    this.KILL_FEED_SIZE = 5;
+    // Add ?protocol=json to the URL to get readable updates while debugging
+    this.PROTOCOL = new URLSearchParams(window.location.search).get('protocol') === 'json' ? 'json' : 'binary';
     
     // Timing
     this.lastMoveSend = 0;
@@ -49,119 +171,195 @@ class GameApp {
 
   init() {
     console.log('Initializing GameApp...');
+
+    this.input = new InputManager((action) => this.handleAction(action));
+
+    if (this.offline) {
+      this.ready = this.initPixi();
+      return;
+    }
     
     // Initialize Socket.IO
     this.socket = io({
       transports: ["websocket"],
-      upgrade: false
+      upgrade: false,
+      query: { protocol: this.PROTOCOL }
     });
     
     this.setupSocketListeners();
     this.setupEventListeners();
+    this.loadRooms();
+    this.loadHighscores();
     
     // Initialize Pixi.js immediately
-    this.initPixi();
+    this.ready = this.initPixi();
   }
 
-  initPixi() {
+  async initPixi() {
     try {
       // Create Pixi application
-      this.app = new PIXI.Application({
+      const app = new PIXI.Application();
+      await app.init({
         width: window.innerWidth,
         height: window.innerHeight,
-        backgroundColor: 0x1a1a1a,
+        background: 0x1a1a1a,
         antialias: true,
         resolution: window.devicePixelRatio || 1,
         autoDensity: true
       });
+      this.app = app;
 
       // Add canvas to DOM
       const gameContainer = document.getElementById('gameCanvasContainer');
       if (gameContainer) {
-        gameContainer.appendChild(this.app.view);
+        gameContainer.appendChild(app.canvas);
         console.log('Pixi.js canvas added to DOM');
       } else {
         console.error('Game container not found');
         return;
       }
 
-      // Create containers
-      this.gridContainer = new PIXI.Container();
+      this.foodTexture = this.createCircleTexture(FOOD_TEXTURE_RADIUS, 0xFFFFFF);
+
+      // The grid stays on screen and scrolls its texture with the camera
+      this.gridSprite = new PIXI.TilingSprite({
+        texture: this.createGridTexture(),
+        width: app.screen.width,
+        height: app.screen.height
+      });
+
+      // Create containers, everything in the world moves with the camera as one
+      this.worldContainer = new PIXI.Container();
       this.foodContainer = new PIXI.Container();
+      this.virusContainer = new PIXI.Container();
+      this.powerUpContainer = new PIXI.Container();
       this.playerContainer = new PIXI.Container();
+      this.playerContainer.sortableChildren = true;
 
-      // Add containers to stage
-      this.app.stage.addChild(this.gridContainer);
-      this.app.stage.addChild(this.foodContainer);
-      this.app.stage.addChild(this.playerContainer);
-
-      // Draw initial grid
-      this.drawGrid();
+      this.worldContainer.addChild(this.foodContainer, this.virusContainer, this.powerUpContainer, this.playerContainer);
+      app.stage.addChild(this.gridSprite, this.worldContainer);
 
       // Handle window resize
       window.addEventListener('resize', () => this.resizeCanvas());
       
-      // Mouse movement
-      this.app.view.addEventListener('mousemove', (e) => {
-        const rect = this.app.view.getBoundingClientRect();
-        this.mouse.x = e.clientX - rect.left;
-        this.mouse.y = e.clientY - rect.top;
+      this.input.attachCanvas(app.canvas);
+
+      // Mouse wheel zoom
+      app.canvas.addEventListener('wheel', (e) => {
+        e.preventDefault();
+        this.setUserZoom(this.userZoom * Math.exp(-e.deltaY * 0.001));
+      }, { passive: false });
+
+      // Two fingers pinch to zoom, a single finger steers (see input.js)
+      app.canvas.addEventListener('touchstart', (e) => {
+        if (e.touches.length === 2) {
+          this.pinch = { distance: this.getTouchDistance(e.touches), zoom: this.userZoom };
+        }
       });
 
-      // Touch support for mobile devices
-      this.app.view.addEventListener('touchmove', (e) => {
+      app.canvas.addEventListener('touchmove', (e) => {
         e.preventDefault();
-        const rect = this.app.view.getBoundingClientRect();
-        if (e.touches[0]) {
-          this.mouse.x = e.touches[0].clientX - rect.left;
-          this.mouse.y = e.touches[0].clientY - rect.top;
+        if (this.pinch && e.touches.length === 2) {
+          this.setUserZoom(this.pinch.zoom * (this.getTouchDistance(e.touches) / this.pinch.distance));
         }
       }, { passive: false });
 
+      app.canvas.addEventListener('touchend', (e) => {
+        if (e.touches.length < 2) {
+          this.pinch = null;
+        }
+      });
+
     } catch (error) {
       console.error('Error initializing Pixi.js:', error);
     }
   }
 
-  drawGrid() {
-    if (!this.gridContainer || !this.app) return;
+  createCircleTexture(radius, color) {
+    const circle = new PIXI.Graphics().circle(radius, radius, radius).fill(color);
+    const texture = this.app.renderer.generateTexture(circle);
+    circle.destroy();
+    return texture;
+  }
 
-    const gridSize = 100;
-    const gridColor = 0x333333;
-    const gridAlpha = 0.2;
+  // One grid cell with a line along its top and left edge, repeated across the screen
+  createGridTexture() {
+    const cell = new PIXI.Graphics()
+      .rect(0, 0, GRID_SIZE, GRID_SIZE)
+      .fill({ color: 0x1a1a1a })
+      .moveTo(0, GRID_SIZE)
+      .lineTo(0, 0)
+      .lineTo(GRID_SIZE, 0)
+      .stroke({ width: 2, color: 0x333333, alpha: 0.5 });
+    const texture = this.app.renderer.generateTexture({ target: cell, frame: new PIXI.Rectangle(0, 0, GRID_SIZE, GRID_SIZE) });
+    cell.destroy();
+    return texture;
+  }
 
-    // Clear previous grid
-    this.gridContainer.removeChildren();
+  // Cells share a body texture per colour and border, drawn at the next size up and scaled down
+  getCellTexture(color, isSelf, radius) {
+    const size = CELL_TEXTURE_RADII.find((r) => r >= radius) ?? CELL_TEXTURE_RADII[CELL_TEXTURE_RADII.length - 1];
+    const key = `${color}:${isSelf}:${size}`;
+    let texture = this.cellTextures.get(key);
+
+    if (!texture) {
+      const border = (isSelf ? 4 : 2) * (size / CELL_TEXTURE_RADII[0]);
+      // Inset by half the border so its outer edge is the cell's edge
+      const body = new PIXI.Graphics()
+        .circle(size, size, size - border / 2)
+        .fill(this.hexToNumber(color))
+        .stroke({ width: border, color: isSelf ? 0xFFFFFF : 0x000000, alpha: isSelf ? 1 : 0.4 });
+      texture = this.app.renderer.generateTexture(body);
+      body.destroy();
+      this.cellTextures.set(key, texture);
+    }
 
-    // Calculate visible grid area based on camera
-    const startX = Math.floor(this.camera.x / gridSize) * gridSize;
-    const startY = Math.floor(this.camera.y / gridSize) * gridSize;
-    const endX = startX + this.app.screen.width + gridSize * 2;
-    const endY = startY + this.app.screen.height + gridSize * 2;
+    return { texture, size };
+  }
 
-    // Draw vertical lines
-    for (let x = startX; x < endX; x += gridSize) {
-      const line = new PIXI.Graphics();
-      line.lineStyle(1, gridColor, gridAlpha);
-      line.moveTo(x, startY);
-      line.lineTo(x, endY);
-      this.gridContainer.addChild(line);
-    }
+  // The part of the world on screen, widened by margin on every side
+  getViewBounds(margin = 0) {
+    const halfWidth = this.app.screen.width / 2 / this.zoom + margin;
+    const halfHeight = this.app.screen.height / 2 / this.zoom + margin;
+    return {
+      left: this.camera.x - halfWidth,
+      top: this.camera.y - halfHeight,
+      right: this.camera.x + halfWidth,
+      bottom: this.camera.y + halfHeight
+    };
+  }
 
-    // Draw horizontal lines
-    for (let y = startY; y < endY; y += gridSize) {
-      const line = new PIXI.Graphics();
-      line.lineStyle(1, gridColor, gridAlpha);
-      line.moveTo(startX, y);
-      line.lineTo(endX, y);
-      this.gridContainer.addChild(line);
-    }
+  screenToWorld(x, y) {
+    return {
+      x: this.camera.x + (x - this.app.screen.width / 2) / this.zoom,
+      y: this.camera.y + (y - this.app.screen.height / 2) / this.zoom
+    };
+  }
+
+  // Fits the area the server sends around the focus onto the screen. The server widens that
+  // area as players grow, so the view zooms out with them.
+  getAutoZoom(focus) {
+    const scale = Math.max(1, Math.sqrt((focus.radius ?? 0) / 20));
+    return Math.max(this.app.screen.width / (VIEW_WIDTH * scale), this.app.screen.height / (VIEW_HEIGHT * scale));
+  }
+
+  setUserZoom(zoom) {
+    this.userZoom = Math.max(this.MIN_USER_ZOOM, Math.min(this.MAX_USER_ZOOM, zoom));
+  }
+
+  getTouchDistance(touches) {
+    return Math.hypot(touches[0].clientX - touches[1].clientX, touches[0].clientY - touches[1].clientY) || 1;
+  }
+
+  isInView(bounds, x, y, radius) {
+    return x + radius >= bounds.left && x - radius <= bounds.right && y + radius >= bounds.top && y - radius <= bounds.bottom;
   }
 
   resizeCanvas() {
     if (!this.app) return;
     this.app.renderer.resize(window.innerWidth, window.innerHeight);
-    this.drawGrid();
+    this.gridSprite.width = this.app.screen.width;
+    this.gridSprite.height = this.app.screen.height;
   }
 
   setupEventListeners() {
@@ -173,18 +371,49 @@ class GameApp {
       startBtn.addEventListener('click', () => {
         console.log('Start button clicked');
         this.playerName = nameInput.value.trim() || "Anonymous";
-        this.startGame();
+        this.startGame(this.getSelectedRoomId());
       });
 
       nameInput.addEventListener('keypress', (e) => {
         if (e.key === 'Enter') {
           console.log('Enter pressed in name input');
           this.playerName = nameInput.value.trim() || "Anonymous";
-          this.startGame();
+          this.startGame(this.getSelectedRoomId());
         }
       });
     }
 
+    const spectateBtn = document.getElementById('spectateBtn');
+    if (spectateBtn) {
+      spectateBtn.addEventListener('click', () => this.spectate(this.getSelectedRoomId()));
+    }
+
+    // Room picker
+    const refreshRoomsBtn = document.getElementById('refreshRoomsBtn');
+    if (refreshRoomsBtn) {
+      refreshRoomsBtn.addEventListener('click', () => this.loadRooms());
+    }
+
+    // Party
+    const partyButtons = {
+      createPartyBtn: () => this.socket.emit("createParty", this.getMenuName()),
+      leavePartyBtn: () => this.leaveParty(),
+      applyPartySettingsBtn: () => this.applyPartySettings(),
+      copyPartyLinkBtn: () => this.copyPartyLink(),
+    };
+    for (const [id, handler] of Object.entries(partyButtons)) {
+      document.getElementById(id)?.addEventListener('click', handler);
+    }
+
+    // A preset brings its own map size and food count, the host can adjust them from there
+    const partyPresetSelect = document.getElementById('partyPresetSelect');
+    partyPresetSelect?.addEventListener('change', () => {
+      const preset = this.party?.presets.find((candidate) => candidate.id === partyPresetSelect.value);
+      if (!preset) return;
+      document.getElementById('partyMapSizeInput').value = preset.mapSize;
+      document.getElementById('partyFoodInput').value = preset.foodCount;
+    });
+
     // Game over buttons
     const restartBtn = document.getElementById('restartBtn');
     const backToMenuBtn = document.getElementById('backToMenuBtn');
@@ -202,6 +431,170 @@ class GameApp {
         this.backToMenu();
       });
     }
+
+    const gameOverSpectateBtn = document.getElementById('gameOverSpectateBtn');
+    if (gameOverSpectateBtn) {
+      gameOverSpectateBtn.addEventListener('click', () => this.spectate(this.arenaId || undefined));
+    }
+
+    // Spectator controls
+    const spectatorButtons = {
+      spectatePrevBtn: () => this.cycleSpectateTarget(-1),
+      spectateNextBtn: () => this.cycleSpectateTarget(1),
+      spectateLeaderBtn: () => this.followPlayer(null),
+      spectateFreeBtn: () => this.startFreeRoam(),
+      spectateMenuBtn: () => this.backToMenu(),
+      spectateJoinBtn: () => {
+        this.playerName = nameInput?.value.trim() || "Anonymous";
+        this.startGame(this.arenaId || undefined);
+      },
+    };
+    for (const [id, handler] of Object.entries(spectatorButtons)) {
+      document.getElementById(id)?.addEventListener('click', handler);
+    }
+
+    // Enter opens the chat, Enter again sends, Escape goes back to the game
+    const chatInput = document.getElementById('chatInput');
+    if (chatInput) {
+      chatInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+          this.sendChat(chatInput.value);
+          chatInput.value = '';
+          chatInput.blur();
+        } else if (e.key === 'Escape') {
+          chatInput.blur();
+        }
+      });
+    }
+
+    // Split, eject and the menu come from the input manager, these keys are fixed
+    document.addEventListener('keydown', (e) => {
+      if (!this.gameStarted || this.gameOver || this.settingsOpen || !this.canSendInput()) return;
+      if (e.target instanceof HTMLInputElement) return;
+
+      if (e.key === 'Enter' && chatInput) {
+        e.preventDefault();
+        chatInput.focus();
+        return;
+      }
+
+      if (this.spectating) {
+        this.handleSpectatorKey(e);
+      }
+    });
+
+    // Controls settings, opened from the main menu or with the menu action in game
+    const schemeSelect = document.getElementById('inputSchemeSelect');
+    if (schemeSelect) {
+      for (const [scheme, label] of Object.entries(INPUT_SCHEMES)) {
+        const option = document.createElement('option');
+        option.value = scheme;
+        option.textContent = label;
+        schemeSelect.appendChild(option);
+      }
+      schemeSelect.addEventListener('change', () => {
+        this.input.setScheme(schemeSelect.value);
+        this.updateSettingsUI();
+        this.updateScreenVisibility();
+      });
+    }
+
+    const settingsButtons = {
+      settingsBtn: () => this.openSettings(),
+      closeSettingsBtn: () => this.closeSettings(),
+      resetBindingsBtn: () => {
+        this.input.resetBindings();
+        this.updateSettingsUI();
+      },
+      leaveGameBtn: () => {
+        this.closeSettings();
+        this.backToMenu();
+      },
+    };
+    for (const [id, handler] of Object.entries(settingsButtons)) {
+      document.getElementById(id)?.addEventListener('click', handler);
+    }
+  }
+
+  // Split and eject go straight to the server, the menu action opens or closes the settings
+  handleAction(action) {
+    if (action === 'menu') {
+      if (this.settingsOpen) {
+        this.closeSettings();
+      } else {
+        this.openSettings();
+      }
+      return;
+    }
+
+    if (!this.gameStarted || this.gameOver || this.spectating || !this.canSendInput()) return;
+
+    if (action === 'split') {
+      this.socket.emit("split");
+    } else if (action === 'eject') {
+      this.socket.emit("eject");
+    }
+  }
+
+  openSettings() {
+    if (this.offline) return;
+    this.settingsOpen = true;
+    this.updateSettingsUI();
+    this.updateScreenVisibility();
+  }
+
+  closeSettings() {
+    if (this.input.remapping) {
+      this.input.finishRemap();
+    }
+    this.settingsOpen = false;
+    this.updateSettingsUI();
+    this.updateScreenVisibility();
+  }
+
+  updateSettingsUI() {
+    const panel = document.getElementById('settingsPanel');
+    if (!panel) return;
+
+    panel.style.display = this.settingsOpen ? 'flex' : 'none';
+    if (!this.settingsOpen) return;
+
+    const schemeSelect = document.getElementById('inputSchemeSelect');
+    if (schemeSelect) {
+      schemeSelect.value = this.input.scheme;
+    }
+
+    const leaveGameBtn = document.getElementById('leaveGameBtn');
+    if (leaveGameBtn) {
+      leaveGameBtn.style.display = this.gameStarted && !this.gameOver ? 'inline-block' : 'none';
+    }
+
+    // One row per action, clicking the binding waits for the new key or button
+    const bindingList = document.getElementById('bindingList');
+    if (!bindingList) return;
+
+    const bindings = this.input.bindings[this.input.scheme];
+    bindingList.replaceChildren(
+      ...Object.entries(bindings).map(([action, codes]) => {
+        const row = document.createElement('div');
+        row.className = 'binding-row';
+
+        const label = document.createElement('span');
+        label.textContent = ACTION_LABELS[action];
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'btn btn-sm btn-outline-light binding-button';
+        button.textContent = this.input.remapping === action ? 'Press a key…' : codes.map(formatBinding).join(' / ') || 'Unbound';
+        button.addEventListener('click', () => {
+          this.input.startRemap(action, () => this.updateSettingsUI());
+          this.updateSettingsUI();
+        });
+
+        row.append(label, button);
+        return row;
+      })
+    );
   }
 
   setupSocketListeners() {
@@ -212,6 +605,16 @@ class GameApp {
 
     this.socket.on("connect", () => {
       console.log("Connected to server");
+      if (this.reconnecting) {
+        this.resumeSession();
+      } else if (this.party && this.resumeToken) {
+        // Our place in the party is kept for a while, so we stay its host if we were
+        this.socket.emit("resume", this.resumeToken);
+      }
+      // Too late to resume, or a fresh page on an invite link: the code gets us back in
+      if (this.partyCode) {
+        this.socket.emit("joinParty", this.partyCode, this.getMenuName());
+      }
     });
 
     this.socket.on("connect_error", (error) => {
@@ -220,18 +623,54 @@ class GameApp {
 
     this.socket.on("init", (data) => {
       console.log("Received init data from server");
+      if (data.arenaId !== this.arenaId) {
+        this.clearChat();
+        this.clearKillFeed();
+      }
+      this.reconnecting = false;
+      this.resumeToken = data.resumeToken || null;
       this.currentPlayer = data.player;
       this.worldWidth = data.worldWidth;
       this.worldHeight = data.worldHeight;
+      this.arenaId = data.arenaId;
+      this.arenaName = data.arenaName;
+      this.gameMode = data.mode || "ffa";
+      this.teams = data.teams || [];
+      this.applyRules(data.rules);
+      this.playerSpeed = data.player.speed || this.playerSpeed;
+      this.moveTarget = { x: data.player.x, y: data.player.y };
+      this.lastPredictionTime = Date.now();
 
       this.initPlayerInterpolation(this.currentPlayer.id, this.currentPlayer);
       this.startGameLoop();
       this.updateUI();
     });
 
-    this.socket.on("gameUpdate", (gameState) => {
+    this.socket.on("spectateInit", (data) => {
+      console.log("Spectating", data.arenaId);
+      if (data.arenaId !== this.arenaId) {
+        this.clearChat();
+        this.clearKillFeed();
+      }
+      this.reconnecting = false;
+      this.worldWidth = data.worldWidth;
+      this.worldHeight = data.worldHeight;
+      this.arenaId = data.arenaId;
+      this.arenaName = data.arenaName;
+      this.gameMode = data.mode || "ffa";
+      this.teams = data.teams || [];
+      this.applyRules(data.rules);
+      this.spectatePosition = { x: data.worldWidth / 2, y: data.worldHeight / 2 };
+
+      this.startGameLoop();
+      this.updateUI();
+    });
+
+    this.socket.on("gameUpdate", (data) => {
       if (this.gameOver || !this.gameStarted) return;
 
+      const gameState = data instanceof ArrayBuffer ? Protocol.decodeSnapshot(data) : data;
+
       this.serverUpdateTime = Date.now();
       this.lastServerTimestamp = gameState.ts;
       this.processServerUpdate(gameState);
@@ -246,44 +685,145 @@ class GameApp {
       }
     });
 
-    this.socket.on("disconnect", () => {
-      console.log("Disconnected from server");
+    this.socket.on("chat", (message) => {
+      this.addChatMessage(message);
     });
+
+    this.socket.on("partyUpdate", (party) => {
+      this.party = party;
+      this.partyCode = party.code;
+      this.resumeToken = party.resumeToken;
+      this.showPartyError(null);
+      // Reloading the page or sharing the address bar keeps the party
+      window.history.replaceState(null, '', `/p/${party.code}`);
+      this.updatePartyUI();
+    });
+
+    this.socket.on("partyError", (text) => {
+      this.forgetParty();
+      this.showPartyError(text);
+    });
+
+    this.socket.on("partyKicked", () => {
+      this.forgetParty();
+      this.backToMenu();
+      this.showPartyError('The host removed you from the party');
+    });
+
+    // The host changed the rules, the new world's init follows
+    this.socket.on("partyReset", () => {
+      this.pendingInputs = [];
+      this.resetWorld();
+      this.addChatNotice('The host changed the rules, a new round starts');
+    });
+
+    // Kills, new leaders and milestones from anyone in the arena
+    this.socket.on("arenaEvent", (event) => {
+      this.addArenaEvent(event);
+    });
+
+    // Only for us: muted, rate limited and the like
+    this.socket.on("chatNotice", (text) => {
+      this.addChatNotice(text);
+    });
+
+    // The player was eaten or the grace period ran out while we were away. Party members
+    // may still be in the party, its update brought the token for that.
+    this.socket.on("resumeFailed", () => {
+      console.log("Could not resume the previous game");
+      this.reconnecting = false;
+      if (this.gameStarted || this.gameOver || !this.party) {
+        this.backToMenu();
+      }
+    });
+
+    // Socket.IO reconnects by itself unless the server threw us out
+    this.socket.on("disconnect", (reason) => {
+      console.log("Disconnected from server:", reason);
+      if (reason === "io server disconnect") {
+        this.resumeToken = null;
+        this.reconnecting = false;
+        this.backToMenu();
+        return;
+      }
+
+      if (this.gameStarted) {
+        this.reconnecting = true;
+        this.updateUI();
+      }
+    });
+  }
+
+  // Each arena runs its own preset, prediction and input pacing follow whatever it uses
+  applyRules(rules) {
+    if (!rules) return;
+
+    this.presetName = rules.preset;
+    this.SERVER_UPDATE_RATE = rules.tickInterval;
+    this.MOVE_SEND_RATE = rules.tickInterval;
+    this.INTERPOLATION_DELAY = rules.tickInterval * 2;
+    this.SPEED_BOOST = rules.speedBoost;
+    this.minSpeed = rules.minSpeed;
+    this.speedReferenceMass = rules.speedReferenceMass;
+    this.speedExponent = rules.speedExponent;
+  }
+
+  // Picks up where we were before the connection dropped: the same player, or the same arena to watch
+  resumeSession() {
+    if (this.spectating) {
+      this.spectate(this.arenaId || undefined);
+      return;
+    }
+
+    if (!this.resumeToken) {
+      this.reconnecting = false;
+      this.backToMenu();
+      return;
+    }
+
+    // The new init brings everything back, inputs the old connection never delivered are dropped
+    this.resetWorld();
+    this.pendingInputs = [];
+    this.moveTarget = null;
+    this.socket.emit("resume", this.resumeToken);
+  }
+
+  // Emits made while disconnected are buffered and sent on reconnect, before we are back in an arena
+  canSendInput() {
+    return Boolean(this.socket?.connected) && !this.reconnecting;
   }
 
   initPlayerInterpolation(playerId, initialData) {
     this.playerStates.set(playerId, {
-      current: { ...initialData },
-      target: { ...initialData },
-      lastUpdate: Date.now(),
-      interpolationTime: this.SERVER_UPDATE_RATE,
+      current: this.clonePlayer(initialData),
+      buffer: [],
     });
   }
 
   processServerUpdate(gameState) {
-    const now = Date.now();
+    this.updateServerTimeOffset(gameState.ts);
 
     // Process players
     for (const serverPlayer of gameState.players || []) {
-      const playerState = this.playerStates.get(serverPlayer.id);
+      let playerState = this.playerStates.get(serverPlayer.id);
 
       if (!playerState) {
         // New player
         this.initPlayerInterpolation(serverPlayer.id, serverPlayer);
         this.players.push({ ...serverPlayer });
-        continue;
+        playerState = this.playerStates.get(serverPlayer.id);
       }
 
-      // Update target position for interpolation
-      playerState.target = { ...serverPlayer };
-      playerState.lastUpdate = now;
-      playerState.interpolationTime = this.SERVER_UPDATE_RATE;
-
-      // Immediate update of properties except position
-      playerState.current.mass = serverPlayer.mass;
-      playerState.current.radius = serverPlayer.radius;
-      playerState.current.color = serverPlayer.color;
-      playerState.current.name = serverPlayer.name;
+      if (serverPlayer.id === this.currentPlayer?.id) {
+        // Our own cells are predicted locally and corrected against the server
+        this.reconcile(playerState, serverPlayer, gameState.lastProcessedInput || 0);
+      } else {
+        // Everyone else is interpolated between buffered snapshots
+        playerState.buffer.push({ ts: gameState.ts, player: this.clonePlayer(serverPlayer) });
+        if (playerState.buffer.length > 20) {
+          playerState.buffer.shift();
+        }
+      }
 
       // Update in players list
       const existingPlayer = this.players.find((p) => p.id === serverPlayer.id);
@@ -295,14 +835,25 @@ class GameApp {
       }
     }
 
-    // Process food
-    this.food = gameState.food || [];
+    // Apply food changes, the server only sends what entered or left our view
+    for (const foodId of gameState.foodRemoved || []) {
+      this.food.delete(foodId);
+    }
+    for (const foodItem of gameState.foodAdded || []) {
+      this.food.set(foodItem.id, foodItem);
+    }
+
+    // Ejected mass, viruses and power-ups in view are sent in full
+    this.ejected = gameState.ejected || [];
+    this.viruses = gameState.viruses || [];
+    this.powerUps = gameState.powerUps || [];
 
     // Update player count
     this.playerCount = gameState.totalPlayers || this.playerStates.size;
 
-    // Leaderboard
-    this.updateLeaderboard();
+    // Leaderboard covers the whole arena, not just the players we can see
+    this.leaderboard = gameState.leaderboard || [];
+    this.teamScores = gameState.teams || [];
 
     // Remove disconnected players
     const currentPlayerIds = new Set((gameState.players || []).map((p) => p.id));
@@ -315,13 +866,130 @@ class GameApp {
     }
   }
 
-  updateLeaderboard() {
-    const players = Array.from(this.playerStates.values())
-      .map((state) => state.current)
-      .sort((a, b) => b.mass - a.mass)
-      .slice(0, 10);
+  clonePlayer(player) {
+    return {
+      ...player,
+      cells: (player.cells || []).map((cell) => ({ ...cell })),
+    };
+  }
+
+  updateServerTimeOffset(serverTs) {
+    const offset = serverTs - Date.now();
+
+    // Smooth out network jitter so the interpolation delay stays steady
+    if (this.serverTimeOffset === null) {
+      this.serverTimeOffset = offset;
+    } else {
+      this.serverTimeOffset += (offset - this.serverTimeOffset) * 0.1;
+    }
+  }
+
+  getServerTime() {
+    return Date.now() + (this.serverTimeOffset || 0);
+  }
+
+  reconcile(playerState, serverPlayer, lastProcessedInput) {
+    // The server has already applied everything up to lastProcessedInput
+    this.pendingInputs = this.pendingInputs.filter((input) => input.seq > lastProcessedInput);
+
+    // Start again from the authoritative state and replay the inputs it hasn't seen yet
+    const now = Date.now();
+    const predicted = this.clonePlayer(serverPlayer);
+    this.pendingInputs.forEach((input, i) => {
+      const next = this.pendingInputs[i + 1];
+      const duration = (next ? next.sentAt : now) - input.sentAt;
+      this.applyMovement(predicted, input, duration);
+    });
+
+    playerState.current = predicted;
+    this.lastPredictionTime = now;
+  }
+
+  predictLocalPlayer() {
+    const state = this.playerStates.get(this.currentPlayer.id);
+    if (!state || !this.moveTarget) return;
+
+    const now = Date.now();
+    this.applyMovement(state.current, this.moveTarget, now - this.lastPredictionTime);
+    this.lastPredictionTime = now;
+  }
+
+  // Same movement rule as GameServer.movePlayer
+  applyMovement(player, target, duration) {
+    const steps = duration / this.MOVE_STEP_TIME;
+    if (steps <= 0) return;
+    const boost = this.hasEffect(player, 'speed') ? this.SPEED_BOOST : 1;
+
+    let mass = 0;
+    let x = 0;
+    let y = 0;
+
+    for (const cell of player.cells) {
+      const dx = target.x - cell.x;
+      const dy = target.y - cell.y;
+      const distance = Math.sqrt(dx * dx + dy * dy);
+
+      if (distance > 0) {
+        const cellSpeed = Math.max(this.minSpeed, this.playerSpeed * (this.speedReferenceMass / cell.mass) ** this.speedExponent);
+        const speed = Math.min(distance, cellSpeed * boost * steps);
+        cell.x += (dx / distance) * speed;
+        cell.y += (dy / distance) * speed;
+        cell.x = Math.max(cell.radius, Math.min(this.worldWidth - cell.radius, cell.x));
+        cell.y = Math.max(cell.radius, Math.min(this.worldHeight - cell.radius, cell.y));
+      }
+
+      mass += cell.mass;
+      x += cell.x * cell.mass;
+      y += cell.y * cell.mass;
+    }
+
+    if (mass > 0) {
+      player.x = x / mass;
+      player.y = y / mass;
+    }
+  }
+
+  // Effects are only dropped by the next snapshot, until then the server clock decides
+  getActiveEffects(player) {
+    const now = this.getServerTime();
+    return (player?.effects || []).filter((effect) => effect.expiresAt > now);
+  }
 
-    this.leaderboard = players;
+  hasEffect(player, type) {
+    return this.getActiveEffects(player).some((effect) => effect.type === type);
+  }
+
+  interpolateFromBuffer(state, renderTime) {
+    const buffer = state.buffer;
+    if (buffer.length === 0) return;
+
+    // Drop snapshots we've moved past, keeping the one just before renderTime
+    while (buffer.length > 2 && buffer[1].ts <= renderTime) {
+      buffer.shift();
+    }
+
+    const from = buffer[0];
+    const to = buffer[1] || buffer[0];
+    const span = to.ts - from.ts;
+    const factor = span > 0 ? Math.max(0, Math.min(1, (renderTime - from.ts) / span)) : 1;
+    const fromCells = new Map(from.player.cells.map((cell) => [cell.id, cell]));
+
+    state.current = {
+      ...to.player,
+      x: this.lerp(from.player.x, to.player.x, factor),
+      y: this.lerp(from.player.y, to.player.y, factor),
+      radius: this.lerp(from.player.radius, to.player.radius, factor),
+      // Freshly split cells have no earlier position and start where the server put them
+      cells: to.player.cells.map((cell) => {
+        const previous = fromCells.get(cell.id) || cell;
+        return {
+          ...cell,
+          x: this.lerp(previous.x, cell.x, factor),
+          y: this.lerp(previous.y, cell.y, factor),
+          radius: this.lerp(previous.radius, cell.radius, factor),
+        };
+      }),
+    };
   }
 
   handlePlayerDeath(data = {}) {
@@ -331,27 +999,53 @@ class GameApp {
     this.gameStarted = false;
     this.finalMass = data.finalMass || this.currentPlayer?.mass || 0;
     this.eatenBy = data.eatenBy || "Another player";
-
-    const sorted = [...this.leaderboard].sort((a, b) => b.mass - a.mass);
-    const pos = sorted.findIndex((p) => p.id === this.currentPlayer?.id) + 1;
-    this.finalPosition = pos > 0 ? pos : 0;
+    this.summary = data.summary || null;
     
     this.updateUI();
   }
 
   updateUI() {
-    // Update mass display
+    // Update mass display, spectators have no mass of their own
     const massElement = document.getElementById('massValue');
     if (massElement) {
       massElement.textContent = Math.floor(this.currentPlayer?.mass || 0).toString();
     }
 
+    const massStatElement = document.getElementById('massStat');
+    if (massStatElement) {
+      massStatElement.style.display = this.spectating ? 'none' : 'block';
+    }
+
+    this.updateSpectatorUI();
+    this.updateEffectsUI();
+
+    const connectionStatus = document.getElementById('connectionStatus');
+    if (connectionStatus) {
+      connectionStatus.style.display = this.reconnecting ? 'block' : 'none';
+    }
+
     // Update player count
     const playerCountElement = document.getElementById('playerCountValue');
     if (playerCountElement) {
       playerCountElement.textContent = this.playerCount.toString();
     }
 
+    // Update arena name
+    const arenaNameElement = document.getElementById('arenaNameValue');
+    if (arenaNameElement) {
+      arenaNameElement.textContent = this.arenaName ? [this.arenaName, this.presetName].filter(Boolean).join(' · ') : '-';
+    }
+
+    // Team mode shows which team the player is on
+    const teamStatElement = document.getElementById('teamStat');
+    const teamNameElement = document.getElementById('teamNameValue');
+    if (teamStatElement && teamNameElement) {
+      const team = this.teams.find((t) => t.id === this.currentPlayer?.teamId);
+      teamStatElement.style.display = team ? 'block' : 'none';
+      teamNameElement.textContent = team ? team.name : '-';
+      teamNameElement.style.color = team ? team.color : '';
+    }
+
     // Update leaderboard
     this.updateLeaderboardUI();
 
@@ -364,22 +1058,190 @@ class GameApp {
     this.updateScreenVisibility();
   }
 
+  updateSpectatorUI() {
+    const spectatorPanel = document.getElementById('spectatorPanel');
+    if (!spectatorPanel) return;
+
+    spectatorPanel.style.display = this.spectating ? 'block' : 'none';
+    if (!this.spectating) return;
+
+    const targetElement = document.getElementById('spectateTargetValue');
+    if (targetElement) {
+      const watched = this.freeRoam ? null : this.getSpectatedPlayer();
+      targetElement.textContent = this.freeRoam ? 'Free roam' : watched ? watched.name : 'Nobody';
+    }
+  }
+
+  // Active power-ups of our own player with the seconds they have left
+  updateEffectsUI() {
+    const effectsBar = document.getElementById('effectsBar');
+    if (!effectsBar) return;
+
+    const state = this.currentPlayer ? this.playerStates.get(this.currentPlayer.id) : null;
+    const effects = this.spectating ? [] : this.getActiveEffects(state?.current);
+    const now = this.getServerTime();
+
+    effectsBar.replaceChildren(...effects.map((effect) => {
+      const style = POWER_UP_STYLES[effect.type];
+      const item = document.createElement('div');
+      item.className = 'effect-item';
+      item.title = style.label;
+      item.style.borderColor = `#${style.color.toString(16).padStart(6, '0')}`;
+
+      const icon = document.createElement('span');
+      icon.className = 'effect-icon';
+      icon.textContent = style.icon;
+
+      const remaining = document.createElement('span');
+      remaining.className = 'effect-time';
+      remaining.textContent = `${Math.ceil((effect.expiresAt - now) / 1000)}s`;
+
+      item.append(icon, remaining);
+      return item;
+    }));
+    effectsBar.style.display = effects.length > 0 ? 'flex' : 'none';
+  }
+
+  sendChat(text) {
+    const message = text.trim();
+    if (!message || !this.socket) return;
+
+    this.socket.emit("chat", message);
+  }
+
+  // Names and messages come from other players, so they only ever go in as text
+  addChatMessage(message) {
+    const line = document.createElement('div');
+    line.className = 'chat-message';
+
+    const name = document.createElement('span');
+    name.className = 'chat-name';
+    name.style.color = message.color;
+    name.textContent = `${message.name}:`;
+
+    const text = document.createElement('span');
+    text.textContent = message.text;
+
+    line.append(name, text);
+    this.appendChatLine(line);
+  }
+
+  addChatNotice(text) {
+    const line = document.createElement('div');
+    line.className = 'chat-message chat-notice';
+    line.textContent = text;
+    this.appendChatLine(line);
+  }
+
+  appendChatLine(line) {
+    const chatMessages = document.getElementById('chatMessages');
+    if (!chatMessages) return;
+
+    // Only follow new messages if the player hasn't scrolled up to read older ones
+    const atBottom = chatMessages.scrollTop + chatMessages.clientHeight >= chatMessages.scrollHeight - 5;
+    chatMessages.appendChild(line);
+    while (chatMessages.childElementCount > this.CHAT_HISTORY) {
+      chatMessages.firstElementChild.remove();
+    }
+    if (atBottom) {
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+  }
+
+  clearChat() {
+    document.getElementById('chatMessages')?.replaceChildren();
+  }
+
+  addArenaEvent(event) {
+    const killFeed = document.getElementById('killFeed');
+    if (!killFeed) return;
+
+    // Our own name stands out so it's easy to spot when we're part of it
+    const nameSpan = (name) => {
+      const span = document.createElement('span');
+      span.className = `kill-feed-name ${name === this.currentPlayer?.name && !this.spectating ? 'self' : ''}`;
+      span.textContent = name;
+      return span;
+    };
+
+    const item = document.createElement('div');
+    item.className = `kill-feed-item kill-feed-${event.type}`;
+    if (event.type === 'kill') {
+      item.append(nameSpan(event.eater), ' ate ', nameSpan(event.victim), ` (${Math.floor(event.mass)})`);
+    } else if (event.type === 'leader') {
+      item.append(nameSpan(event.name), ' took the lead');
+    } else if (event.type === 'milestone') {
+      item.append(nameSpan(event.name), ` reached ${event.mass} mass`);
+    } else {
+      return;
+    }
+
+    killFeed.appendChild(item);
+    while (killFeed.childElementCount > this.KILL_FEED_SIZE) {
+      killFeed.firstElementChild.remove();
+    }
+    setTimeout(() => item.remove(), this.KILL_FEED_DURATION);
+  }
+
+  clearKillFeed() {
+    document.getElementById('killFeed')?.replaceChildren();
+  }
+
   updateLeaderboardUI() {
     const leaderboardContainer = document.getElementById('leaderboardContainer');
     if (!leaderboardContainer) return;
 
-    leaderboardContainer.innerHTML = '';
+    leaderboardContainer.replaceChildren();
+
+    const titleElement = document.getElementById('leaderboardTitle');
+    if (titleElement) {
+      titleElement.textContent = this.gameMode === 'teams' ? 'Teams' : 'Leaderboard';
+    }
+
+    // Team mode ranks teams by combined mass instead of listing the top players
+    if (this.gameMode === 'teams') {
+      this.teamScores.forEach((team, index) => {
+        const item = document.createElement('div');
+        const isCurrentTeam = team.id === this.currentPlayer?.teamId;
+        item.className = `leaderboard-item ${isCurrentTeam ? 'current-player' : ''}`;
+
+        const name = document.createElement('span');
+        name.className = 'leaderboard-name';
+        name.style.color = team.color;
+        name.textContent = `${index + 1}. ${team.name} (${team.players})`;
+
+        const mass = document.createElement('span');
+        mass.className = 'leaderboard-mass';
+        mass.textContent = Math.floor(team.mass).toString();
+
+        item.append(name, mass);
+        leaderboardContainer.appendChild(item);
+      });
+      return;
+    }
     
     this.leaderboard.slice(0, 10).forEach((player, index) => {
       const item = document.createElement('div');
       const isCurrentPlayer = player.id === this.currentPlayer?.id;
       item.className = `leaderboard-item ${isCurrentPlayer ? 'current-player' : ''}`;
       
-      item.innerHTML = `
-        <span class="leaderboard-name">${index + 1}. ${player.name}</span>
-        <span class="leaderboard-mass">${Math.floor(player.mass)}</span>
-      `;
-      
+      const name = document.createElement('span');
+      name.className = 'leaderboard-name';
+      name.textContent = `${index + 1}. ${player.name}`;
+
+      // Server bots are marked so players know who they are up against
+      if (player.bot) {
+        const badge = document.createElement('span');
+        badge.className = 'bot-badge';
+        badge.textContent = 'BOT';
+        name.appendChild(badge);
+      }
+
+      const mass = document.createElement('span');
+      mass.className = 'leaderboard-mass';
+      mass.textContent = Math.floor(player.mass).toString();
+
+      item.append(name, mass);
       leaderboardContainer.appendChild(item);
     });
   }
@@ -390,15 +1252,75 @@ class GameApp {
       finalMassElement.textContent = Math.floor(this.finalMass).toString();
     }
 
-    const finalPositionElement = document.getElementById('finalPositionValue');
-    if (finalPositionElement) {
-      finalPositionElement.textContent = this.finalPosition.toString();
-    }
-
     const eatenByElement = document.getElementById('eatenByValue');
     if (eatenByElement) {
       eatenByElement.textContent = this.eatenBy || 'Unknown';
     }
+
+    const summary = this.summary;
+    const values = {
+      timeAliveValue: summary ? this.formatDuration(summary.timeAlive) : '-',
+      peakMassValue: summary ? Math.floor(summary.peakMass).toString() : '-',
+      highestRankValue: summary ? `#${summary.highestRank}` : '-',
+      playersEatenValue: summary ? summary.playersEaten.toString() : '-',
+      foodEatenValue: summary ? summary.foodEaten.toString() : '-',
+    };
+    for (const [id, value] of Object.entries(values)) {
+      const element = document.getElementById(id);
+      if (element) element.textContent = value;
+    }
+
+    this.drawSparkline(summary?.massHistory || []);
+  }
+
+  formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const minutes = Math.floor(seconds / 60);
+    return minutes > 0 ? `${minutes}m ${seconds % 60}s` : `${seconds}s`;
+  }
+
+  // Mass over the life that just ended, scaled to fill the canvas
+  drawSparkline(history) {
+    const canvas = document.getElementById('massSparkline');
+    if (!canvas) return;
+
+    const ctx = canvas.getContext('2d');
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    canvas.style.display = history.length > 1 ? 'block' : 'none';
+    if (history.length < 2) return;
+
+    const padding = 4;
+    const max = Math.max(...history);
+    const min = Math.min(...history);
+    const range = max - min || 1;
+    const x = (index) => padding + (index / (history.length - 1)) * (canvas.width - padding * 2);
+    const y = (mass) => canvas.height - padding - ((mass - min) / range) * (canvas.height - padding * 2);
+
+    ctx.beginPath();
+    history.forEach((mass, index) => {
+      if (index === 0) {
+        ctx.moveTo(x(index), y(mass));
+      } else {
+        ctx.lineTo(x(index), y(mass));
+      }
+    });
+    ctx.strokeStyle = '#4ecdc4';
+    ctx.lineWidth = 2;
+    ctx.lineJoin = 'round';
+    ctx.stroke();
+
+    // Shade under the line, then mark the peak
+    ctx.lineTo(x(history.length - 1), canvas.height - padding);
+    ctx.lineTo(x(0), canvas.height - padding);
+    ctx.closePath();
+    ctx.fillStyle = 'rgba(78, 205, 196, 0.2)';
+    ctx.fill();
+
+    const peak = history.indexOf(max);
+    ctx.beginPath();
+    ctx.arc(x(peak), y(max), 3, 0, Math.PI * 2);
+    ctx.fillStyle = '#fff';
+    ctx.fill();
   }
 
   updateScreenVisibility() {
@@ -415,9 +1337,251 @@ class GameApp {
     if (gameOverScreen) {
       gameOverScreen.style.display = this.gameOver ? 'flex' : 'none';
     }
+
+    // Keys only steer and split while playing with no menu in the way
+    const playing = this.gameStarted && !this.gameOver;
+    this.input.setEnabled(playing && !this.settingsOpen);
+
+    const showTouchControls = playing && !this.spectating && this.input.scheme === 'joystick';
+    const touchControls = document.getElementById('touchControls');
+    if (touchControls) {
+      touchControls.style.display = showTouchControls ? 'flex' : 'none';
+    }
+    gameScreen?.classList.toggle('touch-mode', showTouchControls);
   }
 
-  startGame() {
+  async loadRooms() {
+    try {
+      const response = await fetch('/api/rooms');
+      this.rooms = await response.json();
+    } catch (error) {
+      console.error('Failed to load rooms:', error);
+      this.rooms = [];
+    }
+
+    this.updateRoomPickerUI();
+  }
+
+  // Today's best sessions for the menu
+  async loadHighscores() {
+    try {
+      const response = await fetch('/api/highscores?period=day');
+      this.highscores = await response.json();
+    } catch (error) {
+      console.error('Failed to load high scores:', error);
+      this.highscores = [];
+    }
+
+    this.updateHighscoresUI();
+  }
+
+  updateHighscoresUI() {
+    const highscoreList = document.getElementById('highscoreList');
+    if (!highscoreList) return;
+
+    if (this.highscores.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'highscore-empty';
+      empty.textContent = 'No games played today yet';
+      highscoreList.replaceChildren(empty);
+      return;
+    }
+
+    highscoreList.replaceChildren(
+      ...this.highscores.map((entry) => {
+        const item = document.createElement('li');
+        item.className = 'highscore-item';
+
+        const name = document.createElement('span');
+        name.className = 'highscore-name';
+        name.textContent = entry.name;
+
+        const mass = document.createElement('span');
+        mass.className = 'highscore-mass';
+        mass.textContent = Math.floor(entry.peakMass).toString();
+
+        item.append(name, mass);
+        return item;
+      })
+    );
+  }
+
+  updateRoomPickerUI() {
+    const roomSelect = document.getElementById('roomSelect');
+    if (!roomSelect) return;
+
+    const selected = roomSelect.value;
+    roomSelect.replaceChildren();
+
+    const autoOption = document.createElement('option');
+    autoOption.value = '';
+    autoOption.textContent = 'Auto (best match)';
+    roomSelect.appendChild(autoOption);
+
+    for (const room of this.rooms) {
+      const option = document.createElement('option');
+      option.value = room.id;
+      const mode = room.mode === 'teams' ? 'Teams' : 'FFA';
+      option.textContent = `${room.name} · ${mode} · ${room.preset} (${room.players}/${room.capacity})`;
+      option.disabled = room.players >= room.capacity;
+      roomSelect.appendChild(option);
+    }
+
+    // Keep the previous choice if that room still exists
+    if (this.rooms.some((room) => room.id === selected)) {
+      roomSelect.value = selected;
+    }
+  }
+
+  getSelectedRoomId() {
+    // Party members always play in the party's arena
+    if (this.party) return this.party.arenaId;
+
+    const roomSelect = document.getElementById('roomSelect');
+    return roomSelect?.value || undefined;
+  }
+
+  getMenuName() {
+    return document.getElementById('nameInput')?.value.trim() || "Anonymous";
+  }
+
+  updatePartyUI() {
+    const partyPanel = document.getElementById('partyPanel');
+    const roomPicker = document.getElementById('roomPicker');
+    const createPartyBtn = document.getElementById('createPartyBtn');
+    if (partyPanel) partyPanel.style.display = this.party ? 'block' : 'none';
+    if (roomPicker) roomPicker.style.display = this.party ? 'none' : 'block';
+    if (createPartyBtn) createPartyBtn.style.display = this.party ? 'none' : '';
+    if (!this.party) return;
+
+    const { party } = this;
+    const isHost = party.members.some((member) => member.id === party.self && member.host);
+    document.getElementById('partyCodeValue').textContent = party.code;
+
+    const presetSelect = document.getElementById('partyPresetSelect');
+    presetSelect.replaceChildren(
+      ...party.presets.map((preset) => {
+        const option = document.createElement('option');
+        option.value = preset.id;
+        option.textContent = preset.name;
+        return option;
+      })
+    );
+
+    // Only overwrite the fields when the settings really changed, a member joining
+    // shouldn't undo what the host is in the middle of typing
+    const settingsKey = JSON.stringify(party.settings);
+    if (settingsKey !== this.shownPartySettings || !isHost) {
+      this.shownPartySettings = settingsKey;
+      document.getElementById('partyModeSelect').value = party.settings.mode;
+      document.getElementById('partyMapSizeInput').value = party.settings.mapSize;
+      document.getElementById('partyFoodInput').value = party.settings.foodCount;
+    }
+    presetSelect.value = party.settings.preset;
+
+    for (const id of ['partyModeSelect', 'partyPresetSelect', 'partyMapSizeInput', 'partyFoodInput']) {
+      document.getElementById(id).disabled = !isHost;
+    }
+    document.getElementById('applyPartySettingsBtn').style.display = isHost ? '' : 'none';
+    document.getElementById('partyHostNote').style.display = isHost ? 'none' : 'block';
+
+    document.getElementById('partyMemberList').replaceChildren(
+      ...party.members.map((member) => {
+        const item = document.createElement('div');
+        item.className = `party-member ${member.id === party.self ? 'self' : ''}`;
+
+        const name = document.createElement('span');
+        name.textContent = member.host ? `${member.name} (host)` : member.name;
+        item.appendChild(name);
+
+        if (isHost && member.id !== party.self) {
+          const kick = document.createElement('button');
+          kick.type = 'button';
+          kick.className = 'btn btn-sm btn-outline-danger';
+          kick.textContent = 'Kick';
+          kick.addEventListener('click', () => this.socket.emit("partyKick", member.id));
+          item.appendChild(kick);
+        }
+        return item;
+      })
+    );
+  }
+
+  applyPartySettings() {
+    if (!this.party) return;
+
+    this.socket.emit("partySettings", {
+      mode: document.getElementById('partyModeSelect').value,
+      preset: document.getElementById('partyPresetSelect').value,
+      mapSize: Math.round(Number(document.getElementById('partyMapSizeInput').value)),
+      foodCount: Math.round(Number(document.getElementById('partyFoodInput').value)),
+    });
+  }
+
+  async copyPartyLink() {
+    if (!this.party) return;
+
+    const link = `${window.location.origin}/p/${this.party.code}`;
+    try {
+      await navigator.clipboard.writeText(link);
+    } catch (error) {
+      // Not allowed outside https, the address bar has the link too
+      console.warn('Could not copy the invite link:', error);
+      window.prompt('Invite link', link);
+    }
+  }
+
+  leaveParty() {
+    this.socket.emit("leaveParty");
+    this.forgetParty();
+    this.loadRooms();
+  }
+
+  forgetParty() {
+    this.party = null;
+    this.partyCode = null;
+    this.resumeToken = null;
+    this.shownPartySettings = null;
+    window.history.replaceState(null, '', '/');
+    this.updatePartyUI();
+  }
+
+  showPartyError(text) {
+    const partyError = document.getElementById('partyError');
+    if (!partyError) return;
+
+    partyError.textContent = text || '';
+    partyError.style.display = text ? 'block' : 'none';
+  }
+
+  // Forgets everything we were shown of the arena and clears the stage
+  resetWorld() {
+    this.playerStates.clear();
+    this.players = [];
+    this.food = new Map();
+    this.ejected = [];
+    this.viruses = [];
+    this.powerUps = [];
+    this.camera = { x: 0, y: 0 };
+
+    // Clear all sprites, food sprites go back to the pool
+    for (const playerId of Array.from(this.playerSprites.keys())) {
+      this.removePlayerSprite(playerId);
+    }
+    for (const foodId of Array.from(this.foodSprites.keys())) {
+      this.releaseFoodSprite(foodId);
+    }
+    for (const sprite of this.virusSprites.values()) {
+      sprite.destroy();
+    }
+    for (const sprite of this.powerUpSprites.values()) {
+      sprite.destroy({ children: true });
+    }
+    this.virusSprites.clear();
+    this.powerUpSprites.clear();
+  }
+
+  startGame(roomId) {
     console.log('startGame() called');
     
     if (!this.playerName.trim()) {
@@ -429,30 +1593,18 @@ class GameApp {
     
     this.gameStarted = true;
     this.gameOver = false;
+    this.spectating = false;
     this.finalMass = 0;
-    this.finalPosition = 0;
     this.eatenBy = "";
-    this.playerStates.clear();
-    this.players = [];
-    this.food = [];
-    this.camera = { x: 0, y: 0 };
+    this.summary = null;
     this.lastMoveSend = 0;
-    
-    // Clear all sprites
-    this.playerSprites.clear();
-    this.foodSprites.clear();
-    
-    if (this.playerContainer) {
-      this.playerContainer.removeChildren();
-    }
-    
-    if (this.foodContainer) {
-      this.foodContainer.removeChildren();
-    }
+    this.pendingInputs = [];
+    this.moveTarget = null;
+    this.resetWorld();
     
     if (this.socket) {
       console.log('Emitting join event with name:', this.playerName);
-      this.socket.emit("join", this.playerName);
+      this.socket.emit("join", this.playerName, roomId);
     } else {
       console.error('Socket is not initialized!');
     }
@@ -461,86 +1613,192 @@ class GameApp {
     console.log('Game started with name:', this.playerName);
   }
 
+  // Watches an arena without a player, from the menu or after dying
+  spectate(roomId) {
+    console.log('spectate() called');
+
+    this.gameStarted = true;
+    this.gameOver = false;
+    this.spectating = true;
+    this.currentPlayer = null;
+    this.spectateTargetId = null;
+    this.freeRoam = false;
+    this.lastSpectateSend = 0;
+    this.resetWorld();
+
+    this.socket?.emit("spectate", roomId);
+    this.updateUI();
+  }
+
+  handleSpectatorKey(e) {
+    if (e.repeat) return;
+
+    if (e.code === 'ArrowLeft') {
+      this.cycleSpectateTarget(-1);
+    } else if (e.code === 'ArrowRight') {
+      this.cycleSpectateTarget(1);
+    } else if (e.code === 'KeyL') {
+      this.followPlayer(null);
+    } else if (e.code === 'KeyF') {
+      this.startFreeRoam();
+    }
+  }
+
+  // Steps through the leaderboard, which covers the whole arena rather than just what is in view
+  cycleSpectateTarget(direction) {
+    const ids = this.leaderboard.map((entry) => entry.id);
+    if (ids.length === 0) return;
+
+    const index = ids.indexOf(this.getSpectatedPlayer()?.id);
+    const next = index < 0 ? 0 : (index + direction + ids.length) % ids.length;
+    this.followPlayer(ids[next]);
+  }
+
+  // Follows a player by id, or whoever leads the arena when playerId is null
+  followPlayer(playerId) {
+    this.freeRoam = false;
+    this.spectateTargetId = playerId;
+    this.socket?.emit("spectateFollow", playerId);
+    this.updateUI();
+  }
+
+  startFreeRoam() {
+    const focus = this.getCameraFocus();
+    if (focus) {
+      this.spectatePosition = { x: focus.x, y: focus.y };
+    }
+
+    this.freeRoam = true;
+    this.updateUI();
+  }
+
+  getSpectatedPlayer() {
+    const leaderId = this.leaderboard[0]?.id;
+    // Like the server, fall back to the leader once the followed player is gone
+    const state = this.playerStates.get(this.spectateTargetId ?? leaderId) || this.playerStates.get(leaderId);
+    return state ? state.current : null;
+  }
+
+  // Where the camera centres: our own player, or whatever the spectator is watching
+  getCameraFocus() {
+    if (!this.spectating) return this.currentPlayer;
+    if (this.freeRoam) return this.spectatePosition;
+    return this.getSpectatedPlayer();
+  }
+
+  updateSpectator() {
+    if (!this.freeRoam || !this.app) return;
+
+    // The camera drifts towards the mouse, faster the further it is from the centre
+    const pointer = this.input.getPointer(this.app.screen.width, this.app.screen.height);
+    const dx = (pointer.x - this.app.screen.width / 2) / this.zoom;
+    const dy = (pointer.y - this.app.screen.height / 2) / this.zoom;
+    this.spectatePosition.x = Math.max(0, Math.min(this.worldWidth, this.spectatePosition.x + dx * this.FREE_ROAM_SPEED));
+    this.spectatePosition.y = Math.max(0, Math.min(this.worldHeight, this.spectatePosition.y + dy * this.FREE_ROAM_SPEED));
+
+    const now = Date.now();
+    if (now - this.lastSpectateSend >= this.MOVE_SEND_RATE && this.canSendInput()) {
+      this.socket.emit("spectateMove", {
+        x: Math.round(this.spectatePosition.x),
+        y: Math.round(this.spectatePosition.y),
+      });
+      this.lastSpectateSend = now;
+    }
+  }
+
   restartGame() {
     console.log('restartGame() called');
-    this.startGame();
+    // Play again in the same arena
+    this.startGame(this.arenaId || undefined);
   }
 
   backToMenu() {
     console.log('backToMenu() called');
+    // Stop receiving updates for the arena we were in
+    if ((this.gameStarted || this.gameOver) && this.socket?.connected) {
+      this.socket.emit("leave");
+    }
+
     this.gameStarted = false;
     this.gameOver = false;
+    this.spectating = false;
     this.currentPlayer = null;
-    this.players = [];
-    this.food = [];
     this.playerCount = 0;
     this.leaderboard = [];
-    this.playerStates.clear();
-    this.camera = { x: 0, y: 0 };
-    
-    // Clear all sprites
-    this.playerSprites.clear();
-    this.foodSprites.clear();
-    
-    if (this.playerContainer) {
-      this.playerContainer.removeChildren();
-    }
-    
-    if (this.foodContainer) {
-      this.foodContainer.removeChildren();
+    this.arenaId = null;
+    this.arenaName = "";
+    this.presetName = "";
+    this.gameMode = "ffa";
+    this.teams = [];
+    this.teamScores = [];
+    // Party members keep theirs to get back into the party
+    if (!this.party) {
+      this.resumeToken = null;
     }
+    this.reconnecting = false;
+    this.resetWorld();
 
+    this.loadRooms();
+    this.loadHighscores();
     this.updateUI();
   }
 
   startGameLoop() {
-    if (!this.app) return;
+    // init arrives again on every respawn, the ticker only needs adding once
+    if (!this.ready || this.gameLoopStarted) return;
+    this.gameLoopStarted = true;
 
     console.log('Starting game loop');
     
-    // Start Pixi.js ticker
-    this.app.ticker.add(() => {
-      this.update();
-      this.render();
+    // Start Pixi.js ticker once the application exists
+    this.ready.then(() => {
+      if (!this.app) return;
+      this.app.ticker.add(() => {
+        this.update();
+        this.render();
+      });
     });
   }
 
   update() {
-    if (!this.currentPlayer || this.gameOver || !this.gameStarted) return;
+    this.input.update();
+    if (this.gameOver || !this.gameStarted) return;
 
-    // Interpolate all players
-    this.interpolatePlayers();
+    if (this.spectating) {
+      this.updateSpectator();
+      this.interpolatePlayers();
+      this.updateCamera();
+      return;
+    }
+
+    if (!this.currentPlayer) return;
 
     // Send mouse position
     this.sendMousePosition();
 
+    // Move our own cells ahead of the server
+    this.predictLocalPlayer();
+
+    // Interpolate all players
+    this.interpolatePlayers();
+
     // Update camera
     this.updateCamera();
   }
 
   interpolatePlayers() {
-    const now = Date.now();
+    const renderTime = this.getServerTime() - this.INTERPOLATION_DELAY;
 
     for (const [playerId, state] of this.playerStates) {
-      const timeSinceUpdate = now - state.lastUpdate;
-      const interpolationFactor = Math.min(
-        1,
-        timeSinceUpdate / state.interpolationTime,
-      );
-
-      // Smooth position interpolation
-      state.current.x = this.lerp(state.current.x, state.target.x, interpolationFactor);
-      state.current.y = this.lerp(state.current.y, state.target.y, interpolationFactor);
-
-      // Smooth size interpolation
-      state.current.radius = this.lerp(state.current.radius, state.target.radius, interpolationFactor * 0.5);
-
-      // Update current player
-      if (playerId === this.currentPlayer.id) {
+      if (playerId !== this.currentPlayer?.id) {
+        this.interpolateFromBuffer(state, renderTime);
+      } else {
+        // Our own player follows its predicted state
         this.currentPlayer.x = state.current.x;
         this.currentPlayer.y = state.current.y;
         this.currentPlayer.radius = state.current.radius;
         this.currentPlayer.mass = state.current.mass;
+        this.currentPlayer.cells = state.current.cells;
       }
     }
   }
@@ -552,145 +1810,356 @@ class GameApp {
   sendMousePosition() {
     const now = Date.now();
 
-    if (now - this.lastMoveSend >= this.MOVE_SEND_RATE && this.socket) {
-      const targetX = this.camera.x + this.mouse.x;
-      const targetY = this.camera.y + this.mouse.y;
+    // Inputs go out at a steady rate so the unacknowledged ones always cover the round trip
+    if (now - this.lastMoveSend >= this.MOVE_SEND_RATE && this.canSendInput()) {
+      const pointer = this.input.getPointer(this.app.screen.width, this.app.screen.height);
+      const target = this.screenToWorld(pointer.x, pointer.y);
+      const input = {
+        x: Math.round(target.x),
+        y: Math.round(target.y),
+        seq: ++this.inputSequence,
+      };
 
-      this.socket.emit("move", {
-        x: Math.round(targetX),
-        y: Math.round(targetY),
-      });
+      this.socket.emit("move", input);
 
+      this.pendingInputs.push({ ...input, sentAt: now });
+      this.moveTarget = input;
       this.lastMoveSend = now;
     }
   }
 
   updateCamera() {
-    if (!this.currentPlayer || !this.app) return;
+    const focus = this.getCameraFocus();
+    if (!focus || !this.app) return;
 
-    const targetX = this.currentPlayer.x - this.app.screen.width / 2;
-    const targetY = this.currentPlayer.y - this.app.screen.height / 2;
+    const targetZoom = this.getAutoZoom(focus) * this.userZoom;
+    this.zoom += (targetZoom - this.zoom) * this.ZOOM_SMOOTHING;
 
     // Smooth camera following
-    this.camera.x += (targetX - this.camera.x) * this.CAMERA_SMOOTHING;
-    this.camera.y += (targetY - this.camera.y) * this.CAMERA_SMOOTHING;
+    this.camera.x += (focus.x - this.camera.x) * this.CAMERA_SMOOTHING;
+    this.camera.y += (focus.y - this.camera.y) * this.CAMERA_SMOOTHING;
+
+    // Move and scale the world under the camera, the grid scrolls and scales along with it
+    const offsetX = this.app.screen.width / 2 - this.camera.x * this.zoom;
+    const offsetY = this.app.screen.height / 2 - this.camera.y * this.zoom;
+    this.worldContainer.scale.set(this.zoom);
+    this.worldContainer.position.set(offsetX, offsetY);
+    this.gridSprite.tileScale.set(this.zoom);
+    this.gridSprite.tilePosition.set(offsetX, offsetY);
+  }
+
+  render() {
+    if (!this.app || (!this.currentPlayer && !this.spectating) || this.gameOver || !this.gameStarted) return;
+
+    // Only what is on screen gets sprites, everything else is skipped or hidden
+    const bounds = this.getViewBounds(CULL_MARGIN);
+    this.drawFood(bounds);
+    this.drawViruses(bounds);
+    this.drawPowerUps(bounds);
+    this.drawPlayers(bounds);
+    this.drawMinimap();
+  }
 
-    // Update container positions
-    if (this.gridContainer) {
-      this.gridContainer.x = -this.camera.x;
-      this.gridContainer.y = -this.camera.y;
+  // World overview in the corner: the arena's edges, what is on screen, the leaders and ourselves
+  drawMinimap() {
+    const canvas = document.getElementById('minimap');
+    if (!canvas || !this.worldWidth || !this.worldHeight) return;
+
+    // Keep the map's shape, arenas don't have to be square
+    const height = Math.round(canvas.width * (this.worldHeight / this.worldWidth));
+    if (canvas.height !== height) {
+      canvas.height = height;
     }
-    
-    if (this.foodContainer) {
-      this.foodContainer.x = -this.camera.x;
-      this.foodContainer.y = -this.camera.y;
+
+    const ctx = canvas.getContext('2d');
+    const scale = canvas.width / this.worldWidth;
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.lineWidth = 1;
+    ctx.strokeRect(0.5, 0.5, canvas.width - 1, canvas.height - 1);
+
+    const view = this.getViewBounds();
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.08)';
+    ctx.fillRect(view.left * scale, view.top * scale, (view.right - view.left) * scale, (view.bottom - view.top) * scale);
+
+    ctx.font = 'bold 10px Arial';
+    ctx.textAlign = 'center';
+    this.leaderboard.slice(0, MINIMAP_PLAYERS).forEach((entry, index) => {
+      if (entry.id === this.currentPlayer?.id) return;
+
+      ctx.fillStyle = '#FFD54F';
+      ctx.beginPath();
+      ctx.arc(entry.x * scale, entry.y * scale, 3, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillText(String(index + 1), entry.x * scale, entry.y * scale - 5);
+    });
+
+    if (this.currentPlayer && !this.spectating) {
+      ctx.fillStyle = '#FFFFFF';
+      ctx.beginPath();
+      ctx.arc(this.currentPlayer.x * scale, this.currentPlayer.y * scale, 4, 0, Math.PI * 2);
+      ctx.fill();
     }
-    
-    if (this.playerContainer) {
-      this.playerContainer.x = -this.camera.x;
-      this.playerContainer.y = -this.camera.y;
+  }
+
+  drawFood(bounds) {
+    if (!this.foodContainer) return;
+
+    const visibleIds = new Set();
+
+    // Ejected mass is drawn like food but keeps moving until it settles
+    for (const pellets of [this.food.values(), this.ejected]) {
+      for (const foodItem of pellets) {
+        if (!this.isInView(bounds, foodItem.x, foodItem.y, foodItem.radius)) continue;
+        visibleIds.add(foodItem.id);
+
+        let foodSprite = this.foodSprites.get(foodItem.id);
+        if (!foodSprite) {
+          foodSprite = this.acquireFoodSprite();
+          foodSprite.tint = this.hexToNumber(foodItem.color);
+          foodSprite.scale.set(foodItem.radius / FOOD_TEXTURE_RADIUS);
+          this.foodSprites.set(foodItem.id, foodSprite);
+        }
+
+        foodSprite.x = foodItem.x;
+        foodSprite.y = foodItem.y;
+      }
     }
 
-    // Redraw grid when camera moves significantly
-    if (this.gridContainer && (Math.abs(this.camera.x) > 50 || Math.abs(this.camera.y) > 50)) {
-      this.drawGrid();
+    // Food that was eaten or left the screen frees its sprite
+    for (const foodId of Array.from(this.foodSprites.keys())) {
+      if (!visibleIds.has(foodId)) {
+        this.releaseFoodSprite(foodId);
+      }
     }
   }
 
-  render() {
-    if (!this.app || !this.currentPlayer || this.gameOver || !this.gameStarted) return;
+  acquireFoodSprite() {
+    const pooled = this.foodPool.pop();
+    if (pooled) {
+      pooled.visible = true;
+      return pooled;
+    }
 
-    this.drawFood();
-    this.drawPlayers();
+    const sprite = new PIXI.Sprite(this.foodTexture);
+    sprite.anchor.set(0.5);
+    this.foodContainer.addChild(sprite);
+    return sprite;
   }
 
-  drawFood() {
-    if (!this.foodContainer) return;
+  releaseFoodSprite(foodId) {
+    const sprite = this.foodSprites.get(foodId);
+    if (!sprite) return;
+
+    sprite.visible = false;
+    this.foodPool.push(sprite);
+    this.foodSprites.delete(foodId);
+  }
+
+  drawViruses(bounds) {
+    if (!this.virusContainer) return;
+
+    const spikes = 20;
+
+    for (const virus of this.viruses) {
+      let virusSprite = this.virusSprites.get(virus.id);
+
+      if (!virusSprite) {
+        virusSprite = new PIXI.Graphics();
+        this.virusContainer.addChild(virusSprite);
+        this.virusSprites.set(virus.id, virusSprite);
+      }
+
+      virusSprite.visible = this.isInView(bounds, virus.x, virus.y, virus.radius * 1.08);
+      if (!virusSprite.visible) continue;
+
+      // Viruses grow when fed, so only redraw when the size changes
+      if (virusSprite.drawnRadius !== virus.radius) {
+        const points = [];
+        for (let i = 0; i < spikes * 2; i++) {
+          const angle = (i / (spikes * 2)) * Math.PI * 2;
+          const r = i % 2 === 0 ? virus.radius * 1.08 : virus.radius * 0.94;
+          points.push(Math.cos(angle) * r, Math.sin(angle) * r);
+        }
+
+        virusSprite
+          .clear()
+          .poly(points)
+          .fill({ color: 0x33FF33, alpha: 0.85 })
+          .stroke({ width: 3, color: 0x22AA22 });
+        virusSprite.drawnRadius = virus.radius;
+      }
+
+      virusSprite.x = virus.x;
+      virusSprite.y = virus.y;
+    }
+
+    // Remove viruses that were eaten
+    const currentVirusIds = new Set(this.viruses.map((v) => v.id));
+    for (const [virusId, sprite] of this.virusSprites) {
+      if (!currentVirusIds.has(virusId)) {
+        sprite.destroy();
+        this.virusSprites.delete(virusId);
+      }
+    }
+  }
+
+  drawPowerUps(bounds) {
+    if (!this.powerUpContainer) return;
 
-    // Update existing food sprites and create new ones
-    for (const foodItem of this.food) {
-      let foodSprite = this.foodSprites.get(foodItem.id);
+    // Pickups pulse gently so they stand out from food
+    const pulse = 1 + Math.sin(Date.now() / 200) * 0.08;
 
-      if (!foodSprite) {
-        // Create new food sprite
-        foodSprite = new PIXI.Graphics();
-        foodSprite.beginFill(this.hexToNumber(foodItem.color));
-        foodSprite.drawCircle(0, 0, foodItem.radius);
-        foodSprite.endFill();
-        
-        this.foodContainer.addChild(foodSprite);
-        this.foodSprites.set(foodItem.id, foodSprite);
+    for (const powerUp of this.powerUps) {
+      let powerUpSprite = this.powerUpSprites.get(powerUp.id);
+
+      if (!powerUpSprite) {
+        const style = POWER_UP_STYLES[powerUp.type];
+        powerUpSprite = new PIXI.Container();
+
+        const body = new PIXI.Graphics()
+          .circle(0, 0, powerUp.radius)
+          .fill({ color: style.color, alpha: 0.9 })
+          .stroke({ width: 3, color: 0xFFFFFF, alpha: 0.9 });
+
+        const icon = new PIXI.Text({ text: style.icon, style: { fontSize: powerUp.radius, fill: 0xFFFFFF, fontWeight: 'bold' } });
+        icon.anchor.set(0.5);
+
+        powerUpSprite.addChild(body, icon);
+        this.powerUpContainer.addChild(powerUpSprite);
+        this.powerUpSprites.set(powerUp.id, powerUpSprite);
       }
 
-      // Update position
-      foodSprite.x = foodItem.x;
-      foodSprite.y = foodItem.y;
+      powerUpSprite.visible = this.isInView(bounds, powerUp.x, powerUp.y, powerUp.radius);
+      powerUpSprite.x = powerUp.x;
+      powerUpSprite.y = powerUp.y;
+      powerUpSprite.scale.set(pulse);
     }
 
-    // Remove food that no longer exists
-    const currentFoodIds = new Set(this.food.map(f => f.id));
-    for (const [foodId, sprite] of this.foodSprites) {
-      if (!currentFoodIds.has(foodId)) {
-        this.foodContainer.removeChild(sprite);
-        this.foodSprites.delete(foodId);
+    // Remove power-ups that were picked up
+    const currentPowerUpIds = new Set(this.powerUps.map((p) => p.id));
+    for (const [powerUpId, sprite] of this.powerUpSprites) {
+      if (!currentPowerUpIds.has(powerUpId)) {
+        sprite.destroy({ children: true });
+        this.powerUpSprites.delete(powerUpId);
       }
     }
   }
 
-  drawPlayers() {
+  drawPlayers(bounds) {
     if (!this.playerContainer) return;
 
-    // Update existing player sprites and create new ones
+    // Update existing cell sprites and create new ones
     for (const [playerId, state] of this.playerStates) {
       const player = state.current;
-      let playerSprite = this.playerSprites.get(playerId);
+      let cellSprites = this.playerSprites.get(playerId);
 
-      if (!playerSprite) {
-        // Create new player sprite
-        playerSprite = new PIXI.Graphics();
-        this.playerContainer.addChild(playerSprite);
-        this.playerSprites.set(playerId, playerSprite);
+      if (!cellSprites) {
+        cellSprites = new Map();
+        this.playerSprites.set(playerId, cellSprites);
       }
 
-      // Clear and redraw player
-      playerSprite.clear();
-      
-      // Draw player body
-      playerSprite.beginFill(this.hexToNumber(player.color));
-      playerSprite.drawCircle(0, 0, player.radius);
-      playerSprite.endFill();
-      
-      // Draw border
       const isSelf = playerId === this.currentPlayer?.id;
-      playerSprite.lineStyle(isSelf ? 4 : 2, isSelf ? 0xFFFFFF : 0x000000, isSelf ? 1 : 0.4);
-      playerSprite.drawCircle(0, 0, player.radius);
-      
-      // Update position
-      playerSprite.x = player.x;
-      playerSprite.y = player.y;
+      const effects = this.getActiveEffects(player);
 
-      // Draw player name for larger players
-      if (player.radius >= 20) {
-        // For names, we'd need to use PIXI.Text, but for simplicity we'll skip it here
+      for (const cell of player.cells) {
+        let cellSprite = cellSprites.get(cell.id);
+
+        if (!cellSprite) {
+          cellSprite = this.createCellSprite();
+          this.playerContainer.addChild(cellSprite);
+          cellSprites.set(cell.id, cellSprite);
+        }
+
+        cellSprite.visible = this.isInView(bounds, cell.x, cell.y, cell.radius);
+        if (!cellSprite.visible) continue;
+
+        this.updateCellSprite(cellSprite, player, cell, isSelf, effects);
+      }
+
+      // Remove cells that merged or were eaten
+      const currentCellIds = new Set(player.cells.map((cell) => cell.id));
+      for (const [cellId, sprite] of cellSprites) {
+        if (!currentCellIds.has(cellId)) {
+          sprite.destroy({ children: true });
+          cellSprites.delete(cellId);
+        }
       }
     }
 
     // Remove players that no longer exist
-    const currentPlayerIds = new Set(Array.from(this.playerStates.keys()));
-    for (const [playerId, sprite] of this.playerSprites) {
-      if (!currentPlayerIds.has(playerId)) {
-        this.playerContainer.removeChild(sprite);
-        this.playerSprites.delete(playerId);
+    for (const playerId of Array.from(this.playerSprites.keys())) {
+      if (!this.playerStates.has(playerId)) {
+        this.removePlayerSprite(playerId);
+      }
+    }
+  }
+
+  // A cell is its cached body texture, power-up rings behind it and name and mass labels on top
+  createCellSprite() {
+    const cellSprite = new PIXI.Container();
+    cellSprite.aura = new PIXI.Graphics();
+    cellSprite.body = new PIXI.Sprite();
+    cellSprite.body.anchor.set(0.5);
+    cellSprite.nameLabel = new PIXI.BitmapText({ text: '', style: LABEL_STYLE });
+    cellSprite.nameLabel.anchor.set(0.5);
+    cellSprite.massLabel = new PIXI.BitmapText({ text: '', style: LABEL_STYLE });
+    cellSprite.massLabel.anchor.set(0.5);
+    cellSprite.auraKey = '';
+    cellSprite.nameWidth = 0;
+    cellSprite.addChild(cellSprite.aura, cellSprite.body, cellSprite.nameLabel, cellSprite.massLabel);
+    return cellSprite;
+  }
+
+  updateCellSprite(cellSprite, player, cell, isSelf, effects) {
+    const { texture, size } = this.getCellTexture(player.color, isSelf, cell.radius);
+    cellSprite.body.texture = texture;
+    cellSprite.body.scale.set(cell.radius / size);
+
+    // One glowing ring per active power-up, stacked outwards. Redrawn only when they change.
+    const auraKey = effects.length > 0 ? `${effects.map((effect) => effect.type).join()}:${Math.round(cell.radius)}` : '';
+    if (cellSprite.auraKey !== auraKey) {
+      cellSprite.aura.clear();
+      effects.forEach((effect, i) => {
+        cellSprite.aura.circle(0, 0, cell.radius + 6 + i * 6).stroke({ width: 4, color: POWER_UP_STYLES[effect.type].color, alpha: 0.6 });
+      });
+      cellSprite.auraKey = auraKey;
+    }
+
+    // Labels grow with the cell, long names shrink to stay inside it
+    const labelled = cell.radius >= LABEL_MIN_RADIUS;
+    cellSprite.nameLabel.visible = labelled && player.name !== '';
+    cellSprite.massLabel.visible = labelled;
+    if (labelled) {
+      const mass = String(Math.floor(cell.mass));
+      if (cellSprite.nameLabel.text !== player.name) {
+        cellSprite.nameLabel.text = player.name;
+        cellSprite.nameWidth = cellSprite.nameLabel.getLocalBounds().width;
+      }
+      if (cellSprite.massLabel.text !== mass) {
+        cellSprite.massLabel.text = mass;
       }
+
+      const nameScale = Math.min((cell.radius * 0.4) / LABEL_STYLE.fontSize, (cell.radius * 1.6) / Math.max(1, cellSprite.nameWidth));
+      cellSprite.nameLabel.scale.set(nameScale);
+      cellSprite.massLabel.scale.set((cell.radius * 0.25) / LABEL_STYLE.fontSize);
+      cellSprite.massLabel.y = cell.radius * 0.4;
     }
+
+    // Update position, bigger cells are drawn on top
+    cellSprite.x = cell.x;
+    cellSprite.y = cell.y;
+    cellSprite.zIndex = cell.radius;
   }
 
   removePlayerSprite(playerId) {
-    const sprite = this.playerSprites.get(playerId);
-    if (sprite && this.playerContainer) {
-      this.playerContainer.removeChild(sprite);
-      this.playerSprites.delete(playerId);
+    const cellSprites = this.playerSprites.get(playerId);
+    if (!cellSprites) return;
+
+    for (const sprite of cellSprites.values()) {
+      sprite.destroy({ children: true });
     }
+    this.playerSprites.delete(playerId);
   }
 
   hexToNumber(hex) {
@@ -698,8 +2167,10 @@ class GameApp {
   }
 }
 
-// Initialize game when DOM is loaded
-document.addEventListener('DOMContentLoaded', () => {
-  console.log('DOM loaded, initializing game');
-  window.gameApp = new GameApp();
-});
\ No newline at end of file
+// Initialize game when DOM is loaded, the replay viewer creates its own GameApp
+if (!document.getElementById('replayViewer')) {
+  document.addEventListener('DOMContentLoaded', () => {
+    console.log('DOM loaded, initializing game');
+    window.gameApp = new GameApp();
+  });
+}
\ No newline at end of file
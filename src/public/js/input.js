@@ -0,0 +1,364 @@
+// Turns mouse, keyboard, gamepad or on-screen joystick input into what the game reads: a point
+// on screen to steer towards, plus split, eject and menu presses. Only one scheme steers at a time.
+
+export const INPUT_SCHEMES = {
+  mouse: 'Mouse / touch',
+  keyboard: 'Keyboard',
+  gamepad: 'Gamepad',
+  joystick: 'On-screen joystick',
+};
+
+export const ACTION_LABELS = {
+  up: 'Move up',
+  down: 'Move down',
+  left: 'Move left',
+  right: 'Move right',
+  split: 'Split',
+  eject: 'Eject mass',
+  menu: 'Menu',
+};
+
+// Keys are KeyboardEvent codes, gamepad buttons are Button<index> in the standard layout.
+// Movement actions only exist in schemes that steer with buttons.
+export const DEFAULT_BINDINGS = {
+  mouse: { split: ['Space'], eject: ['KeyW'], menu: ['Escape'] },
+  keyboard: {
+    up: ['KeyW', 'ArrowUp'],
+    down: ['KeyS', 'ArrowDown'],
+    left: ['KeyA', 'ArrowLeft'],
+    right: ['KeyD', 'ArrowRight'],
+    split: ['Space'],
+    eject: ['KeyE'],
+    menu: ['Escape'],
+  },
+  gamepad: {
+    up: ['Button12'],
+    down: ['Button13'],
+    left: ['Button14'],
+    right: ['Button15'],
+    split: ['Button0', 'Space'],
+    eject: ['Button2', 'KeyW'],
+    menu: ['Button9', 'Escape'],
+  },
+  joystick: { split: ['Space'], eject: ['KeyW'], menu: ['Escape'] },
+};
+
+const GAMEPAD_BUTTON_NAMES = ['A', 'B', 'X', 'Y', 'LB', 'RB', 'LT', 'RT', 'Back', 'Start', 'L3', 'R3', 'Up', 'Down', 'Left', 'Right'];
+const KEY_NAMES = { ArrowUp: '↑', ArrowDown: '↓', ArrowLeft: '←', ArrowRight: '→' };
+// Stick drift below this is ignored
+const STICK_DEAD_ZONE = 0.2;
+// Eject keeps firing this often while its button is held
+const EJECT_REPEAT_INTERVAL = 100;
+const SETTINGS_KEY = 'inputSettings';
+
+export function formatBinding(code) {
+  if (code.startsWith('Button')) {
+    const index = Number(code.slice('Button'.length));
+    return `Pad ${GAMEPAD_BUTTON_NAMES[index] ?? index}`;
+  }
+  if (code.startsWith('Key')) return code.slice('Key'.length);
+  if (code.startsWith('Digit')) return code.slice('Digit'.length);
+  return KEY_NAMES[code] ?? code;
+}
+
+// Saved settings on top of the defaults, anything unreadable is dropped
+function loadSettings() {
+  const settings = { scheme: 'mouse', bindings: structuredClone(DEFAULT_BINDINGS) };
+
+  try {
+    const saved = JSON.parse(localStorage.getItem(SETTINGS_KEY) || '{}');
+    if (saved.scheme in INPUT_SCHEMES) {
+      settings.scheme = saved.scheme;
+    }
+    for (const [scheme, bindings] of Object.entries(settings.bindings)) {
+      for (const action of Object.keys(bindings)) {
+        const codes = saved.bindings?.[scheme]?.[action];
+        if (Array.isArray(codes) && codes.every((code) => typeof code === 'string')) {
+          bindings[action] = codes;
+        }
+      }
+    }
+  } catch (error) {
+    console.warn('Ignoring saved input settings:', error);
+  }
+
+  return settings;
+}
+
+export class InputManager {
+  // onAction is called with 'split', 'eject' or 'menu'
+  constructor(onAction) {
+    this.onAction = onAction;
+    const settings = loadSettings();
+    this.scheme = settings.scheme;
+    this.bindings = settings.bindings;
+
+    // Last mouse or touch position on the canvas
+    this.pointer = { x: 0, y: 0 };
+    // Keys and gamepad buttons currently held down
+    this.pressed = new Set();
+    // Actions held on the on-screen buttons
+    this.screenHeld = new Set();
+    this.stick = { x: 0, y: 0 };
+    this.joystick = { x: 0, y: 0 };
+    this.joystickPointerId = null;
+    this.lastEjectAt = 0;
+    // Action waiting for its new key or button, see startRemap
+    this.remapping = null;
+    this.onRemapDone = null;
+    // Off outside of play and while menus are open, so keys don't steer or split behind them
+    this.enabled = false;
+
+    window.addEventListener('keydown', (e) => this.handleKeyDown(e));
+    window.addEventListener('keyup', (e) => this.pressed.delete(e.code));
+    window.addEventListener('blur', () => this.pressed.clear());
+    this.setupTouchControls();
+  }
+
+  attachCanvas(canvas) {
+    canvas.addEventListener('mousemove', (e) => {
+      const rect = canvas.getBoundingClientRect();
+      this.pointer.x = e.clientX - rect.left;
+      this.pointer.y = e.clientY - rect.top;
+    });
+
+    // Two fingers are a pinch, only a single finger steers
+    canvas.addEventListener('touchmove', (e) => {
+      if (e.touches.length !== 1) return;
+      const rect = canvas.getBoundingClientRect();
+      this.pointer.x = e.touches[0].clientX - rect.left;
+      this.pointer.y = e.touches[0].clientY - rect.top;
+    });
+  }
+
+  setupTouchControls() {
+    const base = document.getElementById('joystick');
+    const knob = document.getElementById('joystickKnob');
+    if (base && knob) {
+      const moveKnob = (e) => {
+        const rect = base.getBoundingClientRect();
+        const radius = rect.width / 2;
+        let x = (e.clientX - rect.left - radius) / radius;
+        let y = (e.clientY - rect.top - radius) / radius;
+        const length = Math.hypot(x, y);
+        if (length > 1) {
+          x /= length;
+          y /= length;
+        }
+        this.joystick = { x, y };
+        knob.style.transform = `translate(${x * radius}px, ${y * radius}px)`;
+      };
+
+      base.addEventListener('pointerdown', (e) => {
+        this.joystickPointerId = e.pointerId;
+        base.setPointerCapture(e.pointerId);
+        moveKnob(e);
+      });
+      base.addEventListener('pointermove', (e) => {
+        if (e.pointerId === this.joystickPointerId) moveKnob(e);
+      });
+      const release = (e) => {
+        if (e.pointerId !== this.joystickPointerId) return;
+        this.joystickPointerId = null;
+        this.joystick = { x: 0, y: 0 };
+        knob.style.transform = '';
+      };
+      base.addEventListener('pointerup', release);
+      base.addEventListener('pointercancel', release);
+    }
+
+    for (const button of document.querySelectorAll('[data-touch-action]')) {
+      const action = button.dataset.touchAction;
+      button.addEventListener('pointerdown', (e) => {
+        e.preventDefault();
+        this.screenHeld.add(action);
+        this.trigger(action);
+      });
+      for (const type of ['pointerup', 'pointercancel', 'pointerleave']) {
+        button.addEventListener(type, () => this.screenHeld.delete(action));
+      }
+    }
+  }
+
+  handleKeyDown(e) {
+    if (this.remapping) {
+      e.preventDefault();
+      if (e.code === 'Escape') {
+        this.finishRemap();
+      } else {
+        this.setBinding(this.remapping, e.code);
+      }
+      return;
+    }
+
+    // Typing in the chat or name box is not playing
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLSelectElement) return;
+
+    const action = this.getActionFor(e.code);
+    if (!action || (!this.enabled && action !== 'menu')) return;
+    e.preventDefault();
+
+    if (e.repeat) return;
+    this.pressed.add(e.code);
+    this.trigger(action);
+  }
+
+  getActionFor(code) {
+    const bindings = this.bindings[this.scheme];
+    return Object.keys(bindings).find((action) => bindings[action].includes(code)) ?? null;
+  }
+
+  isHeld(action) {
+    if (this.screenHeld.has(action)) return true;
+    const codes = this.bindings[this.scheme][action] ?? [];
+    return codes.some((code) => this.pressed.has(code));
+  }
+
+  trigger(action) {
+    if (action === 'menu') {
+      this.onAction(action);
+      return;
+    }
+    if (!this.enabled) return;
+
+    if (action === 'split') {
+      this.onAction(action);
+    } else if (action === 'eject') {
+      this.lastEjectAt = Date.now();
+      this.onAction(action);
+    }
+  }
+
+  // Called every frame: reads the gamepad and keeps a held eject firing
+  update() {
+    this.pollGamepad();
+
+    const now = Date.now();
+    if (this.enabled && this.isHeld('eject') && now - this.lastEjectAt >= EJECT_REPEAT_INTERVAL) {
+      this.trigger('eject');
+    }
+  }
+
+  pollGamepad() {
+    const pad = navigator.getGamepads ? Array.from(navigator.getGamepads()).find(Boolean) : null;
+    if (!pad) {
+      this.stick = { x: 0, y: 0 };
+      return;
+    }
+
+    const [x = 0, y = 0] = pad.axes;
+    this.stick = Math.hypot(x, y) > STICK_DEAD_ZONE ? { x, y } : { x: 0, y: 0 };
+
+    pad.buttons.forEach((button, index) => {
+      const code = `Button${index}`;
+      if (!button.pressed) {
+        this.pressed.delete(code);
+        return;
+      }
+      if (this.pressed.has(code)) return;
+
+      this.pressed.add(code);
+      if (this.remapping) {
+        this.setBinding(this.remapping, code);
+        return;
+      }
+
+      const action = this.getActionFor(code);
+      if (action) this.trigger(action);
+    });
+  }
+
+  // Steering direction no longer than 1, null when the pointer steers instead
+  getDirection() {
+    if (this.scheme === 'mouse') return null;
+    if (!this.enabled) return { x: 0, y: 0 };
+
+    let x = 0;
+    let y = 0;
+    if (this.scheme === 'joystick') {
+      ({ x, y } = this.joystick);
+    } else {
+      x = (this.isHeld('right') ? 1 : 0) - (this.isHeld('left') ? 1 : 0);
+      y = (this.isHeld('down') ? 1 : 0) - (this.isHeld('up') ? 1 : 0);
+      if (this.scheme === 'gamepad' && x === 0 && y === 0) {
+        ({ x, y } = this.stick);
+      }
+    }
+
+    const length = Math.hypot(x, y);
+    return length > 1 ? { x: x / length, y: y / length } : { x, y };
+  }
+
+  // The point on screen to steer towards, which is what every scheme comes down to. Buttons and
+  // sticks point from the centre of the screen, a released stick points at the centre and stops.
+  getPointer(width, height) {
+    const direction = this.getDirection();
+    if (!direction) return this.pointer;
+
+    const reach = Math.min(width, height) / 2;
+    return { x: width / 2 + direction.x * reach, y: height / 2 + direction.y * reach };
+  }
+
+  setEnabled(enabled) {
+    if (this.enabled === enabled) return;
+    this.enabled = enabled;
+    if (!enabled) {
+      this.pressed.clear();
+      this.screenHeld.clear();
+    }
+  }
+
+  setScheme(scheme) {
+    if (!(scheme in INPUT_SCHEMES)) return;
+    this.scheme = scheme;
+    this.pressed.clear();
+    this.saveSettings();
+  }
+
+  // The next key or gamepad button pressed becomes the action's main binding, Escape cancels
+  startRemap(action, onDone) {
+    this.remapping = action;
+    this.onRemapDone = onDone;
+
+    // The game loop may not be running yet on the main menu, so watch the gamepad here
+    const poll = () => {
+      if (this.remapping !== action) return;
+      this.pollGamepad();
+      requestAnimationFrame(poll);
+    };
+    requestAnimationFrame(poll);
+  }
+
+  finishRemap() {
+    const onDone = this.onRemapDone;
+    this.remapping = null;
+    this.onRemapDone = null;
+    onDone?.();
+  }
+
+  // A key can only do one thing per scheme, so it is taken off whatever action had it before
+  setBinding(action, code) {
+    const bindings = this.bindings[this.scheme];
+    const secondary = bindings[action].slice(1);
+    for (const other of Object.keys(bindings)) {
+      bindings[other] = bindings[other].filter((bound) => bound !== code);
+    }
+    bindings[action] = [code, ...secondary.filter((bound) => bound !== code)];
+
+    this.saveSettings();
+    this.finishRemap();
+  }
+
+  resetBindings() {
+    this.bindings[this.scheme] = structuredClone(DEFAULT_BINDINGS[this.scheme]);
+    this.saveSettings();
+  }
+
+  saveSettings() {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify({ scheme: this.scheme, bindings: this.bindings }));
+    } catch (error) {
+      console.warn('Could not save input settings:', error);
+    }
+  }
+}
@@ -0,0 +1,472 @@
+// Compact binary encoding for game snapshots. Shared between the server, which
+// requires it from server.ts, and the browser, which loads it as a plain script
+// before game.js. JSON stays available as a fallback for debugging.
+// Replay files reuse the same messages, see encodeJsonMessage/decodeMessage.
+
+// Player and food colours are sent as an index into this palette
+const PALETTE = [
+  '#FF6B6B', '#4ECDC4', '#45B7D1', '#96CEB4', '#FFEAA7',
+  '#DDA0DD', '#98D8C8', '#F7DC6F', '#BB8FCE', '#85C1E9',
+  '#F8C471', '#82E0AA', '#F1948A', '#85C1E9', '#D7BDE2'
+];
+
+// Power-up and effect types are sent as an index into this list
+/** @type {import('../../types/serverTypes').PowerUpType[]} */
+const POWER_UP_TYPES = ['speed', 'shield', 'magnet', 'doubler'];
+
+const SNAPSHOT_MESSAGE = 1;
+// Replay files interleave snapshots with these JSON messages
+const REPLAY_HEADER_MESSAGE = 2;
+const REPLAY_EVENT_MESSAGE = 3;
+// Colours outside the palette are followed by their raw RGB bytes
+const CUSTOM_COLOR = 0xFF;
+// Team id sent for players in free-for-all arenas
+const NO_TEAM = 0xFF;
+// Positions are quantized to 16 bits across the world, radii to a quarter unit
+const POSITION_STEPS = 0xFFFF;
+const RADIUS_SCALE = 4;
+
+class BinaryWriter {
+  constructor(size = 1024) {
+    this.buffer = new ArrayBuffer(size);
+    this.view = new DataView(this.buffer);
+    this.offset = 0;
+  }
+
+  ensure(bytes) {
+    if (this.offset + bytes <= this.buffer.byteLength) return;
+
+    let size = this.buffer.byteLength * 2;
+    while (size < this.offset + bytes) {
+      size *= 2;
+    }
+
+    const next = new ArrayBuffer(size);
+    new Uint8Array(next).set(new Uint8Array(this.buffer, 0, this.offset));
+    this.buffer = next;
+    this.view = new DataView(next);
+  }
+
+  u8(value) {
+    this.ensure(1);
+    this.view.setUint8(this.offset, value);
+    this.offset += 1;
+  }
+
+  u16(value) {
+    this.ensure(2);
+    this.view.setUint16(this.offset, value, true);
+    this.offset += 2;
+  }
+
+  u32(value) {
+    this.ensure(4);
+    this.view.setUint32(this.offset, value, true);
+    this.offset += 4;
+  }
+
+  f32(value) {
+    this.ensure(4);
+    this.view.setFloat32(this.offset, value, true);
+    this.offset += 4;
+  }
+
+  f64(value) {
+    this.ensure(8);
+    this.view.setFloat64(this.offset, value, true);
+    this.offset += 8;
+  }
+
+  string(value) {
+    const bytes = new TextEncoder().encode(value).slice(0, 0xFF);
+    this.u8(bytes.length);
+    this.ensure(bytes.length);
+    new Uint8Array(this.buffer, this.offset, bytes.length).set(bytes);
+    this.offset += bytes.length;
+  }
+
+  finish() {
+    return this.buffer.slice(0, this.offset);
+  }
+}
+
+class BinaryReader {
+  constructor(data) {
+    this.view = data instanceof ArrayBuffer
+      ? new DataView(data)
+      : new DataView(data.buffer, data.byteOffset, data.byteLength);
+    this.offset = 0;
+  }
+
+  u8() {
+    const value = this.view.getUint8(this.offset);
+    this.offset += 1;
+    return value;
+  }
+
+  u16() {
+    const value = this.view.getUint16(this.offset, true);
+    this.offset += 2;
+    return value;
+  }
+
+  u32() {
+    const value = this.view.getUint32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  f32() {
+    const value = this.view.getFloat32(this.offset, true);
+    this.offset += 4;
+    return value;
+  }
+
+  f64() {
+    const value = this.view.getFloat64(this.offset, true);
+    this.offset += 8;
+    return value;
+  }
+
+  string() {
+    const length = this.u8();
+    const bytes = new Uint8Array(this.view.buffer, this.view.byteOffset + this.offset, length);
+    this.offset += length;
+    return new TextDecoder().decode(bytes);
+  }
+}
+
+function writePosition(writer, value, size) {
+  const ratio = Math.max(0, Math.min(1, value / size));
+  writer.u16(Math.round(ratio * POSITION_STEPS));
+}
+
+function readPosition(reader, size) {
+  return (reader.u16() / POSITION_STEPS) * size;
+}
+
+function writeRadius(writer, radius) {
+  writer.u16(Math.min(0xFFFF, Math.round(radius * RADIUS_SCALE)));
+}
+
+function readRadius(reader) {
+  return reader.u16() / RADIUS_SCALE;
+}
+
+function writeColor(writer, color) {
+  const index = PALETTE.indexOf(color.toUpperCase());
+  if (index >= 0) {
+    writer.u8(index);
+    return;
+  }
+
+  const rgb = parseInt(color.replace('#', ''), 16) || 0;
+  writer.u8(CUSTOM_COLOR);
+  writer.u8((rgb >> 16) & 0xFF);
+  writer.u8((rgb >> 8) & 0xFF);
+  writer.u8(rgb & 0xFF);
+}
+
+function readColor(reader) {
+  const index = reader.u8();
+  if (index !== CUSTOM_COLOR) {
+    return PALETTE[index];
+  }
+
+  const rgb = (reader.u8() << 16) | (reader.u8() << 8) | reader.u8();
+  return `#${rgb.toString(16).toUpperCase().padStart(6, '0')}`;
+}
+
+/**
+ * @param {import('../../types/serverTypes').GameSnapshot} snapshot
+ * @param {number} worldWidth
+ * @param {number} worldHeight
+ * @returns {ArrayBuffer}
+ */
+function encodeSnapshot(snapshot, worldWidth, worldHeight) {
+  const writer = new BinaryWriter();
+
+  writer.u8(SNAPSHOT_MESSAGE);
+  writer.f64(snapshot.ts);
+  writer.u32(snapshot.lastProcessedInput);
+  writer.f32(worldWidth);
+  writer.f32(worldHeight);
+  writer.u16(snapshot.totalPlayers);
+
+  writer.u16(snapshot.players.length);
+  for (const player of snapshot.players) {
+    writer.u32(player.id);
+    writeColor(writer, player.color);
+    writer.string(player.name);
+    writer.u8(player.teamId ?? NO_TEAM);
+    writer.f32(player.mass);
+    writePosition(writer, player.x, worldWidth);
+    writePosition(writer, player.y, worldHeight);
+    writeRadius(writer, player.radius);
+
+    // Effects go out as the time left at this snapshot, so client and server clocks don't need to agree
+    writer.u8(player.effects.length);
+    for (const effect of player.effects) {
+      writer.u8(POWER_UP_TYPES.indexOf(effect.type));
+      writer.u16(Math.max(0, Math.min(0xFFFF, Math.round(effect.expiresAt - snapshot.ts))));
+    }
+
+    writer.u8(player.cells.length);
+    for (const cell of player.cells) {
+      writer.u32(cell.id);
+      writePosition(writer, cell.x, worldWidth);
+      writePosition(writer, cell.y, worldHeight);
+      writeRadius(writer, cell.radius);
+      writer.f32(cell.mass);
+    }
+  }
+
+  writer.u16(snapshot.foodAdded.length);
+  for (const food of snapshot.foodAdded) {
+    writer.u32(food.id);
+    writePosition(writer, food.x, worldWidth);
+    writePosition(writer, food.y, worldHeight);
+    writeRadius(writer, food.radius);
+    writeColor(writer, food.color);
+  }
+
+  writer.u16(snapshot.foodRemoved.length);
+  for (const foodId of snapshot.foodRemoved) {
+    writer.u32(foodId);
+  }
+
+  writer.u16(snapshot.ejected.length);
+  for (const pellet of snapshot.ejected) {
+    writer.u32(pellet.id);
+    writePosition(writer, pellet.x, worldWidth);
+    writePosition(writer, pellet.y, worldHeight);
+    writeRadius(writer, pellet.radius);
+    writeColor(writer, pellet.color);
+  }
+
+  writer.u16(snapshot.viruses.length);
+  for (const virus of snapshot.viruses) {
+    writer.u32(virus.id);
+    writePosition(writer, virus.x, worldWidth);
+    writePosition(writer, virus.y, worldHeight);
+    writeRadius(writer, virus.radius);
+    writer.f32(virus.mass);
+  }
+
+  writer.u8(snapshot.powerUps.length);
+  for (const powerUp of snapshot.powerUps) {
+    writer.u32(powerUp.id);
+    writer.u8(POWER_UP_TYPES.indexOf(powerUp.type));
+    writePosition(writer, powerUp.x, worldWidth);
+    writePosition(writer, powerUp.y, worldHeight);
+    writeRadius(writer, powerUp.radius);
+  }
+
+  writer.u8(snapshot.leaderboard.length);
+  for (const entry of snapshot.leaderboard) {
+    writer.u32(entry.id);
+    writer.string(entry.name);
+    writer.f32(entry.mass);
+    writer.u8(entry.bot ? 1 : 0);
+    writePosition(writer, entry.x, worldWidth);
+    writePosition(writer, entry.y, worldHeight);
+  }
+
+  writer.u8(snapshot.teams.length);
+  for (const team of snapshot.teams) {
+    writer.u8(team.id);
+    writeColor(writer, team.color);
+    writer.string(team.name);
+    writer.f32(team.mass);
+    writer.u16(team.players);
+  }
+
+  return writer.finish();
+}
+
+/**
+ * @param {ArrayBuffer | ArrayBufferView} data
+ * @returns {import('../../types/gameServerTypes').GameSnapshot}
+ */
+function decodeSnapshot(data) {
+  const reader = new BinaryReader(data);
+
+  const type = reader.u8();
+  if (type !== SNAPSHOT_MESSAGE) {
+    throw new Error(`Unknown message type: ${type}`);
+  }
+
+  const ts = reader.f64();
+  const lastProcessedInput = reader.u32();
+  const worldWidth = reader.f32();
+  const worldHeight = reader.f32();
+  const totalPlayers = reader.u16();
+
+  const players = [];
+  const playerCount = reader.u16();
+  for (let i = 0; i < playerCount; i++) {
+    const id = reader.u32();
+    const color = readColor(reader);
+    const name = reader.string();
+    const team = reader.u8();
+    const teamId = team === NO_TEAM ? null : team;
+    const mass = reader.f32();
+    const x = readPosition(reader, worldWidth);
+    const y = readPosition(reader, worldHeight);
+    const radius = readRadius(reader);
+
+    const effects = [];
+    const effectCount = reader.u8();
+    for (let j = 0; j < effectCount; j++) {
+      effects.push({ type: POWER_UP_TYPES[reader.u8()], expiresAt: ts + reader.u16() });
+    }
+
+    const cells = [];
+    const cellCount = reader.u8();
+    for (let j = 0; j < cellCount; j++) {
+      cells.push({
+        id: reader.u32(),
+        x: readPosition(reader, worldWidth),
+        y: readPosition(reader, worldHeight),
+        radius: readRadius(reader),
+        mass: reader.f32()
+      });
+    }
+
+    players.push({ id, x, y, radius, color, name, mass, teamId, effects, cells });
+  }
+
+  const foodAdded = [];
+  const foodAddedCount = reader.u16();
+  for (let i = 0; i < foodAddedCount; i++) {
+    foodAdded.push({
+      id: reader.u32(),
+      x: readPosition(reader, worldWidth),
+      y: readPosition(reader, worldHeight),
+      radius: readRadius(reader),
+      color: readColor(reader)
+    });
+  }
+
+  const foodRemoved = [];
+  const foodRemovedCount = reader.u16();
+  for (let i = 0; i < foodRemovedCount; i++) {
+    foodRemoved.push(reader.u32());
+  }
+
+  const ejected = [];
+  const ejectedCount = reader.u16();
+  for (let i = 0; i < ejectedCount; i++) {
+    ejected.push({
+      id: reader.u32(),
+      x: readPosition(reader, worldWidth),
+      y: readPosition(reader, worldHeight),
+      radius: readRadius(reader),
+      color: readColor(reader)
+    });
+  }
+
+  const viruses = [];
+  const virusCount = reader.u16();
+  for (let i = 0; i < virusCount; i++) {
+    viruses.push({
+      id: reader.u32(),
+      x: readPosition(reader, worldWidth),
+      y: readPosition(reader, worldHeight),
+      radius: readRadius(reader),
+      mass: reader.f32()
+    });
+  }
+
+  const powerUps = [];
+  const powerUpCount = reader.u8();
+  for (let i = 0; i < powerUpCount; i++) {
+    powerUps.push({
+      id: reader.u32(),
+      type: POWER_UP_TYPES[reader.u8()],
+      x: readPosition(reader, worldWidth),
+      y: readPosition(reader, worldHeight),
+      radius: readRadius(reader)
+    });
+  }
+
+  const leaderboard = [];
+  const leaderboardCount = reader.u8();
+  for (let i = 0; i < leaderboardCount; i++) {
+    leaderboard.push({
+      id: reader.u32(),
+      name: reader.string(),
+      mass: reader.f32(),
+      bot: reader.u8() === 1,
+      x: readPosition(reader, worldWidth),
+      y: readPosition(reader, worldHeight)
+    });
+  }
+
+  const teams = [];
+  const teamCount = reader.u8();
+  for (let i = 0; i < teamCount; i++) {
+    teams.push({
+      id: reader.u8(),
+      color: readColor(reader),
+      name: reader.string(),
+      mass: reader.f32(),
+      players: reader.u16()
+    });
+  }
+
+  return {
+    ts,
+    lastProcessedInput,
+    players,
+    foodAdded,
+    foodRemoved,
+    ejected,
+    viruses,
+    powerUps,
+    leaderboard,
+    teams,
+    totalPlayers
+  };
+}
+
+/**
+ * A type byte followed by UTF-8 JSON, for the rare messages that don't need a compact layout
+ * @param {number} type
+ * @param {unknown} value
+ * @returns {ArrayBuffer}
+ */
+function encodeJsonMessage(type, value) {
+  const json = new TextEncoder().encode(JSON.stringify(value));
+  const bytes = new Uint8Array(json.length + 1);
+  bytes[0] = type;
+  bytes.set(json, 1);
+  return bytes.buffer;
+}
+
+/**
+ * @param {ArrayBuffer | ArrayBufferView} data
+ * @returns {{ type: number, value: any }}
+ */
+function decodeMessage(data) {
+  const bytes = data instanceof ArrayBuffer
+    ? new Uint8Array(data)
+    : new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+
+  if (bytes[0] === SNAPSHOT_MESSAGE) {
+    return { type: SNAPSHOT_MESSAGE, value: decodeSnapshot(bytes) };
+  }
+  return { type: bytes[0], value: JSON.parse(new TextDecoder().decode(bytes.subarray(1))) };
+}
+
+const MessageType = {
+  SNAPSHOT: SNAPSHOT_MESSAGE,
+  REPLAY_HEADER: REPLAY_HEADER_MESSAGE,
+  REPLAY_EVENT: REPLAY_EVENT_MESSAGE
+};
+
+const Protocol = { PALETTE, POWER_UP_TYPES, MessageType, encodeSnapshot, decodeSnapshot, encodeJsonMessage, decodeMessage };
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Protocol;
+}
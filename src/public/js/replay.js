@@ -0,0 +1,269 @@
+import { GameApp } from './game.js';
+
+// Plays a recorded match through GameApp's rendering, with the replay file standing in
+// for the socket. Playback time replaces server time, so interpolation works unchanged.
+class ReplayApp extends GameApp {
+  constructor() {
+    super({ offline: true });
+    this.header = null;
+    this.frames = [];
+    this.events = [];
+    // Index of the next frame to feed in
+    this.frameIndex = 0;
+    this.playbackTime = 0;
+    this.playing = false;
+    this.speed = 1;
+    this.lastUpdate = 0;
+    this.onProgress = null;
+  }
+
+  get startTime() {
+    return this.frames.length > 0 ? this.frames[0].ts : 0;
+  }
+
+  get endTime() {
+    return this.frames.length > 0 ? this.frames[this.frames.length - 1].ts : 0;
+  }
+
+  // A replay file is a sequence of protocol messages, each prefixed with its u32 length
+  load(buffer) {
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    while (offset + 4 <= buffer.byteLength) {
+      const length = view.getUint32(offset, true);
+      const message = Protocol.decodeMessage(new Uint8Array(buffer, offset + 4, length));
+      offset += 4 + length;
+
+      if (message.type === Protocol.MessageType.SNAPSHOT) {
+        this.frames.push(message.value);
+      } else if (message.type === Protocol.MessageType.REPLAY_HEADER) {
+        this.header = message.value;
+      } else if (message.type === Protocol.MessageType.REPLAY_EVENT) {
+        this.events.push(message.value);
+      }
+    }
+
+    if (!this.header || this.frames.length === 0) {
+      throw new Error('Replay file is empty');
+    }
+
+    this.worldWidth = this.header.worldWidth;
+    this.worldHeight = this.header.worldHeight;
+    this.arenaName = this.header.arenaName;
+    this.gameMode = this.header.mode;
+    this.teams = this.header.teams || [];
+
+    // Watch it like a spectator: follow the leader, cycle players or roam freely
+    this.spectating = true;
+    this.gameStarted = true;
+    this.seek(this.startTime);
+    this.startGameLoop();
+  }
+
+  getServerTime() {
+    return this.playbackTime;
+  }
+
+  play() {
+    if (this.playbackTime >= this.endTime) {
+      this.seek(this.startTime);
+    }
+    this.playing = true;
+    this.lastUpdate = Date.now();
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  seek(time) {
+    const target = Math.max(this.startTime, Math.min(this.endTime, time));
+    // Keep the camera where it is so scrubbing doesn't pan in from the corner
+    const camera = { ...this.camera };
+    this.resetWorld();
+    this.camera = camera;
+
+    // Food only arrives as changes, so rebuild it from the start of the recording
+    let index = 0;
+    while (index < this.frames.length && this.frames[index].ts <= target) {
+      const frame = this.frames[index];
+      for (const foodId of frame.foodRemoved) {
+        this.food.delete(foodId);
+      }
+      for (const foodItem of frame.foodAdded) {
+        this.food.set(foodItem.id, foodItem);
+      }
+      index++;
+    }
+
+    // Replaying the last few frames fills the interpolation buffers
+    for (let i = Math.max(0, index - 3); i < index; i++) {
+      this.processServerUpdate(this.frames[i]);
+    }
+
+    this.frameIndex = index;
+    this.playbackTime = target;
+    this.updateUI();
+  }
+
+  update() {
+    if (!this.header) return;
+
+    const now = Date.now();
+    if (this.playing) {
+      this.playbackTime = Math.min(this.endTime, this.playbackTime + (now - this.lastUpdate) * this.speed);
+      if (this.playbackTime >= this.endTime) {
+        this.playing = false;
+      }
+    }
+    this.lastUpdate = now;
+
+    let fed = false;
+    while (this.frameIndex < this.frames.length && this.frames[this.frameIndex].ts <= this.playbackTime) {
+      this.processServerUpdate(this.frames[this.frameIndex]);
+      this.frameIndex++;
+      fed = true;
+    }
+
+    if (fed) {
+      this.updateUI();
+    }
+    this.onProgress?.();
+
+    super.update();
+  }
+
+  // Join/death events up to the current playback time, newest first
+  getRecentEvents(count) {
+    const recent = [];
+    for (let i = this.events.length - 1; i >= 0 && recent.length < count; i--) {
+      if (this.events[i].ts <= this.playbackTime) {
+        recent.push(this.events[i]);
+      }
+    }
+    return recent;
+  }
+
+  // Everyone who was in the match, for the follow picker
+  getRecordedPlayers() {
+    const players = new Map();
+    for (const event of this.events) {
+      if (event.type === 'join') {
+        players.set(event.playerId, event.name);
+      }
+    }
+    return players;
+  }
+}
+
+function formatTime(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+async function fetchReplay(replayId) {
+  const response = await fetch(`/replays/${encodeURIComponent(replayId)}/file`);
+  if (!response.ok) {
+    throw new Error(`Replay not found (${response.status})`);
+  }
+
+  // Files are gzipped on disk and served as they are
+  const stream = response.body.pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).arrayBuffer();
+}
+
+function setupControls(replay) {
+  const playBtn = document.getElementById('replayPlayBtn');
+  const speedSelect = document.getElementById('replaySpeedSelect');
+  const timeline = document.getElementById('replayTimeline');
+  const timeLabel = document.getElementById('replayTimeValue');
+  const followSelect = document.getElementById('replayFollowSelect');
+  const eventLog = document.getElementById('replayEvents');
+
+  const duration = replay.endTime - replay.startTime;
+  timeline.max = String(duration);
+
+  for (const [playerId, name] of replay.getRecordedPlayers()) {
+    const option = document.createElement('option');
+    option.value = String(playerId);
+    option.textContent = name;
+    followSelect.appendChild(option);
+  }
+
+  const togglePlay = () => {
+    if (replay.playing) {
+      replay.pause();
+    } else {
+      replay.play();
+    }
+  };
+
+  playBtn.addEventListener('click', togglePlay);
+  speedSelect.addEventListener('change', () => {
+    replay.speed = Number(speedSelect.value) || 1;
+  });
+  timeline.addEventListener('input', () => {
+    replay.seek(replay.startTime + Number(timeline.value));
+  });
+  followSelect.addEventListener('change', () => {
+    if (followSelect.value === 'free') {
+      replay.startFreeRoam();
+    } else {
+      replay.followPlayer(followSelect.value ? Number(followSelect.value) : null);
+    }
+  });
+
+  document.addEventListener('keydown', (e) => {
+    if (e.target instanceof HTMLSelectElement || e.target instanceof HTMLInputElement) return;
+
+    if (e.code === 'Space') {
+      e.preventDefault();
+      togglePlay();
+    } else {
+      replay.handleSpectatorKey(e);
+    }
+  });
+
+  // The event log is only rebuilt when the visible events change
+  let shownEvents = [];
+  replay.onProgress = () => {
+    const elapsed = replay.playbackTime - replay.startTime;
+    playBtn.textContent = replay.playing ? 'Pause' : 'Play';
+    timeline.value = String(elapsed);
+    timeLabel.textContent = `${formatTime(elapsed)} / ${formatTime(duration)}`;
+
+    const events = replay.getRecentEvents(6);
+    if (events.length === shownEvents.length && events[0] === shownEvents[0]) return;
+    shownEvents = events;
+
+    eventLog.replaceChildren(
+      ...events.map((event) => {
+        const item = document.createElement('div');
+        item.className = 'replay-event';
+        item.textContent =
+          event.type === 'join'
+            ? `${formatTime(event.ts - replay.startTime)} ${event.name} joined`
+            : `${formatTime(event.ts - replay.startTime)} ${event.name} was eaten by ${event.eatenBy} (${Math.floor(event.finalMass)})`;
+        return item;
+      })
+    );
+  };
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const viewer = document.getElementById('replayViewer');
+  const status = document.getElementById('replayStatus');
+  const replay = new ReplayApp();
+  window.replayApp = replay;
+
+  try {
+    replay.load(await fetchReplay(viewer.dataset.replayId));
+    setupControls(replay);
+    status.style.display = 'none';
+    replay.play();
+  } catch (error) {
+    console.error('Failed to load replay:', error);
+    status.textContent = error.message;
+  }
+});
@@ -0,0 +1,15 @@
+// Seedable random numbers in [0, 1), a drop-in for Math.random
+export type Random = () => number;
+
+// mulberry32: tiny, fast and good enough for placing food. The same seed always gives
+// the same sequence, so a seeded GameServer builds the same world every time.
+export function createRandom(seed: number): Random {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -0,0 +1,28 @@
+// Token bucket: allows short bursts up to `capacity`, then `refillPerSecond` messages per second
+export class RateLimiter {
+  private readonly capacity: number;
+  private readonly refillPerSecond: number;
+  private tokens: number;
+  private lastRefill: number;
+
+  constructor(capacity: number, refillPerSecond: number) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+  }
+
+  public tryConsume(): boolean {
+    const now = Date.now();
+    const elapsed = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.lastRefill = now;
+
+    if (this.tokens < 1) {
+      return false;
+    }
+
+    this.tokens -= 1;
+    return true;
+  }
+}
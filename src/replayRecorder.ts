@@ -0,0 +1,130 @@
+import { createWriteStream, mkdirSync, type WriteStream } from 'fs';
+import { readdir, readFile, writeFile } from 'fs/promises';
+import path from 'path';
+import { createGzip, type Gzip } from 'zlib';
+import { encodeJsonMessage, encodeSnapshot, MessageType } from './public/js/protocol';
+import type { GameSnapshot, ReplayEvent, ReplayHeader, ReplayInfo } from './types/serverTypes';
+
+// Bumped whenever the snapshot layout changes, 2 added power-ups and player effects,
+// 3 added leaderboard positions
+export const REPLAY_VERSION = 3;
+const REPLAY_EXTENSION = '.replay.gz';
+const INFO_EXTENSION = '.json';
+// Replay ids end up in file paths, so only allow what we generate ourselves
+const REPLAY_ID_PATTERN = /^[\w-]+$/;
+
+// Writes one match to a gzip file of length-prefixed protocol messages:
+// a header, then a full-world snapshot per tick with join/death events in between.
+// The constructor throws when the directory can't be created, write errors later on
+// only mark the recorder as failed.
+export class ReplayRecorder {
+  public readonly id: string;
+  private readonly dir: string;
+  private readonly header: ReplayHeader;
+  private readonly gzip: Gzip;
+  private readonly file: WriteStream;
+  private players: Set<string>;
+  private error: Error | null;
+
+  constructor(dir: string, header: ReplayHeader) {
+    this.dir = dir;
+    this.header = header;
+    this.id = `${header.arenaId}-${header.startedAt}`;
+    this.players = new Set();
+    this.error = null;
+
+    mkdirSync(dir, { recursive: true });
+    this.gzip = createGzip();
+    this.file = createWriteStream(path.join(dir, this.id + REPLAY_EXTENSION));
+    this.gzip.pipe(this.file);
+    this.gzip.on('error', (error) => this.fail(error));
+    this.file.on('error', (error) => this.fail(error));
+
+    this.writeRecord(encodeJsonMessage(MessageType.REPLAY_HEADER, header));
+  }
+
+  // Set once the file couldn't be written, everything after that is dropped
+  public get failed(): boolean {
+    return this.error !== null;
+  }
+
+  public writeSnapshot(snapshot: GameSnapshot): void {
+    this.writeRecord(encodeSnapshot(snapshot, this.header.worldWidth, this.header.worldHeight));
+  }
+
+  public writeEvent(event: ReplayEvent): void {
+    if (event.type === 'join') {
+      this.players.add(event.name);
+    }
+    this.writeRecord(encodeJsonMessage(MessageType.REPLAY_EVENT, event));
+  }
+
+  // Flushes the file and writes the info used by the replay listing. A failed recording
+  // gets no info file, so it never shows up in the listing.
+  public async close(): Promise<void> {
+    if (this.error) return;
+
+    await new Promise<void>((resolve) => {
+      this.file.once('close', resolve);
+      this.gzip.end();
+    });
+    if (this.error) return;
+
+    const info: ReplayInfo = {
+      id: this.id,
+      arenaId: this.header.arenaId,
+      arenaName: this.header.arenaName,
+      mode: this.header.mode,
+      startedAt: this.header.startedAt,
+      endedAt: Date.now(),
+      players: Array.from(this.players)
+    };
+    await writeFile(path.join(this.dir, this.id + INFO_EXTENSION), JSON.stringify(info));
+  }
+
+  private fail(error: Error): void {
+    if (this.error) return;
+
+    this.error = error;
+    console.error(`Replay ${this.id} failed:`, error);
+    this.gzip.unpipe(this.file);
+    this.gzip.destroy();
+    this.file.destroy();
+  }
+
+  private writeRecord(message: ArrayBuffer): void {
+    if (this.error) return;
+
+    const length = Buffer.alloc(4);
+    length.writeUInt32LE(message.byteLength);
+    this.gzip.write(length);
+    this.gzip.write(Buffer.from(message));
+  }
+}
+
+// Finished replays, newest first. Recordings still in progress have no info file yet.
+export async function listReplays(dir: string): Promise<ReplayInfo[]> {
+  let files: string[];
+  try {
+    files = await readdir(dir);
+  } catch {
+    return [];
+  }
+
+  const replays: ReplayInfo[] = [];
+  for (const file of files.filter((name) => name.endsWith(INFO_EXTENSION))) {
+    try {
+      replays.push(JSON.parse(await readFile(path.join(dir, file), 'utf8')));
+    } catch (error) {
+      console.warn(`Skipping unreadable replay info ${file}:`, error);
+    }
+  }
+
+  return replays.sort((a, b) => b.startedAt - a.startedAt);
+}
+
+export function getReplayPath(dir: string, id: string): string | null {
+  if (!REPLAY_ID_PATTERN.test(id)) return null;
+
+  return path.resolve(dir, id + REPLAY_EXTENSION);
+}
@@ -1,14 +1,50 @@
 import express from 'express';
 import { createServer } from 'http';
-import { Server } from 'socket.io';
+import { Server, type Socket } from 'socket.io';
 import path from 'path';
 import { engine } from 'express-handlebars';
-import type { DeathData, Food, GameState, HandlebarsContext, InitData, MoveData, Player } from './types/serverTypes';
-import { GameServer } from './gameServer';
+import type {
+  BotDifficulty,
+  DeathData,
+  Food,
+  GameMode,
+  GameState,
+  HandlebarsContext,
+  InitData,
+  Player,
+  SpectateData
+} from './types/serverTypes';
+import { BanList, createAdminRouter } from './admin';
+import type { Arena } from './arena';
+import { ArenaManager } from './arenaManager';
+import { loadGameConfig } from './config';
+import { ChatFilter, createChatLimiter, createChatMessage, MuteList, normalizeChatText, parseWordList } from './chat';
+import { toClientPlayer } from './gameServer';
+import { invalidPayloads, renderGauge, tickBytesSent, tickDuration } from './metrics';
+import { partyArenaId } from './party';
+import { RateLimiter } from './rateLimiter';
+import { getReplayPath, listReplays } from './replayRecorder';
+import { isHighscorePeriod, StatsStore } from './statsStore';
+import {
+  onValidated,
+  parseChat,
+  parseCreateParty,
+  parseInviteCode,
+  parseJoin,
+  parseJoinParty,
+  parseMemberId,
+  parseMove,
+  parseNoPayload,
+  parsePartySettings,
+  parsePosition,
+  parseResumeToken,
+  parseSpectate,
+  parseSpectateFollow
+} from './validation';
 
 const app = express();
 const httpServer = createServer(app);
-export const io = new Server(httpServer, {
+const io = new Server(httpServer, {
   cors: {
     origin: "*",
     methods: ["GET", "POST"]
@@ -28,54 +64,381 @@ app.set('views', path.join(__dirname, './views'));
 
 // Serve static files
 app.use(express.static(path.join(__dirname, './public')));
+// The browser build of the Pixi version in package.json, so client and dependency can't drift apart
+app.use('/vendor/pixi', express.static(path.join(path.dirname(require.resolve('pixi.js')), '../dist')));
 
 // Serve HTML with Handlebars
+const INDEX_CONTEXT = {
+  title: 'Agar.io Clone',
+  gameName: 'Agar.io',
+  description: 'Multiplayer agar.io game built with Pixi.js and Socket.io'
+};
+
 app.get('/', (req, res) => {
-  res.render('index', {
-    title: 'Agar.io Clone',
-    gameName: 'Agar.io',
-    description: 'Multiplayer agar.io game built with Pixi.js and Socket.io'
+  res.render('index', INDEX_CONTEXT);
+});
+
+// Invite links render the normal page, the client picks the code up and joins the party
+app.get('/p/:code', (req, res) => {
+  const code = parseInviteCode(req.params.code);
+  const arena = code ? arenaManager.getArena(partyArenaId(code)) : undefined;
+  if (!code || !arena) {
+    res.status(404).render('index', { ...INDEX_CONTEXT, partyError: 'That party has ended or the invite link is wrong' });
+    return;
+  }
+
+  res.render('index', { ...INDEX_CONTEXT, partyCode: code });
+});
+
+// World rules and presets, GAME_CONFIG points at another file and GAME_* variables override single settings
+const gameConfig = loadGameConfig(path.resolve(process.env.GAME_CONFIG || 'config/game.json'));
+const TICK_RATE = gameConfig.tickInterval;
+// Set REPLAY_DIR to record every match there and list them under /replays
+const REPLAY_DIR = process.env.REPLAY_DIR ? path.resolve(process.env.REPLAY_DIR) : null;
+
+// Finished sessions are appended here and served by the high score API
+const statsStore = new StatsStore(path.resolve(process.env.STATS_FILE || 'data/sessions.jsonl'));
+// Words masked in chat, e.g. CHAT_WORD_FILTER=foo,bar
+const chatFilter = new ChatFilter(parseWordList(process.env.CHAT_WORD_FILTER));
+// Inputs dropped by the rate limiters before a socket gets flagged in the logs
+const FLOOD_THRESHOLD = 100;
+
+// Drops inputs beyond the socket's allowance so sending faster doesn't make anyone move faster
+function allowInput(socket: Socket, limiter: RateLimiter): boolean {
+  if (limiter.tryConsume()) return true;
+
+  socket.data.droppedInputs++;
+  if (socket.data.droppedInputs === FLOOD_THRESHOLD) {
+    socket.data.flagged = true;
+    console.warn(`Socket ${socket.id} is flooding inputs, ${FLOOD_THRESHOLD} dropped so far`);
+  }
+  return false;
+}
+
+// Comma separated list of modes handed out to arenas in turn, e.g. ARENA_MODES=ffa,teams
+function parseModes(value: string | undefined): GameMode[] {
+  const modes = (value || 'ffa,teams')
+    .split(',')
+    .map((mode) => mode.trim())
+    .filter((mode): mode is GameMode => mode === 'ffa' || mode === 'teams');
+  return modes.length > 0 ? modes : ['ffa'];
+}
+
+function parseBotDifficulty(value: string | undefined): BotDifficulty {
+  return value === 'easy' || value === 'hard' ? value : 'normal';
+}
+
+const arenaManager = new ArenaManager(io, {
+  defaultArenas: Number(process.env.ARENA_COUNT) || 2,
+  capacity: Number(process.env.ARENA_CAPACITY) || 50,
+  tickRate: TICK_RATE,
+  modes: parseModes(process.env.ARENA_MODES),
+  presets: gameConfig.arenaPresets,
+  teamCount: Number(process.env.TEAM_COUNT) || 2,
+  // BOT_POPULATION=0 turns bots off
+  botPopulation: process.env.BOT_POPULATION !== undefined ? Number(process.env.BOT_POPULATION) || 0 : 10,
+  botDifficulty: parseBotDifficulty(process.env.BOT_DIFFICULTY),
+  replayDir: REPLAY_DIR,
+  // How long a disconnected player stays in the world waiting for its client, RESUME_GRACE_PERIOD=0 turns it off
+  resumeGracePeriod: process.env.RESUME_GRACE_PERIOD !== undefined ? Number(process.env.RESUME_GRACE_PERIOD) || 0 : 15000
+}, statsStore);
+
+// Sent on join and again when a reconnected client takes its player back
+function createInitData(socket: Socket, arena: Arena, player: Player): InitData {
+  const worldDimensions = arena.gameServer.getWorldDimensions();
+
+  return {
+    player: { ...toClientPlayer(player), speed: player.speed },
+    worldWidth: worldDimensions.width,
+    worldHeight: worldDimensions.height,
+    arenaId: arena.id,
+    arenaName: arena.name,
+    mode: arena.mode,
+    teams: arena.gameServer.getTeams(),
+    rules: arena.getClientRules(),
+    resumeToken: arenaManager.issueResumeToken(socket, arena)
+  };
+}
+
+function createSpectateData(arena: Arena): SpectateData {
+  const worldDimensions = arena.gameServer.getWorldDimensions();
+
+  return {
+    worldWidth: worldDimensions.width,
+    worldHeight: worldDimensions.height,
+    arenaId: arena.id,
+    arenaName: arena.name,
+    mode: arena.mode,
+    teams: arena.gameServer.getTeams(),
+    rules: arena.getClientRules()
+  };
+}
+
+app.get('/api/rooms', (_req, res) => {
+  res.json(arenaManager.listRooms());
+});
+
+app.get('/api/highscores', (req, res) => {
+  const period = req.query.period ?? 'all';
+  if (!isHighscorePeriod(period)) {
+    res.status(400).json({ error: 'period must be one of day, week, all' });
+    return;
+  }
+  res.json(statsStore.getHighscores(period));
+});
+
+app.get('/api/players/:name', (req, res) => {
+  const stats = statsStore.getPlayerStats(req.params.name);
+  if (!stats) {
+    res.status(404).json({ error: 'No games played under that name' });
+    return;
+  }
+  res.json(stats);
+});
+
+// Prometheus scrape target
+app.get('/metrics', (_req, res) => {
+  const arenas = arenaManager.getArenas();
+  const metrics = [
+    renderGauge('agario_connected_sockets', 'Open Socket.IO connections', [
+      { labels: {}, value: io.sockets.sockets.size }
+    ]),
+    renderGauge(
+      'agario_arena_players',
+      'Human players alive in each arena',
+      arenas.map((arena) => ({ labels: { arena: arena.id, mode: arena.mode }, value: arena.playerCount }))
+    ),
+    renderGauge(
+      'agario_arena_bots',
+      'Bots alive in each arena',
+      arenas.map((arena) => ({ labels: { arena: arena.id, mode: arena.mode }, value: arena.gameServer.getBotCount() }))
+    ),
+    renderGauge(
+      'agario_arena_food',
+      'Food pellets in each arena',
+      arenas.map((arena) => ({ labels: { arena: arena.id, mode: arena.mode }, value: arena.gameServer.getFoodCount() }))
+    ),
+    tickDuration.render(),
+    tickBytesSent.render(),
+    invalidPayloads.render()
+  ];
+
+  res.type('text/plain; version=0.0.4').send(`${metrics.join('\n\n')}\n`);
+});
+
+// The admin API only exists when ADMIN_TOKEN is set
+const bans = new BanList();
+const mutes = new MuteList();
+if (process.env.ADMIN_TOKEN) {
+  app.use('/api/admin', createAdminRouter(process.env.ADMIN_TOKEN, io, arenaManager, bans, mutes));
+} else {
+  console.log('ADMIN_TOKEN not set, admin API disabled');
+}
+
+function formatDuration(ms: number): string {
+  const seconds = Math.round(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+app.get('/replays', async (_req, res) => {
+  const replays = REPLAY_DIR ? await listReplays(REPLAY_DIR) : [];
+  res.render('replays', {
+    title: 'Replays',
+    recording: REPLAY_DIR !== null,
+    replays: replays.map((replay) => ({
+      id: replay.id,
+      arenaName: replay.arenaName,
+      mode: replay.mode === 'teams' ? 'Teams' : 'FFA',
+      startedAt: new Date(replay.startedAt).toLocaleString(),
+      duration: formatDuration(replay.endedAt - replay.startedAt),
+      players: replay.players.join(', ')
+    }))
+  });
+});
+
+app.get('/replays/:id', (req, res) => {
+  if (!REPLAY_DIR || !getReplayPath(REPLAY_DIR, req.params.id)) {
+    res.status(404).send('Replay not found');
+    return;
+  }
+  res.render('replay', { title: 'Replay', replayId: req.params.id });
+});
+
+// The raw gzip file, the viewer unpacks it in the browser
+app.get('/replays/:id/file', (req, res) => {
+  const file = REPLAY_DIR ? getReplayPath(REPLAY_DIR, req.params.id) : null;
+  if (!file) {
+    res.sendStatus(404);
+    return;
+  }
+  res.sendFile(file, (error) => {
+    if (error && !res.headersSent) {
+      res.sendStatus(404);
+    }
   });
 });
 
-const gameServer = new GameServer();
+// Banned addresses are turned away before they get a socket
+io.use((socket, next) => {
+  if (bans.has(socket.handshake.address)) {
+    next(new Error('Banned'));
+    return;
+  }
+  next();
+});
 
 // Socket.IO handlers
 io.on('connection', (socket) => {
   console.log('Player connected:', socket.id);
 
-  socket.on('join', (playerName: string) => {
-    console.log(`Player ${playerName} joined with ID: ${socket.id}`);
-    
-    const player = gameServer.addPlayer(socket.id, playerName);
-    const worldDimensions = gameServer.getWorldDimensions();
+  // Clients pick the wire format when connecting, JSON unless they ask for binary
+  socket.data.protocol = socket.handshake.query.protocol === 'binary' ? 'binary' : 'json';
+
+  // Clients send their target at most once per tick, split/eject are bursty key presses
+  socket.data.moveLimiter = new RateLimiter(10, 1000 / TICK_RATE + 5);
+  socket.data.actionLimiter = new RateLimiter(5, 10);
+  socket.data.droppedInputs = 0;
+  socket.data.flagged = false;
+  socket.data.chatLimiter = createChatLimiter();
+  // Malformed events so far, see onValidated
+  socket.data.invalidPayloads = 0;
+  socket.data.joined = false;
+
+  // Without a room id the player goes to the fullest arena that still has space
+  onValidated(socket, 'join', parseJoin, (playerName, roomId) => {
+    const arena = arenaManager.assign(socket, roomId);
+    socket.data.playerName = playerName;
+    socket.data.joined = true;
+    console.log(`Player ${playerName} joined ${arena.id} with ID: ${socket.id}`);
+
+    const player = arena.spawnPlayer(socket, playerName);
+    socket.emit('init', createInitData(socket, arena, player));
+  });
+
+  // A client that lost its connection takes its player back with the token from its last init,
+  // party members get their place in the party back with the token from their last party update
+  onValidated(socket, 'resume', parseResumeToken, (token) => {
+    const resumed = arenaManager.resume(socket, token);
+    if (!resumed) {
+      socket.emit('resumeFailed');
+      return;
+    }
+
+    const { arena, player } = resumed;
+    if (!player) {
+      // Back in the party, which already sent its update, but with nothing to play
+      console.log(`Party member ${socket.id} resumed in ${arena.id}`);
+      socket.emit('resumeFailed');
+      return;
+    }
+    socket.data.playerName = player.name;
+    socket.data.joined = true;
+    console.log(`Player ${player.name} resumed in ${arena.id} with ID: ${socket.id}`);
+
+    socket.emit('init', createInitData(socket, arena, player));
+  });
+
+  // Watch an arena without playing, the camera follows the leader until told otherwise
+  onValidated(socket, 'spectate', parseSpectate, (roomId) => {
+    const arena = arenaManager.watch(socket, roomId);
+    console.log(`Spectator ${socket.id} is watching ${arena.id}`);
+
+    arena.spectate(socket);
+    socket.emit('spectateInit', createSpectateData(arena));
+  });
+
+  onValidated(socket, 'spectateFollow', parseSpectateFollow, (playerId) => {
+    if (!allowInput(socket, socket.data.actionLimiter)) return;
+    arenaManager.getArenaForSocket(socket.id)?.gameServer.setSpectatorFollow(socket.id, playerId);
+  });
+
+  onValidated(socket, 'spectateMove', parsePosition, (data) => {
+    if (!allowInput(socket, socket.data.moveLimiter)) return;
+    arenaManager.getArenaForSocket(socket.id)?.gameServer.setSpectatorPosition(socket.id, data.x, data.y);
+  });
+
+  // Going back to the menu stops the updates for the arena, party members stay in their party
+  onValidated(socket, 'leave', parseNoPayload, () => {
+    arenaManager.leaveGame(socket);
+  });
+
+  onValidated(socket, 'createParty', parseCreateParty, (playerName) => {
+    socket.data.playerName = playerName;
+    const arena = arenaManager.createParty(socket);
+    console.log(`Player ${playerName} created ${arena.id}`);
+  });
+
+  onValidated(socket, 'joinParty', parseJoinParty, (code, playerName) => {
+    socket.data.playerName = playerName;
+    if (!arenaManager.joinParty(socket, code)) {
+      socket.emit('partyError', 'That party has ended or the invite code is wrong');
+    }
+  });
+
+  onValidated(socket, 'leaveParty', parseNoPayload, () => {
+    if (arenaManager.getArenaForSocket(socket.id)?.party) {
+      arenaManager.leave(socket);
+    }
+  });
+
+  // Only the host gets anywhere with these, ArenaManager checks
+  onValidated(socket, 'partySettings', parsePartySettings, (settings) => {
+    const restarted = arenaManager.configureParty(socket, settings);
+    if (!restarted) return;
 
-    const initData: InitData = {
-      player,
-      worldWidth: worldDimensions.width,
-      worldHeight: worldDimensions.height
-    };
+    const { arena, players, spectators } = restarted;
+    for (const [member, player] of players) {
+      member.emit('init', createInitData(member, arena, player));
+    }
+    for (const member of spectators) {
+      member.emit('spectateInit', createSpectateData(arena));
+    }
+  });
 
-    socket.emit('init', initData);
+  onValidated(socket, 'partyKick', parseMemberId, (memberId) => {
+    arenaManager.kick(socket, memberId);
   });
 
-  socket.on('move', (data: MoveData) => {
-    gameServer.movePlayer(socket.id, data.x, data.y);
+  onValidated(socket, 'chat', parseChat, (text) => {
+    const arena = arenaManager.getArenaForSocket(socket.id);
+    const message = normalizeChatText(text);
+    if (!arena || !message) return;
+
+    if (mutes.isMuted(socket.handshake.address)) {
+      socket.emit('chatNotice', 'You have been muted');
+      return;
+    }
+    if (!socket.data.chatLimiter.tryConsume()) {
+      socket.emit('chatNotice', 'You are sending messages too fast');
+      return;
+    }
+
+    const player = arena.gameServer.getPlayer(socket.id);
+    io.to(arena.roomName).emit('chat', createChatMessage(socket, player, chatFilter.clean(message)));
   });
 
+  // Inputs before the first join are a client bug or someone poking at the server
+  onValidated(socket, 'move', parseMove, (data) => {
+    if (!allowInput(socket, socket.data.moveLimiter)) return;
+    arenaManager.getArenaForSocket(socket.id)?.gameServer.setPlayerTarget(socket.id, data);
+  }, { requiresJoin: true });
+
+  onValidated(socket, 'split', parseNoPayload, () => {
+    if (!allowInput(socket, socket.data.actionLimiter)) return;
+    arenaManager.getArenaForSocket(socket.id)?.gameServer.splitPlayer(socket.id);
+  }, { requiresJoin: true });
+
+  onValidated(socket, 'eject', parseNoPayload, () => {
+    if (!allowInput(socket, socket.data.actionLimiter)) return;
+    arenaManager.getArenaForSocket(socket.id)?.gameServer.ejectMass(socket.id);
+  }, { requiresJoin: true });
+
   socket.on('disconnect', () => {
     console.log('Player disconnected:', socket.id);
-    gameServer.removePlayer(socket.id);
+    arenaManager.disconnect(socket);
   });
 });
 
-// Game loop - 20 updates per second
-setInterval(() => {
-  gameServer.checkCollisions();
-  const gameState = gameServer.getGameState();
-  io.emit('gameUpdate', gameState);
-}, 50);
-
 const PORT = process.env.PORT || 3000;
 httpServer.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
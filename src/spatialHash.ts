@@ -0,0 +1,154 @@
+export interface SpatialEntity {
+  id: number;
+  x: number;
+  y: number;
+  radius: number;
+}
+
+interface SpatialEntry<T> {
+  entity: T;
+  minX: number;
+  minY: number;
+  maxX: number;
+  maxY: number;
+}
+
+// Uniform grid broad-phase. Entities are stored in every bucket their bounding box touches,
+// so a query only has to look at the buckets around the searched area.
+export class SpatialHash<T extends SpatialEntity> {
+  private readonly cellSize: number;
+  private buckets: Map<number, Set<T>>;
+  private entries: Map<number, SpatialEntry<T>>;
+
+  constructor(cellSize: number) {
+    this.cellSize = cellSize;
+    this.buckets = new Map();
+    this.entries = new Map();
+  }
+
+  public get size(): number {
+    return this.entries.size;
+  }
+
+  public has(id: number): boolean {
+    return this.entries.has(id);
+  }
+
+  public insert(entity: T): void {
+    if (this.entries.has(entity.id)) {
+      this.update(entity);
+      return;
+    }
+
+    const entry = this.createEntry(entity);
+    this.entries.set(entity.id, entry);
+    this.addToBuckets(entry);
+  }
+
+  public remove(entity: T): void {
+    const entry = this.entries.get(entity.id);
+    if (!entry) return;
+
+    this.removeFromBuckets(entry);
+    this.entries.delete(entity.id);
+  }
+
+  // Re-buckets an entity after it moved or changed size, a no-op while it stays in the same buckets
+  public update(entity: T): void {
+    const entry = this.entries.get(entity.id);
+    if (!entry) {
+      this.insert(entity);
+      return;
+    }
+
+    const next = this.createEntry(entity);
+    if (
+      next.minX === entry.minX &&
+      next.minY === entry.minY &&
+      next.maxX === entry.maxX &&
+      next.maxY === entry.maxY
+    ) {
+      return;
+    }
+
+    this.removeFromBuckets(entry);
+    this.entries.set(entity.id, next);
+    this.addToBuckets(next);
+  }
+
+  // Returns every entity whose bounding box may overlap the given circle, callers do the exact test
+  public query(x: number, y: number, radius: number): T[] {
+    return this.queryRect(x - radius, y - radius, x + radius, y + radius);
+  }
+
+  // Returns every entity whose bounding box may overlap the given rectangle
+  public queryRect(left: number, top: number, right: number, bottom: number): T[] {
+    const minX = Math.floor(left / this.cellSize);
+    const minY = Math.floor(top / this.cellSize);
+    const maxX = Math.floor(right / this.cellSize);
+    const maxY = Math.floor(bottom / this.cellSize);
+
+    const result = new Set<T>();
+    for (let gx = minX; gx <= maxX; gx++) {
+      for (let gy = minY; gy <= maxY; gy++) {
+        const bucket = this.buckets.get(this.getKey(gx, gy));
+        if (!bucket) continue;
+
+        for (const entity of bucket) {
+          result.add(entity);
+        }
+      }
+    }
+
+    return Array.from(result);
+  }
+
+  public clear(): void {
+    this.buckets.clear();
+    this.entries.clear();
+  }
+
+  private createEntry(entity: T): SpatialEntry<T> {
+    return {
+      entity,
+      minX: Math.floor((entity.x - entity.radius) / this.cellSize),
+      minY: Math.floor((entity.y - entity.radius) / this.cellSize),
+      maxX: Math.floor((entity.x + entity.radius) / this.cellSize),
+      maxY: Math.floor((entity.y + entity.radius) / this.cellSize)
+    };
+  }
+
+  private addToBuckets(entry: SpatialEntry<T>): void {
+    for (let gx = entry.minX; gx <= entry.maxX; gx++) {
+      for (let gy = entry.minY; gy <= entry.maxY; gy++) {
+        const key = this.getKey(gx, gy);
+        let bucket = this.buckets.get(key);
+        if (!bucket) {
+          bucket = new Set();
+          this.buckets.set(key, bucket);
+        }
+        bucket.add(entry.entity);
+      }
+    }
+  }
+
+  private removeFromBuckets(entry: SpatialEntry<T>): void {
+    for (let gx = entry.minX; gx <= entry.maxX; gx++) {
+      for (let gy = entry.minY; gy <= entry.maxY; gy++) {
+        const key = this.getKey(gx, gy);
+        const bucket = this.buckets.get(key);
+        if (!bucket) continue;
+
+        bucket.delete(entry.entity);
+        if (bucket.size === 0) {
+          this.buckets.delete(key);
+        }
+      }
+    }
+  }
+
+  private getKey(gx: number, gy: number): number {
+    // Offset so slightly negative grid coordinates still map to unique keys
+    return (gx + 0x8000) * 0x10000 + (gy + 0x8000);
+  }
+}
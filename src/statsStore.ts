@@ -0,0 +1,96 @@
+import { appendFile } from 'fs/promises';
+import { existsSync, mkdirSync, readFileSync } from 'fs';
+import path from 'path';
+import type { HighscorePeriod, PlayerStats, SessionRecord } from './types/serverTypes';
+
+const DAY = 24 * 60 * 60 * 1000;
+const PERIODS: Record<HighscorePeriod, number> = {
+  day: DAY,
+  week: 7 * DAY,
+  all: Number.POSITIVE_INFINITY
+};
+
+export function isHighscorePeriod(value: unknown): value is HighscorePeriod {
+  return value === 'day' || value === 'week' || value === 'all';
+}
+
+// Finished sessions in a JSON-lines file, one record per line. Everything is loaded
+// at startup and queried in memory, appends go straight to the end of the file.
+export class StatsStore {
+  private readonly filePath: string;
+  private sessions: SessionRecord[];
+  // Appends are chained so lines never interleave
+  private writing: Promise<void>;
+
+  constructor(filePath: string) {
+    this.filePath = filePath;
+    this.sessions = [];
+    this.writing = Promise.resolve();
+
+    mkdirSync(path.dirname(filePath), { recursive: true });
+    this.load();
+  }
+
+  private load(): void {
+    if (!existsSync(this.filePath)) return;
+
+    const lines = readFileSync(this.filePath, 'utf8').split('\n');
+    for (const line of lines) {
+      if (!line.trim()) continue;
+
+      try {
+        this.sessions.push(JSON.parse(line));
+      } catch {
+        // A crash mid-write can leave a partial last line behind
+        console.warn(`Skipping unreadable line in ${this.filePath}`);
+      }
+    }
+    console.log(`Loaded ${this.sessions.length} sessions from ${this.filePath}`);
+  }
+
+  public record(session: SessionRecord): void {
+    this.sessions.push(session);
+    this.writing = this.writing
+      .then(() => appendFile(this.filePath, `${JSON.stringify(session)}\n`))
+      .catch((error) => console.error('Failed to save session:', error));
+  }
+
+  // Best sessions by peak mass that ended within the period
+  public getHighscores(period: HighscorePeriod, limit = 10): SessionRecord[] {
+    const since = Date.now() - PERIODS[period];
+    return this.sessions
+      .filter((session) => session.endedAt >= since)
+      .sort((a, b) => b.peakMass - a.peakMass)
+      .slice(0, limit);
+  }
+
+  // Totals across every session played under a name, ignoring case
+  public getPlayerStats(name: string): PlayerStats | null {
+    const key = name.trim().toLowerCase();
+    const sessions = this.sessions.filter((session) => session.name.trim().toLowerCase() === key);
+    if (sessions.length === 0) return null;
+
+    const stats: PlayerStats = {
+      name: sessions[sessions.length - 1].name,
+      games: sessions.length,
+      bestPeakMass: 0,
+      bestTimeAlive: 0,
+      totalTimeAlive: 0,
+      totalPlayersEaten: 0,
+      totalFoodEaten: 0,
+      lastPlayedAt: 0,
+      recentSessions: sessions.slice(-10).reverse()
+    };
+
+    for (const session of sessions) {
+      stats.bestPeakMass = Math.max(stats.bestPeakMass, session.peakMass);
+      stats.bestTimeAlive = Math.max(stats.bestTimeAlive, session.timeAlive);
+      stats.totalTimeAlive += session.timeAlive;
+      stats.totalPlayersEaten += session.playersEaten;
+      stats.totalFoodEaten += session.foodEaten;
+      stats.lastPlayedAt = Math.max(stats.lastPlayedAt, session.endedAt);
+    }
+
+    return stats;
+  }
+}
@@ -1,47 +1,225 @@
+export interface Cell {
+  id: number;
+  x: number;
+  y: number;
+  radius: number;
+  mass: number;
+}
+
 export interface Player {
-  id: string;
+  id: number;
   x: number;
   y: number;
   radius: number;
   color: string;
   name: string;
   mass: number;
+  teamId: number | null;
+  effects: ActiveEffect[];
+  cells: Cell[];
 }
 
 export interface Food {
-  id: string;
+  id: number;
   x: number;
   y: number;
   radius: number;
   color: string;
 }
 
+export interface EjectedMass {
+  id: number;
+  x: number;
+  y: number;
+  radius: number;
+  color: string;
+}
+
+export interface Virus {
+  id: number;
+  x: number;
+  y: number;
+  radius: number;
+  mass: number;
+}
+
+export type PowerUpType = 'speed' | 'shield' | 'magnet' | 'doubler';
+
+export interface PowerUp {
+  id: number;
+  type: PowerUpType;
+  x: number;
+  y: number;
+  radius: number;
+}
+
+export interface ActiveEffect {
+  type: PowerUpType;
+  // Server timestamp the effect wears off at
+  expiresAt: number;
+}
+
+export interface PlayerSample {
+  ts: number;
+  player: Player;
+}
+
 export interface PlayerState {
   current: Player;
-  target: Player;
-  lastUpdate: number;
-  interpolationTime: number;
+  // Recent server states, other players are rendered a fixed delay behind the newest one
+  buffer: PlayerSample[];
+}
+
+export interface PendingInput {
+  seq: number;
+  x: number;
+  y: number;
+  sentAt: number;
 }
 
 export interface GameState {
   ts: number;
   players: Player[];
   food: Food[];
+  ejected: EjectedMass[];
+  viruses: Virus[];
+  powerUps: PowerUp[];
   totalPlayers: number;
 }
 
+export interface LeaderboardEntry {
+  id: number;
+  name: string;
+  mass: number;
+  bot: boolean;
+  x: number;
+  y: number;
+}
+
+export type GameMode = 'ffa' | 'teams';
+
+export interface Team {
+  id: number;
+  name: string;
+  color: string;
+}
+
+export interface TeamScore {
+  id: number;
+  name: string;
+  color: string;
+  mass: number;
+  players: number;
+}
+
+export interface GameSnapshot {
+  ts: number;
+  lastProcessedInput: number;
+  players: Player[];
+  foodAdded: Food[];
+  foodRemoved: number[];
+  ejected: EjectedMass[];
+  viruses: Virus[];
+  powerUps: PowerUp[];
+  leaderboard: LeaderboardEntry[];
+  teams: TeamScore[];
+  totalPlayers: number;
+}
+
+export interface ClientRules {
+  preset: string;
+  tickInterval: number;
+  minSpeed: number;
+  speedReferenceMass: number;
+  speedExponent: number;
+  speedBoost: number;
+}
+
 export interface InitData {
   player: Player;
   worldWidth: number;
   worldHeight: number;
+  arenaId: string;
+  arenaName: string;
+  mode: GameMode;
+  teams: Team[];
+  rules: ClientRules;
+  resumeToken: string;
+}
+
+export interface SpectateData {
+  worldWidth: number;
+  worldHeight: number;
+  arenaId: string;
+  arenaName: string;
+  mode: GameMode;
+  teams: Team[];
+  rules: ClientRules;
+}
+
+export interface RoomInfo {
+  id: string;
+  name: string;
+  mode: GameMode;
+  preset: string;
+  players: number;
+  capacity: number;
+}
+
+export interface PartySettings {
+  mode: GameMode;
+  preset: string;
+  mapSize: number;
+  foodCount: number;
+}
+
+export interface PartyMember {
+  id: number;
+  name: string;
+  host: boolean;
+}
+
+export interface PartyInfo {
+  code: string;
+  arenaId: string;
+  settings: PartySettings;
+  members: PartyMember[];
+  self: number;
+  presets: { id: string; name: string; mapSize: number; foodCount: number }[];
 }
 
 export interface DeathData {
-  playerId: string;
+  playerId: number;
   eatenBy: string;
+  finalMass: number;
+  summary: GameSummary;
+}
+
+export interface GameSummary {
+  timeAlive: number;
+  peakMass: number;
+  highestRank: number;
+  playersEaten: number;
+  foodEaten: number;
+  massHistory: number[];
 }
 
+export type ArenaEvent =
+  | { type: 'kill'; ts: number; eater: string; victim: string; mass: number }
+  | { type: 'leader'; ts: number; name: string }
+  | { type: 'milestone'; ts: number; name: string; mass: number };
+
 export interface MoveData {
   x: number;
   y: number;
-}
\ No newline at end of file
+  seq: number;
+}
+
+// A chat line as broadcast to everyone in the arena. Spectators have no player id.
+export interface ChatMessage {
+  playerId: number | null;
+  name: string;
+  color: string;
+  text: string;
+  ts: number;
+}
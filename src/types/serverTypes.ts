@@ -3,46 +3,456 @@ export interface HandlebarsContext {
 }
 
 export interface Food {
-  id: string;
+  id: number;
+  x: number;
+  y: number;
+  radius: number;
+  color: string;
+  mass: number;
+}
+
+export interface EjectedMass {
+  id: number;
   x: number;
   y: number;
   radius: number;
   color: string;
   mass: number;
+  boostX: number;
+  boostY: number;
+}
+
+export interface Virus {
+  id: number;
+  x: number;
+  y: number;
+  radius: number;
+  mass: number;
+  boostX: number;
+  boostY: number;
+}
+
+// Rare pickups that give the player who touches them a timed effect
+export type PowerUpType = 'speed' | 'shield' | 'magnet' | 'doubler';
+
+export interface PowerUp {
+  id: number;
+  type: PowerUpType;
+  x: number;
+  y: number;
+  radius: number;
+}
+
+export interface ActiveEffect {
+  type: PowerUpType;
+  // Server timestamp the effect wears off at
+  expiresAt: number;
 }
 
 export interface GameState {
   ts: number;
   players: Player[];
   food: Food[];
+  ejected: EjectedMass[];
+  viruses: Virus[];
+  powerUps: PowerUp[];
   totalPlayers: number;
 }
 
 
+export interface LeaderboardEntry {
+  id: number;
+  name: string;
+  mass: number;
+  bot: boolean;
+  // Where the player is, so clients can show the leaders on their minimap
+  x: number;
+  y: number;
+}
+
+export type BotDifficulty = 'easy' | 'normal' | 'hard';
+
+// Free-for-all lets anyone eat anyone, in team mode teammates can't eat each other
+export type GameMode = 'ffa' | 'teams';
+
+export interface Team {
+  id: number;
+  name: string;
+  color: string;
+}
+
+export interface TeamScore {
+  id: number;
+  name: string;
+  color: string;
+  // Combined mass of every player on the team
+  mass: number;
+  players: number;
+}
+
+// What clients get to see of the world. Owner socket ids, boosts and merge timers
+// stay on the server.
+export type ClientCell = Pick<Cell, 'id' | 'x' | 'y' | 'radius' | 'mass'>;
+
+export interface ClientPlayer extends Omit<Player, 'speed' | 'cells'> {
+  cells: ClientCell[];
+}
+
+export type ClientEjectedMass = Omit<EjectedMass, 'boostX' | 'boostY'>;
+export type ClientVirus = Omit<Virus, 'boostX' | 'boostY'>;
+
+// Per-client view of the world: only what is inside the player's viewport,
+// with food sent as changes against what the client already knows about
+export interface GameSnapshot {
+  ts: number;
+  // Sequence number of the last move input applied to this client's player
+  lastProcessedInput: number;
+  players: ClientPlayer[];
+  foodAdded: Food[];
+  foodRemoved: number[];
+  ejected: ClientEjectedMass[];
+  viruses: ClientVirus[];
+  powerUps: PowerUp[];
+  leaderboard: LeaderboardEntry[];
+  // Team totals, empty in free-for-all
+  teams: TeamScore[];
+  totalPlayers: number;
+}
+
+export interface ViewBounds {
+  left: number;
+  top: number;
+  right: number;
+  bottom: number;
+}
+
 export interface MoveData {
   x: number;
   y: number;
+  seq: number;
 }
 
 export interface DeathData {
-  playerId: string;
+  playerId: number;
   eatenBy: string;
   finalMass: number;
+  summary: GameSummary;
+}
+
+// What a player did in one life, shown on the game-over screen
+export interface GameSummary {
+  // Milliseconds between spawning and dying
+  timeAlive: number;
+  peakMass: number;
+  // Best leaderboard place reached, 1 is the leader
+  highestRank: number;
+  playersEaten: number;
+  foodEaten: number;
+  // Mass at even intervals from spawn to death, for the sparkline
+  massHistory: number[];
+}
+
+// Broadcast to everyone in the arena for the kill feed
+export type ArenaEvent =
+  | { type: 'kill'; ts: number; eater: string; victim: string; mass: number }
+  | { type: 'leader'; ts: number; name: string }
+  | { type: 'milestone'; ts: number; name: string; mass: number };
+
+// A chat line as broadcast to everyone in the arena. Spectators have no player id.
+export interface ChatMessage {
+  playerId: number | null;
+  name: string;
+  color: string;
+  text: string;
+  ts: number;
+}
+
+// The rules of one world. Defaults and allowed ranges live in src/config.ts.
+export interface WorldConfig {
+  worldWidth: number;
+  worldHeight: number;
+  foodCount: number;
+  foodMass: number;
+  foodRadius: number;
+  startMass: number;
+  // Radius is sqrt(mass) times this
+  radiusScale: number;
+  // Speed is baseSpeed * (speedReferenceMass / mass) ^ speedExponent, never below minSpeed
+  baseSpeed: number;
+  minSpeed: number;
+  speedReferenceMass: number;
+  speedExponent: number;
+  // A cell has to be this many times heavier than another to eat it
+  eatRatio: number;
+  // Share of its mass a cell above massDecayThreshold loses per second, 0 turns decay off
+  massDecayRate: number;
+  massDecayThreshold: number;
+  // Mass a single cell can't grow past, anything beyond is lost
+  maxCellMass: number;
+  minSplitMass: number;
+  maxCells: number;
+  mergeBaseTime: number;
+  mergeTimePerMass: number;
+  minEjectMass: number;
+  ejectMassLoss: number;
+  ejectedMass: number;
+  virusCount: number;
+  virusMass: number;
+  virusMaxMass: number;
+  // Fed viruses stop duplicating once the world holds this many
+  maxViruses: number;
+  powerUpCount: number;
+  powerUpInterval: number;
+  speedBoost: number;
+  magnetRange: number;
+  massGainBoost: number;
+}
+
+// A named set of rules arenas can be opened with
+export interface WorldPreset {
+  id: string;
+  name: string;
+  world: WorldConfig;
+}
+
+export interface GameConfig {
+  // Milliseconds between simulation ticks and snapshots
+  tickInterval: number;
+  presets: WorldPreset[];
+  // Arenas take their preset from this list in turn
+  arenaPresets: WorldPreset[];
+}
+
+// The part of the rules clients need to predict movement and pace their inputs
+export interface ClientRules {
+  preset: string;
+  tickInterval: number;
+  minSpeed: number;
+  speedReferenceMass: number;
+  speedExponent: number;
+  speedBoost: number;
 }
 
 export interface InitData {
-  player: Player;
+  // The client's own player, with its base speed for movement prediction
+  player: ClientPlayer & Pick<Player, 'speed'>;
   worldWidth: number;
   worldHeight: number;
+  arenaId: string;
+  arenaName: string;
+  mode: GameMode;
+  teams: Team[];
+  rules: ClientRules;
+  // Lets the client take this player back over after a dropped connection
+  resumeToken: string;
 }
 
-export interface Player {
+// Sent instead of InitData to sockets that watch an arena without playing
+export interface SpectateData {
+  worldWidth: number;
+  worldHeight: number;
+  arenaId: string;
+  arenaName: string;
+  mode: GameMode;
+  teams: Team[];
+  rules: ClientRules;
+}
+
+export interface Spectator {
+  // Player the camera follows, null follows whoever leads the arena
+  followId: number | null;
+  // Free-roaming spectators move their own camera around
+  free: boolean;
+  x: number;
+  y: number;
+}
+
+// First record of every replay file
+export interface ReplayHeader {
+  version: number;
+  arenaId: string;
+  arenaName: string;
+  mode: GameMode;
+  teams: Team[];
+  worldWidth: number;
+  worldHeight: number;
+  tickRate: number;
+  startedAt: number;
+}
+
+export type ReplayEvent =
+  | { type: 'join'; ts: number; playerId: number; name: string }
+  | { type: 'death'; ts: number; playerId: number; name: string; eatenBy: string; finalMass: number };
+
+// Written next to each finished replay so the listing doesn't have to unpack every file
+export interface ReplayInfo {
   id: string;
+  arenaId: string;
+  arenaName: string;
+  mode: GameMode;
+  startedAt: number;
+  endedAt: number;
+  players: string[];
+}
+
+// Running totals for one life of a player
+export interface PlayerSession {
+  spawnedAt: number;
+  peakMass: number;
+  playersEaten: number;
+  foodEaten: number;
+  highestRank: number;
+  // Index of the next mass milestone to announce
+  nextMilestone: number;
+  massHistory: number[];
+  // Milliseconds between mass samples, doubled whenever the history fills up
+  sampleInterval: number;
+  lastSampleAt: number;
+}
+
+// A finished life, emitted by GameServer when a player dies or leaves
+export interface SessionResult {
+  name: string;
+  peakMass: number;
+  finalMass: number;
+  // Milliseconds between spawning and dying or leaving
+  timeAlive: number;
+  playersEaten: number;
+  foodEaten: number;
+  // Name of whoever ate the last cell, null when the player left
+  killedBy: string | null;
+  endedAt: number;
+}
+
+export interface SessionRecord extends SessionResult {
+  arenaId: string;
+}
+
+export type HighscorePeriod = 'day' | 'week' | 'all';
+
+export interface PlayerStats {
+  name: string;
+  games: number;
+  bestPeakMass: number;
+  bestTimeAlive: number;
+  totalTimeAlive: number;
+  totalPlayersEaten: number;
+  totalFoodEaten: number;
+  lastPlayedAt: number;
+  // Most recent first
+  recentSessions: SessionRecord[];
+}
+
+export interface RoomInfo {
+  id: string;
+  name: string;
+  mode: GameMode;
+  // Display name of the arena's rule preset
+  preset: string;
+  players: number;
+  capacity: number;
+}
+
+// What the host of a party can change, applying it starts a new round
+export interface PartySettings {
+  mode: GameMode;
+  // Id of the rule preset the world starts from
+  preset: string;
+  // Width and height of the square world
+  mapSize: number;
+  foodCount: number;
+}
+
+export interface PartyMember {
+  // Numbered per party so clients never see each other's socket ids
+  id: number;
+  name: string;
+  host: boolean;
+}
+
+// Sent to each member whenever the party changes
+export interface PartyInfo {
+  code: string;
+  arenaId: string;
+  settings: PartySettings;
+  members: PartyMember[];
+  // The receiving member's own id
+  self: number;
+  // Gets the receiving member back into the party after a dropped connection
+  resumeToken: string | null;
+  // Presets the host can pick from, with the size and food count they start with
+  presets: { id: string; name: string; mapSize: number; foodCount: number }[];
+}
+
+// A connected socket as listed by the admin API
+export interface AdminPlayerInfo {
+  socketId: string;
+  ip: string;
+  arenaId: string;
+  name: string | null;
+  status: 'playing' | 'spectating' | 'idle';
+  mass: number;
+  muted: boolean;
+}
+
+export interface GameServerOptions {
+  mode?: GameMode;
+  teamCount?: number;
+  // Seeds all randomness in the world, Math.random is used when left out
+  seed?: number;
+  // Clock used for timestamps, merge cooldowns and sessions, Date.now by default
+  now?: () => number;
+  // Rules left out fall back to DEFAULT_WORLD_CONFIG
+  world?: Partial<WorldConfig>;
+}
+
+export interface ArenaOptions {
+  // Arenas that are always open, more are created when these fill up
+  defaultArenas: number;
+  capacity: number;
+  tickRate: number;
+  // Arenas take their mode and their rule preset from these lists in turn
+  modes: GameMode[];
+  presets: WorldPreset[];
+  teamCount: number;
+  // Bots fill each arena up to this many players and leave as humans join
+  botPopulation: number;
+  botDifficulty: BotDifficulty;
+  // Directory replays are recorded to, null turns recording off
+  replayDir: string | null;
+  // Milliseconds a disconnected player stays in the world waiting to be resumed, 0 turns resuming off
+  resumeGracePeriod: number;
+}
+
+export interface Cell {
+  id: number;
+  // Socket id of the owning player, only used for lookups on the server
+  ownerId: string;
+  x: number;
+  y: number;
+  radius: number;
+  mass: number;
+  // Split launch velocity, decays every tick
+  boostX: number;
+  boostY: number;
+  // Timestamp after which the cell may merge with its siblings
+  mergeAt: number;
+}
+
+export interface Player {
+  id: number;
+  // Mass-weighted centre of all cells
   x: number;
   y: number;
   radius: number;
   color: string;
   name: string;
+  // Total mass of all cells
   mass: number;
   speed: number;
+  // Team the player was balanced into, null in free-for-all
+  teamId: number | null;
+  // At most one of each type, picking up the same power-up again restarts its timer
+  effects: ActiveEffect[];
+  cells: Cell[];
 }
\ No newline at end of file
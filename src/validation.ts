@@ -0,0 +1,191 @@
+import type { Socket } from 'socket.io';
+import { CHAT_MAX_LENGTH } from './chat';
+import { invalidPayloads } from './metrics';
+import { INVITE_CODE_PATTERN, PARTY_FOOD_COUNT_LIMIT, PARTY_MAP_SIZE_LIMIT } from './party';
+import type { MoveData, PartySettings } from './types/serverTypes';
+
+// Everything a client sends goes through one of the parsers below before it reaches
+// the game. A parser returns the handler's arguments, or null when the payload is invalid.
+
+export const MAX_NAME_LENGTH = 15;
+const DEFAULT_NAME = 'Anonymous';
+// Letters, digits, marks, punctuation, symbols and plain spaces, no control characters
+const NAME_PATTERN = /^[\p{L}\p{M}\p{N}\p{P}\p{S} ]+$/u;
+// Zero-width and bidi control characters can hide or reorder the rest of a name
+const INVISIBLE_PATTERN = /[\u200B-\u200F\u202A-\u202E\u2060-\u2069\uFEFF]/g;
+// Ids as ArenaManager generates them
+const ROOM_ID_PATTERN = /^[\w-]{1,32}$/;
+// Resume tokens are 16 random bytes in hex, see ArenaManager.issueResumeToken
+const RESUME_TOKEN_PATTERN = /^[0-9a-f]{32}$/;
+// Preset ids as the game config allows them
+const PRESET_ID_PATTERN = /^[a-z0-9-]{1,32}$/;
+// Far outside any world, but small enough that nothing downstream overflows or loses precision
+export const MAX_COORDINATE = 1000000;
+// Sequence numbers go back to the client as a u32 in binary snapshots
+const MAX_SEQ = 0xffffffff;
+// Chat is cut to CHAT_MAX_LENGTH later, anything this long was never typed into the chat box
+const MAX_RAW_CHAT_LENGTH = CHAT_MAX_LENGTH * 4;
+// Invalid payloads a socket may send before it is disconnected
+export const INVALID_PAYLOAD_LIMIT = 20;
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function isCoordinate(value: unknown): value is number {
+  return typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= MAX_COORDINATE;
+}
+
+// NFKC folds lookalike forms (full-width letters and the like) into their plain versions
+export function normalizeName(value: unknown): string | null {
+  if (typeof value !== 'string' || value.length > MAX_NAME_LENGTH * 4) return null;
+
+  const name = value.normalize('NFKC').replace(INVISIBLE_PATTERN, '').replace(/\s+/g, ' ').trim();
+  if (name === '') return DEFAULT_NAME;
+  if (Array.from(name).length > MAX_NAME_LENGTH || !NAME_PATTERN.test(name)) return null;
+
+  return name;
+}
+
+// Room ids are optional, an empty one means "pick for me"
+function parseOptionalRoomId(value: unknown): string | undefined | null {
+  if (value === undefined || value === null || value === '') return undefined;
+  if (typeof value !== 'string' || !ROOM_ID_PATTERN.test(value)) return null;
+
+  return value;
+}
+
+export function parseJoin(name: unknown, roomId: unknown): [string, string | undefined] | null {
+  const playerName = normalizeName(name);
+  const room = parseOptionalRoomId(roomId);
+  if (playerName === null || room === null) return null;
+
+  return [playerName, room];
+}
+
+export function parseSpectate(roomId: unknown): [string | undefined] | null {
+  const room = parseOptionalRoomId(roomId);
+  return room === null ? null : [room];
+}
+
+// null goes back to following the leader
+export function parseSpectateFollow(playerId: unknown): [number | null] | null {
+  if (playerId === null) return [null];
+  if (!Number.isSafeInteger(playerId) || (playerId as number) < 0) return null;
+
+  return [playerId as number];
+}
+
+export function parseResumeToken(token: unknown): [string] | null {
+  if (typeof token !== 'string' || !RESUME_TOKEN_PATTERN.test(token)) return null;
+
+  return [token];
+}
+
+export function parsePosition(data: unknown): [{ x: number; y: number }] | null {
+  if (!isRecord(data) || !isCoordinate(data.x) || !isCoordinate(data.y)) return null;
+
+  return [{ x: data.x, y: data.y }];
+}
+
+export function parseMove(data: unknown): [MoveData] | null {
+  if (!isRecord(data) || !isCoordinate(data.x) || !isCoordinate(data.y)) return null;
+  if (!Number.isInteger(data.seq) || (data.seq as number) < 0 || (data.seq as number) > MAX_SEQ) return null;
+
+  return [{ x: data.x, y: data.y, seq: data.seq as number }];
+}
+
+export function parseChat(text: unknown): [string] | null {
+  if (typeof text !== 'string' || text.length > MAX_RAW_CHAT_LENGTH) return null;
+
+  return [text];
+}
+
+// Codes are shown in capitals, but typing them in lower case is fine
+export function parseInviteCode(code: unknown): string | null {
+  if (typeof code !== 'string') return null;
+
+  const normalized = code.trim().toUpperCase();
+  return INVITE_CODE_PATTERN.test(normalized) ? normalized : null;
+}
+
+// Creating a party or joining one by its code also sets the name other members see
+export function parseCreateParty(name: unknown): [string] | null {
+  const playerName = normalizeName(name);
+  return playerName === null ? null : [playerName];
+}
+
+export function parseJoinParty(code: unknown, name: unknown): [string, string] | null {
+  const inviteCode = parseInviteCode(code);
+  const playerName = normalizeName(name);
+  if (inviteCode === null || playerName === null) return null;
+
+  return [inviteCode, playerName];
+}
+
+function isWholeNumberIn(value: unknown, limit: { min: number; max: number }): value is number {
+  return Number.isInteger(value) && (value as number) >= limit.min && (value as number) <= limit.max;
+}
+
+// Whether the preset exists is up to ArenaManager, this only checks the shape
+export function parsePartySettings(data: unknown): [PartySettings] | null {
+  if (!isRecord(data)) return null;
+  if (data.mode !== 'ffa' && data.mode !== 'teams') return null;
+  if (typeof data.preset !== 'string' || !PRESET_ID_PATTERN.test(data.preset)) return null;
+  if (!isWholeNumberIn(data.mapSize, PARTY_MAP_SIZE_LIMIT) || !isWholeNumberIn(data.foodCount, PARTY_FOOD_COUNT_LIMIT)) {
+    return null;
+  }
+
+  return [{ mode: data.mode, preset: data.preset, mapSize: data.mapSize, foodCount: data.foodCount }];
+}
+
+export function parseMemberId(memberId: unknown): [number] | null {
+  if (!Number.isSafeInteger(memberId) || (memberId as number) < 1) return null;
+
+  return [memberId as number];
+}
+
+// Split, eject and leave carry nothing, whatever comes along is ignored
+export function parseNoPayload(): [] {
+  return [];
+}
+
+// Counts the payload against the socket and disconnects it once it keeps sending garbage
+export function rejectPayload(socket: Socket, event: string): void {
+  socket.data.invalidPayloads++;
+  invalidPayloads.inc({ event });
+
+  if (socket.data.invalidPayloads === INVALID_PAYLOAD_LIMIT) {
+    console.warn(`Socket ${socket.id} sent ${INVALID_PAYLOAD_LIMIT} invalid payloads, disconnecting`);
+    socket.disconnect(true);
+  }
+}
+
+export interface HandlerOptions {
+  // Game inputs are only accepted once the socket has joined an arena
+  requiresJoin?: boolean;
+}
+
+// Registers a handler that only ever sees payloads its parser accepted
+export function onValidated<A extends unknown[]>(
+  socket: Socket,
+  event: string,
+  parse: (...args: unknown[]) => A | null,
+  handler: (...args: A) => void,
+  options: HandlerOptions = {}
+): void {
+  socket.on(event, (...args: unknown[]) => {
+    if (options.requiresJoin && !socket.data.joined) {
+      rejectPayload(socket, event);
+      return;
+    }
+
+    const parsed = parse(...args);
+    if (!parsed) {
+      rejectPayload(socket, event);
+      return;
+    }
+
+    handler(...parsed);
+  });
+}
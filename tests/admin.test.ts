@@ -0,0 +1,154 @@
+import express from 'express';
+import type { AddressInfo } from 'net';
+import type { Server as HttpServer } from 'http';
+import type { Server, Socket } from 'socket.io';
+import { BanList, createAdminRouter } from '../src/admin';
+import { ArenaManager } from '../src/arenaManager';
+import { MuteList } from '../src/chat';
+import { parseGameConfig } from '../src/config';
+import type { StatsStore } from '../src/statsStore';
+import type { ArenaOptions } from '../src/types/serverTypes';
+
+const TOKEN = 'secret-token';
+const AUTH = { Authorization: `Bearer ${TOKEN}` };
+
+const OPTIONS: ArenaOptions = {
+  defaultArenas: 1,
+  capacity: 50,
+  tickRate: 50,
+  modes: ['ffa'],
+  presets: parseGameConfig({}).presets,
+  teamCount: 2,
+  botPopulation: 0,
+  botDifficulty: 'normal',
+  replayDir: null,
+  resumeGracePeriod: 15000
+};
+
+// Just enough of Socket.IO for the arenas and the admin routes
+function createIo() {
+  const sockets = new Map<string, Socket>();
+  const io = { to: () => ({ emit: () => true }), sockets: { sockets } } as unknown as Server;
+
+  const connect = (id: string, address: string): Socket & { disconnect: jest.Mock } => {
+    const socket = {
+      id,
+      handshake: { address },
+      data: {},
+      join: () => {},
+      leave: () => {},
+      emit: () => true,
+      disconnect: jest.fn(() => sockets.delete(id))
+    } as unknown as Socket & { disconnect: jest.Mock };
+    sockets.set(id, socket);
+    return socket;
+  };
+  return { io, connect };
+}
+
+describe('admin API', () => {
+  let server: HttpServer;
+  let baseUrl: string;
+  let manager: ArenaManager;
+  let bans: BanList;
+  let mutes: MuteList;
+  let connect: ReturnType<typeof createIo>['connect'];
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const fake = createIo();
+    connect = fake.connect;
+    manager = new ArenaManager(fake.io, OPTIONS, { record: () => {} } as unknown as StatsStore);
+    bans = new BanList();
+    mutes = new MuteList();
+
+    const app = express();
+    app.use('/api/admin', createAdminRouter(TOKEN, fake.io, manager, bans, mutes));
+    server = await new Promise<HttpServer>((resolve) => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+    baseUrl = `http://127.0.0.1:${(server.address() as AddressInfo).port}/api/admin`;
+  });
+
+  afterEach(async () => {
+    await new Promise((resolve) => server.close(resolve));
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it.each([
+    ['no token', {}],
+    ['a wrong token', { Authorization: 'Bearer wrong-token!' }],
+    ['the token without the Bearer scheme', { Authorization: TOKEN }]
+  ])('rejects requests with %s', async (_label, headers) => {
+    const response = await fetch(`${baseUrl}/players`, { headers });
+
+    expect(response.status).toBe(401);
+  });
+
+  it('lists connected players for the right token', async () => {
+    const socket = connect('player', '203.0.113.1');
+    manager.assign(socket).spawnPlayer(socket, 'Blob');
+
+    const response = await fetch(`${baseUrl}/players`, { headers: AUTH });
+
+    expect(response.status).toBe(200);
+    expect(await response.json()).toEqual([
+      expect.objectContaining({ socketId: 'player', ip: '203.0.113.1', name: 'Blob', status: 'playing', muted: false })
+    ]);
+  });
+
+  it('removes a kicked player from the world straight away', async () => {
+    const socket = connect('player', '203.0.113.1');
+    const arena = manager.assign(socket);
+    arena.spawnPlayer(socket, 'Blob');
+
+    const response = await fetch(`${baseUrl}/players/player/kick`, { method: 'POST', headers: AUTH });
+
+    expect(await response.json()).toEqual({ kicked: ['player'] });
+    expect(socket.disconnect).toHaveBeenCalledWith(true);
+    expect(arena.playerCount).toBe(0);
+    expect(manager.getArenaForSocket('player')).toBeUndefined();
+  });
+
+  it('answers 404 for sockets that are gone', async () => {
+    const response = await fetch(`${baseUrl}/players/missing/kick`, { method: 'POST', headers: AUTH });
+
+    expect(response.status).toBe(404);
+  });
+
+  it('bans the address and drops every connection from it', async () => {
+    const first = connect('first', '203.0.113.1');
+    const second = connect('second', '203.0.113.1');
+    const bystander = connect('bystander', '203.0.113.2');
+
+    const response = await fetch(`${baseUrl}/players/first/ban`, { method: 'POST', headers: AUTH });
+
+    expect(await response.json()).toEqual({ ip: '203.0.113.1', kicked: ['first', 'second'] });
+    expect(bans.has('203.0.113.1')).toBe(true);
+    expect(first.disconnect).toHaveBeenCalled();
+    expect(second.disconnect).toHaveBeenCalled();
+    expect(bystander.disconnect).not.toHaveBeenCalled();
+  });
+
+  it('mutes and unmutes an address', async () => {
+    const socket = connect('player', '203.0.113.1');
+    manager.assign(socket).spawnPlayer(socket, 'Blob');
+
+    const muted = await fetch(`${baseUrl}/mutes`, {
+      method: 'POST',
+      headers: { ...AUTH, 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ip: '203.0.113.1', minutes: 5 })
+    });
+    expect(muted.status).toBe(200);
+    expect(mutes.isMuted('203.0.113.1')).toBe(true);
+    const [player] = await (await fetch(`${baseUrl}/players`, { headers: AUTH })).json();
+    expect(player.muted).toBe(true);
+
+    const unmuted = await fetch(`${baseUrl}/mutes/203.0.113.1`, { method: 'DELETE', headers: AUTH });
+    expect(unmuted.status).toBe(200);
+    expect(mutes.isMuted('203.0.113.1')).toBe(false);
+  });
+});
@@ -0,0 +1,254 @@
+import type { Server, Socket } from 'socket.io';
+import type { Arena } from '../src/arena';
+import { ArenaManager } from '../src/arenaManager';
+import { parseGameConfig } from '../src/config';
+import { massToRadius } from '../src/gameServer';
+import type { StatsStore } from '../src/statsStore';
+import type { ArenaOptions, Player } from '../src/types/serverTypes';
+
+const OPTIONS: ArenaOptions = {
+  defaultArenas: 1,
+  capacity: 50,
+  tickRate: 50,
+  modes: ['ffa'],
+  presets: parseGameConfig({}).presets,
+  teamCount: 2,
+  botPopulation: 0,
+  botDifficulty: 'normal',
+  replayDir: null,
+  resumeGracePeriod: 0
+};
+
+// Just enough of Socket.IO for the manager to move sockets between rooms and emit to them
+function createIo() {
+  const sockets = new Map<string, Socket>();
+  const io = { to: () => ({ emit: () => true }), sockets: { sockets } } as unknown as Server;
+
+  const connect = (id: string, address = `198.51.100.${sockets.size + 1}`): Socket => {
+    const socket = {
+      id,
+      handshake: { address },
+      data: {},
+      join: () => {},
+      leave: () => {},
+      emit: () => true
+    } as unknown as Socket;
+    sockets.set(id, socket);
+    return socket;
+  };
+  // The connection is gone by the time the disconnect handler runs
+  const drop = (socket: Socket): void => {
+    sockets.delete(socket.id);
+  };
+  return { io, connect, drop };
+}
+
+function createManager(options: Partial<ArenaOptions> = {}) {
+  const { io, connect, drop } = createIo();
+  const record = jest.fn();
+  const statsStore = { record } as unknown as StatsStore;
+  const manager = new ArenaManager(io, { ...OPTIONS, ...options }, statsStore);
+  const disconnect = (socket: Socket): void => {
+    drop(socket);
+    manager.disconnect(socket);
+  };
+  return { manager, connect, disconnect, record };
+}
+
+// Puts the player's only cell somewhere and lets the world re-index it
+function place(arena: Arena, player: Player, x: number, mass: number): void {
+  Object.assign(player.cells[0], { x, y: 1000, mass, radius: massToRadius(mass) });
+  arena.gameServer.update(0);
+}
+
+describe('ArenaManager stats', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('records the session of a player that gets eaten', () => {
+    const { manager, connect, record } = createManager();
+    const big = connect('big');
+    const small = connect('small');
+    const arena = manager.assign(big);
+    place(arena, arena.spawnPlayer(big, 'Big'), 1000, 400);
+    manager.assign(small);
+    place(arena, arena.spawnPlayer(small, 'Small'), 1010, 100);
+
+    arena.gameServer.checkCollisions();
+
+    expect(record).toHaveBeenCalledTimes(1);
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({ name: 'Small', killedBy: 'Big', arenaId: arena.id }));
+  });
+
+  it('records the session of a player that disconnects', () => {
+    const { manager, connect, record } = createManager();
+    const socket = connect('player');
+    manager.assign(socket).spawnPlayer(socket, 'Leaver');
+
+    manager.disconnect(socket);
+
+    expect(record).toHaveBeenCalledWith(expect.objectContaining({ name: 'Leaver', killedBy: null, arenaId: 'arena-1' }));
+  });
+});
+
+describe('ArenaManager matchmaking', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('lets spectators watch a full arena without taking up its capacity', () => {
+    const { manager, connect } = createManager({ capacity: 1 });
+    const player = connect('player');
+    const arena = manager.assign(player);
+    arena.spawnPlayer(player, 'Player');
+    expect(arena.isFull()).toBe(true);
+
+    const spectator = connect('spectator');
+    expect(manager.watch(spectator, arena.id)).toBe(arena);
+    arena.spectate(spectator);
+    expect(arena.playerCount).toBe(1);
+    expect(arena.isFull()).toBe(true);
+
+    expect(manager.assign(connect('late'))).not.toBe(arena);
+  });
+});
+
+describe('ArenaManager parties', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('lets members play and watch in their party by arena id', () => {
+    const { manager, connect } = createManager();
+    const host = connect('host');
+    const party = manager.createParty(host);
+
+    expect(manager.assign(host, party.id)).toBe(party);
+    expect(manager.watch(host, party.id)).toBe(party);
+  });
+
+  it('keeps strangers out of a party they only know the arena id of', () => {
+    const { manager, connect } = createManager();
+    const party = manager.createParty(connect('host'));
+    const stranger = connect('stranger');
+
+    expect(manager.assign(stranger, party.id)).not.toBe(party);
+    expect(manager.watch(stranger, party.id)).not.toBe(party);
+    expect(manager.getArenaForSocket(stranger.id)?.party).toBeNull();
+    expect(party.party?.getMemberId(stranger.id)).toBeUndefined();
+  });
+
+  it('keeps kicked members out through join and spectate as well as the invite code', () => {
+    const { manager, connect } = createManager();
+    const host = connect('host');
+    const guest = connect('guest');
+    const party = manager.createParty(host);
+    const code = party.party?.code ?? '';
+    manager.joinParty(guest, code);
+
+    expect(manager.kick(host, party.party?.getMemberId(guest.id) ?? 0)).toBe(true);
+    expect(manager.joinParty(guest, code)).toBeNull();
+    expect(manager.assign(guest, party.id)).not.toBe(party);
+    expect(manager.watch(guest, party.id)).not.toBe(party);
+    expect(party.party?.getMemberId(guest.id)).toBeUndefined();
+  });
+
+  it('keeps a kicked member out after it reconnects on a fresh socket', () => {
+    const { manager, connect } = createManager();
+    const host = connect('host');
+    const guest = connect('guest', '198.51.100.50');
+    const party = manager.createParty(host);
+    const code = party.party?.code ?? '';
+    manager.joinParty(guest, code);
+    manager.kick(host, party.party?.getMemberId(guest.id) ?? 0);
+
+    const reconnected = connect('guest-again', '198.51.100.50');
+
+    expect(manager.joinParty(reconnected, code)).toBeNull();
+    expect(manager.joinParty(connect('other', '198.51.100.51'), code)).toBe(party);
+  });
+});
+
+describe('ArenaManager party resume', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('keeps the place of a member on the menu through a dropped connection', () => {
+    const { manager, connect, disconnect } = createManager({ resumeGracePeriod: 15000 });
+    const host = connect('host');
+    const party = manager.createParty(host);
+    manager.joinParty(connect('guest'), party.party?.code ?? '');
+    party.spawnPlayer(host, 'Host');
+    manager.issueResumeToken(host, party);
+    manager.leaveGame(host);
+    const token: string = host.data.resumeToken;
+
+    disconnect(host);
+    jest.advanceTimersByTime(10000);
+    const reconnected = connect('host-again');
+
+    expect(manager.resume(reconnected, token)).toEqual({ arena: party, player: null });
+    expect(party.party?.isHost(reconnected.id)).toBe(true);
+    expect(party.memberCount).toBe(2);
+    expect(manager.getArenaForSocket(reconnected.id)).toBe(party);
+    expect(reconnected.data.resumeToken).toEqual(expect.any(String));
+    expect(reconnected.data.resumeToken).not.toBe(token);
+  });
+
+  it('gives members a token as soon as they join', () => {
+    const { manager, connect, disconnect } = createManager({ resumeGracePeriod: 15000 });
+    const party = manager.createParty(connect('host'));
+    const guest = connect('guest');
+    manager.joinParty(guest, party.party?.code ?? '');
+
+    disconnect(guest);
+
+    expect(party.memberCount).toBe(2);
+    expect(manager.resume(connect('guest-again'), guest.data.resumeToken)?.arena).toBe(party);
+  });
+
+  it('ends an idle party once the grace period runs out', () => {
+    const { manager, connect, disconnect } = createManager({ resumeGracePeriod: 15000 });
+    const host = connect('host');
+    const party = manager.createParty(host);
+    const token: string = host.data.resumeToken;
+
+    disconnect(host);
+    jest.advanceTimersByTime(15000);
+
+    expect(manager.getArena(party.id)).toBeUndefined();
+    expect(manager.resume(connect('host-again'), token)).toBeNull();
+  });
+
+  it('does not bring back a member the host kicked while it was away', () => {
+    const { manager, connect, disconnect } = createManager({ resumeGracePeriod: 15000 });
+    const host = connect('host');
+    const guest = connect('guest');
+    const party = manager.createParty(host);
+    manager.joinParty(guest, party.party?.code ?? '');
+
+    disconnect(guest);
+    manager.kick(host, party.party?.getMemberId(guest.id) ?? 0);
+
+    expect(manager.resume(connect('guest-again'), guest.data.resumeToken)).toBeNull();
+    expect(party.memberCount).toBe(1);
+  });
+});
@@ -0,0 +1,107 @@
+import type { Socket } from 'socket.io';
+import {
+  CHAT_MAX_LENGTH,
+  ChatFilter,
+  createChatLimiter,
+  createChatMessage,
+  MuteList,
+  normalizeChatText,
+  parseWordList
+} from '../src/chat';
+
+describe('ChatFilter', () => {
+  it('masks whole listed words whatever their case', () => {
+    const filter = new ChatFilter(['darn', ' heck ']);
+
+    expect(filter.clean('Darn it, what the HECK')).toBe('**** it, what the ****');
+  });
+
+  it('leaves words that only contain a listed word alone', () => {
+    expect(new ChatFilter(['ass']).clean('pass the class')).toBe('pass the class');
+  });
+
+  it('treats listed words as plain text, not patterns', () => {
+    expect(new ChatFilter(['a.c']).clean('abc a.c')).toBe('abc ***');
+  });
+
+  it('passes everything through without words', () => {
+    expect(new ChatFilter(parseWordList(undefined)).clean('anything goes')).toBe('anything goes');
+    expect(new ChatFilter(parseWordList(' , ')).clean('anything goes')).toBe('anything goes');
+  });
+});
+
+describe('normalizeChatText', () => {
+  it('collapses whitespace and control characters into single spaces', () => {
+    expect(normalizeChatText('  hello\n\n\tthere\u0000\u0007friend\u007f\u0085! ')).toBe('hello there friend !');
+  });
+
+  it('cuts long messages off at the limit', () => {
+    expect(normalizeChatText('x'.repeat(CHAT_MAX_LENGTH + 50))).toHaveLength(CHAT_MAX_LENGTH);
+  });
+
+  it('has nothing to send when only whitespace is left', () => {
+    expect(normalizeChatText(' \r\n\u0001 ')).toBeNull();
+  });
+});
+
+describe('chat rate limit', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('allows a short burst, then one message every two seconds', () => {
+    const limiter = createChatLimiter();
+
+    expect([1, 2, 3, 4].map(() => limiter.tryConsume())).toEqual([true, true, true, false]);
+
+    jest.advanceTimersByTime(1000);
+    expect(limiter.tryConsume()).toBe(false);
+    jest.advanceTimersByTime(1000);
+    expect(limiter.tryConsume()).toBe(true);
+    expect(limiter.tryConsume()).toBe(false);
+  });
+});
+
+describe('MuteList', () => {
+  const NOW = 1_700_000_000_000;
+
+  it('mutes an address until the mute runs out', () => {
+    const mutes = new MuteList();
+    mutes.add('203.0.113.1', NOW + 60_000);
+
+    expect(mutes.isMuted('203.0.113.1', NOW)).toBe(true);
+    expect(mutes.isMuted('203.0.113.2', NOW)).toBe(false);
+    expect(mutes.list(NOW)).toEqual([{ ip: '203.0.113.1', mutedUntil: NOW + 60_000 }]);
+
+    expect(mutes.isMuted('203.0.113.1', NOW + 60_000)).toBe(false);
+    expect(mutes.list(NOW + 60_000)).toEqual([]);
+  });
+
+  it('keeps an open-ended mute until it is lifted', () => {
+    const mutes = new MuteList();
+    mutes.add('203.0.113.1', Number.POSITIVE_INFINITY);
+
+    expect(mutes.list(NOW)).toEqual([{ ip: '203.0.113.1', mutedUntil: null }]);
+    expect(mutes.remove('203.0.113.1')).toBe(true);
+    expect(mutes.isMuted('203.0.113.1', NOW)).toBe(false);
+    expect(mutes.remove('203.0.113.1')).toBe(false);
+  });
+});
+
+describe('createChatMessage', () => {
+  const socket = { data: { playerName: 'Watcher' } } as unknown as Socket;
+
+  it("uses a player's name and colour", () => {
+    const message = createChatMessage(socket, { id: 7, name: 'Blob', color: '#FF6B6B' }, 'hi');
+
+    expect(message).toMatchObject({ playerId: 7, name: 'Blob', color: '#FF6B6B', text: 'hi' });
+  });
+
+  it('falls back to the last joined name for everyone else', () => {
+    expect(createChatMessage(socket, undefined, 'hi')).toMatchObject({ playerId: null, name: 'Watcher' });
+  });
+});
@@ -0,0 +1,125 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { DEFAULT_WORLD_CONFIG, getClientRules, loadGameConfig, parseGameConfig } from '../src/config';
+
+describe('parseGameConfig', () => {
+  it('falls back to a single classic preset with the defaults', () => {
+    const config = parseGameConfig({});
+
+    expect(config.tickInterval).toBe(50);
+    expect(config.presets).toEqual([{ id: 'classic', name: 'Classic', world: DEFAULT_WORLD_CONFIG }]);
+    expect(config.arenaPresets).toEqual(config.presets);
+  });
+
+  it('layers defaults, the shared world rules and the preset', () => {
+    const config = parseGameConfig({
+      world: { foodCount: 500, startMass: 50 },
+      presets: {
+        classic: { name: 'Classic' },
+        fast: { name: 'Fast', baseSpeed: 8, foodCount: 800 }
+      }
+    });
+    const [classic, fast] = config.presets;
+
+    expect(classic.world).toMatchObject({ foodCount: 500, startMass: 50, baseSpeed: 5 });
+    expect(fast).toMatchObject({ id: 'fast', name: 'Fast' });
+    expect(fast.world).toMatchObject({ foodCount: 800, startMass: 50, baseSpeed: 8 });
+  });
+
+  it('lets the environment override every preset', () => {
+    const config = parseGameConfig(
+      { presets: { classic: {}, fast: { worldWidth: 3000 } } },
+      { GAME_WORLD_WIDTH: '8000', GAME_MASS_DECAY_RATE: '0.01', TICK_INTERVAL: '40' }
+    );
+
+    expect(config.tickInterval).toBe(40);
+    for (const preset of config.presets) {
+      expect(preset.world.worldWidth).toBe(8000);
+      expect(preset.world.massDecayRate).toBe(0.01);
+    }
+  });
+
+  it('names presets by their id when they have no name', () => {
+    const config = parseGameConfig({ presets: { 'huge-map': { worldWidth: 12000 } } });
+    expect(config.presets[0].name).toBe('huge-map');
+  });
+
+  it('picks the arena presets from the file or ARENA_PRESETS', () => {
+    const raw = { presets: { classic: {}, fast: {}, big: {} }, arenaPresets: ['fast', 'big'] };
+
+    expect(parseGameConfig(raw).arenaPresets.map((preset) => preset.id)).toEqual(['fast', 'big']);
+    expect(parseGameConfig(raw, { ARENA_PRESETS: 'big, classic' }).arenaPresets.map((preset) => preset.id)).toEqual([
+      'big',
+      'classic'
+    ]);
+  });
+
+  it.each([
+    [{ world: { foodCunt: 10 } }, /unknown setting world\.foodCunt/],
+    [{ presets: { fast: { speed: 2 } } }, /unknown setting presets\.fast\.speed/],
+    [{ world: { worldWidth: 10 } }, /world\.worldWidth must be between/],
+    [{ world: { foodCount: 10.5 } }, /must be a whole number/],
+    [{ world: { eatRatio: '1.2' } }, /world\.eatRatio must be a number/],
+    [{ world: { maxCellMass: 50 } }, /maxCellMass must be at least startMass/],
+    [{ world: { virusMaxMass: 100 } }, /virusMaxMass must be greater than virusMass/],
+    [{ world: { virusCount: 80 } }, /maxViruses must be at least virusCount/],
+    [{ tickInterval: 5 }, /tickInterval must be between/],
+    [{ presets: {} }, /at least one preset/],
+    [{ presets: { Fast: {} } }, /preset id Fast/],
+    [{ arenaPresets: ['missing'] }, /unknown preset missing/],
+    [{ arenaPresets: [] }, /at least one preset/],
+    [[], /expected an object/]
+  ])('rejects %j', (raw, message) => {
+    expect(() => parseGameConfig(raw)).toThrow(message);
+  });
+
+  it('rejects bad environment values', () => {
+    expect(() => parseGameConfig({}, { GAME_FOOD_COUNT: 'lots' })).toThrow(/GAME_FOOD_COUNT must be a number/);
+    expect(() => parseGameConfig({}, { ARENA_PRESETS: 'classic,nope' })).toThrow(/ARENA_PRESETS names unknown preset nope/);
+  });
+});
+
+describe('loadGameConfig', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'game-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('uses the defaults when the file is missing', () => {
+    expect(loadGameConfig(path.join(dir, 'missing.json'), {}).presets[0].world).toEqual(DEFAULT_WORLD_CONFIG);
+  });
+
+  it('refuses a file that is not JSON', () => {
+    const file = path.join(dir, 'game.json');
+    fs.writeFileSync(file, '{ tickInterval: 50 ');
+    expect(() => loadGameConfig(file, {})).toThrow(/is not valid JSON/);
+  });
+
+  it('loads the shipped config', () => {
+    const config = loadGameConfig(path.join(__dirname, '../config/game.json'), {});
+    expect(config.arenaPresets.map((preset) => preset.id)).toEqual(['classic', 'fast', 'huge-map']);
+    // Classic is the original game, so it keeps every default rule
+    expect(config.arenaPresets[0].world).toEqual(DEFAULT_WORLD_CONFIG);
+  });
+});
+
+describe('getClientRules', () => {
+  it('passes on what the client needs to predict movement', () => {
+    const [preset] = parseGameConfig({ presets: { fast: { name: 'Fast', minSpeed: 3, speedExponent: 0.8 } } }).presets;
+
+    expect(getClientRules(preset, 40)).toEqual({
+      preset: 'Fast',
+      tickInterval: 40,
+      minSpeed: 3,
+      speedReferenceMass: 100,
+      speedExponent: 0.8,
+      speedBoost: 1.5
+    });
+  });
+});
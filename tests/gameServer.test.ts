@@ -0,0 +1,960 @@
+import { Bot } from '../src/bot';
+import { GameServer, massToRadius } from '../src/gameServer';
+import type { Cell, Food, GameServerOptions, Player, PowerUpType, Virus, WorldConfig } from '../src/types/serverTypes';
+
+const SEED = 1234;
+const WORLD_SIZE = 5000;
+
+// A clock the tests move forward by hand
+function createClock(start = 1_000_000) {
+  let time = start;
+  return {
+    now: () => time,
+    advance: (ms: number) => {
+      time += ms;
+    }
+  };
+}
+
+function createServer(clock = createClock()) {
+  return new GameServer({ seed: SEED, now: clock.now });
+}
+
+// No food, viruses or power-ups, so only the players in a test interact
+function createEmptyServer(clock = createClock(), options: GameServerOptions = {}) {
+  return new GameServer({
+    seed: SEED,
+    now: clock.now,
+    world: { foodCount: 0, virusCount: 0, powerUpCount: 0 },
+    ...options
+  });
+}
+
+// Runs the simulation like the arena loop does, with the clock following along
+function run(server: GameServer, clock: ReturnType<typeof createClock>, ticks: number): void {
+  for (let tick = 0; tick < ticks; tick++) {
+    clock.advance(50);
+    server.update(50);
+    server.checkCollisions();
+  }
+}
+
+// Moves a player's only cell and lets the server re-index it. A zero-length update
+// doesn't move anything, it only refreshes the player's bounds.
+function place(server: GameServer, player: Player, x: number, y: number, mass?: number): Cell {
+  const cell = player.cells[0];
+  cell.x = x;
+  cell.y = y;
+  if (mass !== undefined) {
+    cell.mass = mass;
+    cell.radius = massToRadius(mass);
+  }
+  server.update(0);
+  return cell;
+}
+
+function getFood(server: GameServer): Food[] {
+  return server.getGameState().food;
+}
+
+describe('determinism', () => {
+  it('builds the same world from the same seed', () => {
+    const first = createServer();
+    const second = createServer();
+
+    expect(getFood(second)).toEqual(getFood(first));
+    expect(second.getGameState().viruses).toEqual(first.getGameState().viruses);
+    expect(second.addPlayer('b', 'Blob')).toEqual(first.addPlayer('b', 'Blob'));
+  });
+
+  it('builds a different world from another seed', () => {
+    const first = new GameServer({ seed: 1 });
+    const second = new GameServer({ seed: 2 });
+
+    expect(getFood(second)).not.toEqual(getFood(first));
+  });
+
+  it('plays out the same inputs the same way', () => {
+    const run = () => {
+      const server = createServer();
+      server.addPlayer('a', 'Alpha');
+      server.addPlayer('b', 'Beta');
+      for (let tick = 0; tick < 100; tick++) {
+        server.setPlayerTarget('a', { x: 2500, y: 2500, seq: tick });
+        server.setPlayerTarget('b', { x: 0, y: WORLD_SIZE, seq: tick });
+        server.update(50);
+        server.checkCollisions();
+      }
+      return server.getGameState().players;
+    };
+
+    expect(run()).toEqual(run());
+  });
+});
+
+describe('eating food', () => {
+  it('adds the food mass to the cell and counts it', () => {
+    const server = createServer();
+    const player = server.addPlayer('a', 'Alpha');
+    const food = getFood(server)[0];
+    const eaten = jest.fn();
+    server.on('foodEaten', eaten);
+
+    place(server, player, food.x, food.y);
+    server.checkCollisions();
+
+    expect(player.mass).toBe(100 + food.mass);
+    expect(player.cells[0].radius).toBeCloseTo(massToRadius(100 + food.mass));
+    expect(eaten).toHaveBeenCalledWith('a', food);
+    expect(getFood(server).some((item) => item.id === food.id)).toBe(false);
+  });
+
+  it('respawns eaten food so the total stays the same', () => {
+    const server = createServer();
+    const player = server.addPlayer('a', 'Alpha');
+    const before = server.getFoodCount();
+
+    for (const food of getFood(server).slice(0, 25)) {
+      place(server, player, food.x, food.y);
+      server.checkCollisions();
+    }
+
+    expect(server.getFoodCount()).toBe(before);
+    expect(player.mass).toBeGreaterThanOrEqual(125);
+  });
+
+  it('grows and shrinks the food supply at runtime', () => {
+    const server = createServer();
+
+    server.setFoodCount(50);
+    expect(server.getFoodCount()).toBe(50);
+
+    server.setFoodCount(200);
+    expect(server.getFoodCount()).toBe(200);
+  });
+});
+
+describe('eating players', () => {
+  // Two overlapping players in a world without food, so only the cell-cell rule decides
+  function collide(eaterMass: number, victimMass: number) {
+    const server = createServer();
+    server.setFoodCount(0);
+    const eater = server.addPlayer('eater', 'Eater');
+    const victim = server.addPlayer('victim', 'Victim');
+    place(server, eater, 1000, 1000, eaterMass);
+    place(server, victim, 1005, 1000, victimMass);
+    return { server, eater, victim };
+  }
+
+  it('needs more than 10% extra mass to eat another cell', () => {
+    const { server, eater, victim } = collide(110, 100);
+    server.checkCollisions();
+
+    expect(server.getPlayer('victim')).toBe(victim);
+    expect(eater.mass).toBe(110);
+  });
+
+  it('eats a cell that is more than 10% smaller', () => {
+    const { server, eater } = collide(111, 100);
+    const death = jest.fn();
+    const cellEaten = jest.fn();
+    server.on('playerDeath', death);
+    server.on('cellEaten', cellEaten);
+
+    server.checkCollisions();
+
+    expect(eater.mass).toBe(211);
+    expect(cellEaten).toHaveBeenCalledWith('eater', 'victim', 100);
+    expect(death).toHaveBeenCalledWith(
+      'victim',
+      {
+        playerId: expect.any(Number),
+        eatenBy: 'Eater',
+        finalMass: 100,
+        summary: expect.objectContaining({ peakMass: 100, playersEaten: 0 })
+      },
+      expect.objectContaining({ name: 'Victim' })
+    );
+    expect(server.getPlayer('victim')).toBeUndefined();
+  });
+
+  it('lets the smaller side be eaten whichever player is checked first', () => {
+    const { server, victim } = collide(100, 200);
+    server.checkCollisions();
+
+    expect(server.getPlayer('eater')).toBeUndefined();
+    expect(victim.mass).toBe(300);
+  });
+
+  it('keeps cells apart when they are too far away to overlap', () => {
+    const { server, eater, victim } = collide(200, 100);
+    place(server, victim, 1000 + massToRadius(200) + massToRadius(100) + 1, 1000);
+    server.checkCollisions();
+
+    expect(server.getPlayer('victim')).toBe(victim);
+    expect(eater.mass).toBe(200);
+  });
+
+  it('ends the session with the time alive from the injected clock', () => {
+    const clock = createClock();
+    const server = createServer(clock);
+    server.setFoodCount(0);
+    const eater = server.addPlayer('eater', 'Eater');
+    const victim = server.addPlayer('victim', 'Victim');
+    const sessionEnd = jest.fn();
+    server.on('sessionEnd', sessionEnd);
+
+    clock.advance(42_000);
+    place(server, eater, 1000, 1000, 300);
+    place(server, victim, 1000, 1000, 100);
+    server.checkCollisions();
+
+    expect(sessionEnd).toHaveBeenCalledWith(
+      'victim',
+      expect.objectContaining({ name: 'Victim', timeAlive: 42_000, killedBy: 'Eater', finalMass: 100 })
+    );
+  });
+});
+
+describe('splitting', () => {
+  it('halves every cell towards the cursor and sets the merge cooldown', () => {
+    const clock = createClock();
+    const server = createEmptyServer(clock);
+    const player = server.addPlayer('a', 'Alpha');
+    place(server, player, 2500, 2500, 400);
+
+    server.setPlayerTarget('a', { x: 3500, y: 2500, seq: 1 });
+    server.splitPlayer('a');
+
+    expect(player.cells.map((cell) => cell.mass)).toEqual([200, 200]);
+    expect(player.cells[1].x).toBeGreaterThan(player.cells[0].x);
+    expect(player.cells[1].boostX).toBeGreaterThan(0);
+    // mergeBaseTime 15000 plus 20 per unit of mass
+    for (const cell of player.cells) {
+      expect(cell.mergeAt).toBe(clock.now() + 15000 + 200 * 20);
+    }
+  });
+
+  it('leaves cells below the minimum split mass and stops at the cell limit', () => {
+    const server = createEmptyServer(createClock(), { world: { foodCount: 0, virusCount: 0, maxCells: 3 } });
+    const player = server.addPlayer('a', 'Alpha');
+    place(server, player, 2500, 2500, 35);
+    server.setPlayerTarget('a', { x: 3500, y: 2500, seq: 1 });
+
+    server.splitPlayer('a');
+    expect(player.cells).toHaveLength(1);
+
+    place(server, player, 2500, 2500, 800);
+    server.splitPlayer('a');
+    server.splitPlayer('a');
+    expect(player.cells).toHaveLength(3);
+    expect(player.mass).toBeCloseTo(800);
+  });
+
+  it('keeps split cells apart until the cooldown is over, then merges them', () => {
+    const clock = createClock();
+    const server = createEmptyServer(clock);
+    const player = server.addPlayer('a', 'Alpha');
+    place(server, player, 2500, 2500, 400);
+    server.setPlayerTarget('a', { x: 3000, y: 2500, seq: 1 });
+    server.splitPlayer('a');
+    const mergeAt = player.cells[0].mergeAt;
+
+    // Both cells chase the same point, which would stack them if nothing pushed them apart
+    server.setPlayerTarget('a', { x: 2500, y: 2500, seq: 2 });
+    run(server, clock, 100);
+    expect(clock.now()).toBeLessThan(mergeAt);
+    const [first, second] = player.cells;
+    expect(Math.hypot(first.x - second.x, first.y - second.y)).toBeGreaterThanOrEqual(first.radius + second.radius - 0.001);
+
+    clock.advance(mergeAt - clock.now());
+    run(server, clock, 100);
+    expect(player.cells).toHaveLength(1);
+    expect(player.mass).toBeCloseTo(400);
+  });
+});
+
+describe('game summary and arena events', () => {
+  it('sums up the life of a player that gets eaten', () => {
+    const clock = createClock();
+    const server = createServer(clock);
+    server.setFoodCount(0);
+    const eater = server.addPlayer('eater', 'Eater');
+    const victim = server.addPlayer('victim', 'Victim');
+    const death = jest.fn();
+    const events = jest.fn();
+    server.on('playerDeath', death);
+    server.on('arenaEvent', events);
+
+    place(server, victim, 4000, 4000, 400);
+    place(server, eater, 1000, 1000, 300);
+    server.checkCollisions();
+    clock.advance(1000);
+    place(server, victim, 4000, 4000, 250);
+    server.checkCollisions();
+    clock.advance(2000);
+    place(server, eater, 1000, 1000, 1200);
+    place(server, victim, 1000, 1000, 200);
+    server.checkCollisions();
+
+    expect(death.mock.calls[0][1].summary).toEqual({
+      timeAlive: 3000,
+      peakMass: 400,
+      highestRank: 1,
+      playersEaten: 0,
+      foodEaten: 0,
+      massHistory: [100, 250, 200]
+    });
+    expect(events).toHaveBeenCalledWith({ type: 'kill', ts: clock.now(), eater: 'Eater', victim: 'Victim', mass: 200 });
+  });
+
+  it('announces each mass milestone once per life', () => {
+    const server = createServer();
+    server.setFoodCount(0);
+    const player = server.addPlayer('a', 'Alpha');
+    const events = jest.fn();
+    server.on('arenaEvent', events);
+
+    place(server, player, 1000, 1000, 2600);
+    server.checkCollisions();
+    place(server, player, 1000, 1000, 2000);
+    server.checkCollisions();
+    place(server, player, 1000, 1000, 2700);
+    server.checkCollisions();
+
+    const milestones = events.mock.calls.map(([event]) => event).filter((event) => event.type === 'milestone');
+    expect(milestones).toEqual([{ type: 'milestone', ts: expect.any(Number), name: 'Alpha', mass: 2500 }]);
+  });
+
+  it('announces a new leader, but not every swap in a close race', () => {
+    const clock = createClock();
+    const server = createServer(clock);
+    server.setFoodCount(0);
+    const alpha = server.addPlayer('a', 'Alpha');
+    const beta = server.addPlayer('b', 'Beta');
+    const events = jest.fn();
+    server.on('arenaEvent', events);
+    const leaders = () => events.mock.calls.filter(([event]) => event.type === 'leader').map(([event]) => event.name);
+
+    place(server, alpha, 1000, 1000, 300);
+    place(server, beta, 3000, 3000, 200);
+    server.checkCollisions();
+    expect(leaders()).toEqual(['Alpha']);
+
+    clock.advance(1000);
+    place(server, beta, 3000, 3000, 400);
+    server.checkCollisions();
+    expect(leaders()).toEqual(['Alpha']);
+
+    // Alpha never lost the lead as far as the feed is concerned, so nothing new to announce
+    clock.advance(10_000);
+    place(server, alpha, 1000, 1000, 500);
+    server.checkCollisions();
+    expect(leaders()).toEqual(['Alpha']);
+  });
+
+  it('announces a lead taken during the cooldown once the cooldown is over', () => {
+    const clock = createClock();
+    const server = createServer(clock);
+    server.setFoodCount(0);
+    const alpha = server.addPlayer('a', 'Alpha');
+    const beta = server.addPlayer('b', 'Beta');
+    const events = jest.fn();
+    server.on('arenaEvent', events);
+    const leaders = () => events.mock.calls.filter(([event]) => event.type === 'leader').map(([event]) => event.name);
+
+    place(server, alpha, 1000, 1000, 300);
+    place(server, beta, 3000, 3000, 200);
+    server.checkCollisions();
+
+    clock.advance(1000);
+    place(server, beta, 3000, 3000, 400);
+    server.checkCollisions();
+    expect(leaders()).toEqual(['Alpha']);
+
+    clock.advance(9000);
+    server.checkCollisions();
+    expect(leaders()).toEqual(['Alpha', 'Beta']);
+
+    clock.advance(1000);
+    server.checkCollisions();
+    expect(leaders()).toEqual(['Alpha', 'Beta']);
+  });
+
+  it('keeps the mass history short on long lives', () => {
+    const clock = createClock();
+    const server = createServer(clock);
+    server.setFoodCount(0);
+    const eater = server.addPlayer('eater', 'Eater');
+    const victim = server.addPlayer('victim', 'Victim');
+    const death = jest.fn();
+    server.on('playerDeath', death);
+    place(server, eater, 1000, 1000, 300);
+
+    for (let second = 0; second < 600; second++) {
+      clock.advance(1000);
+      server.checkCollisions();
+    }
+    place(server, victim, 1000, 1000, 100);
+    server.checkCollisions();
+
+    const { massHistory } = death.mock.calls[0][1].summary;
+    expect(massHistory.length).toBeGreaterThan(30);
+    expect(massHistory.length).toBeLessThanOrEqual(121);
+  });
+});
+
+describe('power-ups', () => {
+  const INTERVAL = 15_000;
+
+  function giveEffect(player: Player, type: PowerUpType, expiresAt = Number.MAX_SAFE_INTEGER) {
+    player.effects.push({ type, expiresAt });
+  }
+
+  it('spawns one power-up per interval up to the cap', () => {
+    const clock = createClock();
+    const server = createServer(clock);
+
+    server.update(0);
+    expect(server.getGameState().powerUps).toHaveLength(0);
+
+    for (let i = 1; i <= 10; i++) {
+      clock.advance(INTERVAL);
+      server.update(0);
+      expect(server.getGameState().powerUps).toHaveLength(Math.min(i, 6));
+    }
+  });
+
+  it('gives the effect to the player that touches it until it runs out', () => {
+    const clock = createClock();
+    const server = createServer(clock);
+    server.setFoodCount(0);
+    const player = server.addPlayer('a', 'Alpha');
+    clock.advance(INTERVAL);
+    server.update(0);
+    const [powerUp] = server.getGameState().powerUps;
+
+    place(server, player, powerUp.x, powerUp.y);
+    server.checkCollisions();
+
+    expect(server.getGameState().powerUps).toHaveLength(0);
+    expect(player.effects).toEqual([{ type: powerUp.type, expiresAt: expect.any(Number) }]);
+
+    clock.advance(player.effects[0].expiresAt - clock.now());
+    server.update(0);
+    expect(player.effects).toEqual([]);
+  });
+
+  it('moves a boosted player faster', () => {
+    const server = createServer();
+    const normal = server.addPlayer('a', 'Alpha');
+    const boosted = server.addPlayer('b', 'Beta');
+    const normalCell = place(server, normal, 1000, 1000);
+    const boostedCell = place(server, boosted, 1000, 3000);
+    giveEffect(boosted, 'speed');
+
+    server.setPlayerTarget('a', { x: 4000, y: 1000, seq: 1 });
+    server.setPlayerTarget('b', { x: 4000, y: 3000, seq: 1 });
+    server.update(50);
+
+    expect(boostedCell.x - 1000).toBeCloseTo((normalCell.x - 1000) * 1.5);
+  });
+
+  it('keeps a shielded player from being eaten', () => {
+    const server = createServer();
+    server.setFoodCount(0);
+    const eater = server.addPlayer('eater', 'Eater');
+    const victim = server.addPlayer('victim', 'Victim');
+    place(server, eater, 1000, 1000, 300);
+    place(server, victim, 1005, 1000, 100);
+    giveEffect(victim, 'shield');
+
+    server.checkCollisions();
+
+    expect(server.getPlayer('victim')).toBe(victim);
+    expect(eater.mass).toBe(300);
+  });
+
+  it('pulls in food beyond the edge of a magnetised cell', () => {
+    const server = createServer();
+    const player = server.addPlayer('a', 'Alpha');
+    const food = getFood(server)[0];
+    // Just out of reach without the magnet
+    place(server, player, food.x + player.cells[0].radius + food.radius + 50, food.y);
+
+    server.checkCollisions();
+    expect(getFood(server)).toContainEqual(food);
+
+    giveEffect(player, 'magnet');
+    server.checkCollisions();
+    expect(getFood(server)).not.toContainEqual(food);
+  });
+
+  it('doubles the mass gained from food', () => {
+    const server = createServer();
+    const player = server.addPlayer('a', 'Alpha');
+    const food = getFood(server)[0];
+    giveEffect(player, 'doubler');
+
+    place(server, player, food.x, food.y);
+    server.checkCollisions();
+
+    expect(player.mass).toBe(100 + food.mass * 2);
+  });
+});
+
+describe('world rules', () => {
+  function createWorld(world: Partial<WorldConfig>) {
+    return new GameServer({ seed: SEED, now: createClock().now, world });
+  }
+
+  it('builds the world from the given rules', () => {
+    const server = createWorld({ worldWidth: 2000, worldHeight: 1000, foodCount: 50, startMass: 40 });
+    const player = server.addPlayer('a', 'Alpha');
+
+    expect(server.getWorldDimensions()).toEqual({ width: 2000, height: 1000 });
+    expect(getFood(server)).toHaveLength(50);
+    expect(player.mass).toBe(40);
+    for (const food of getFood(server)) {
+      expect(food.x).toBeLessThanOrEqual(2000);
+      expect(food.y).toBeLessThanOrEqual(1000);
+    }
+  });
+
+  it('uses the configured eat ratio', () => {
+    const server = createWorld({ foodCount: 0, eatRatio: 1.5 });
+    const eater = server.addPlayer('eater', 'Eater');
+    const victim = server.addPlayer('victim', 'Victim');
+    place(server, eater, 1000, 1000, 140);
+    place(server, victim, 1005, 1000, 100);
+    server.checkCollisions();
+    expect(server.getPlayer('victim')).toBe(victim);
+
+    place(server, eater, 1000, 1000, 151);
+    server.checkCollisions();
+    expect(server.getPlayer('victim')).toBeUndefined();
+  });
+
+  it('decays cells above the threshold down to it', () => {
+    const server = createWorld({ foodCount: 0, virusCount: 0, powerUpCount: 0, massDecayRate: 0.1, massDecayThreshold: 500 });
+    const big = server.addPlayer('big', 'Big');
+    const small = server.addPlayer('small', 'Small');
+    place(server, big, 1000, 1000, 1000);
+    place(server, small, 3000, 3000, 400);
+
+    server.update(1000);
+    expect(big.mass).toBeCloseTo(900);
+    expect(small.mass).toBe(400);
+
+    for (let tick = 0; tick < 100; tick++) {
+      server.update(1000);
+    }
+    expect(big.mass).toBe(500);
+  });
+
+  it('caps a cell at the maximum mass', () => {
+    const server = createWorld({ foodCount: 0, maxCellMass: 250 });
+    const eater = server.addPlayer('eater', 'Eater');
+    server.addPlayer('victim', 'Victim');
+    place(server, eater, 1000, 1000, 200);
+    place(server, server.getPlayer('victim') as Player, 1005, 1000, 100);
+    server.checkCollisions();
+
+    expect(server.getPlayer('victim')).toBeUndefined();
+    expect(eater.mass).toBe(250);
+    expect(eater.cells[0].radius).toBeCloseTo(massToRadius(250));
+  });
+});
+
+describe('ejecting mass', () => {
+  it('shoots a pellet towards the cursor at the cost of some mass', () => {
+    const server = createEmptyServer();
+    const player = server.addPlayer('a', 'Alpha');
+    place(server, player, 2500, 2500, 100);
+    server.setPlayerTarget('a', { x: 2500, y: 3500, seq: 1 });
+
+    server.ejectMass('a');
+
+    expect(player.mass).toBe(100 - 16);
+    const [pellet] = server.getGameState().ejected;
+    expect(pellet).toMatchObject({ mass: 12, color: player.color, x: 2500 });
+    expect(pellet.y).toBeGreaterThan(2500);
+    expect(pellet.boostY).toBeGreaterThan(0);
+  });
+
+  it("doesn't eject from cells below the minimum", () => {
+    const server = createEmptyServer();
+    const player = server.addPlayer('a', 'Alpha');
+    place(server, player, 2500, 2500, 31);
+    server.setPlayerTarget('a', { x: 2500, y: 3500, seq: 1 });
+
+    server.ejectMass('a');
+
+    expect(player.mass).toBe(31);
+    expect(server.getGameState().ejected).toHaveLength(0);
+  });
+
+  it('lets a pellet be eaten once it has stopped flying', () => {
+    const clock = createClock();
+    const server = createEmptyServer(clock);
+    const shooter = server.addPlayer('a', 'Alpha');
+    const eater = server.addPlayer('b', 'Beta');
+    place(server, shooter, 2500, 2500, 100);
+    place(server, eater, 4000, 4000, 100);
+    server.setPlayerTarget('a', { x: 2500, y: 3500, seq: 1 });
+    server.ejectMass('a');
+    const [pellet] = server.getGameState().ejected;
+
+    // A cell sitting right on the pellet can't have it while it is still flying
+    place(server, eater, pellet.x, pellet.y, 100);
+    server.checkCollisions();
+    expect(server.getGameState().ejected).toHaveLength(1);
+
+    server.setPlayerTarget('a', { x: 2500, y: 2500, seq: 2 });
+    run(server, clock, 30);
+    expect(pellet.boostY).toBe(0);
+    place(server, eater, pellet.x, pellet.y, 100);
+    server.checkCollisions();
+    expect(server.getGameState().ejected).toHaveLength(0);
+    expect(eater.mass).toBe(112);
+  });
+});
+
+describe('viruses', () => {
+  function createVirusWorld(world: Partial<WorldConfig> = {}) {
+    const server = new GameServer({
+      seed: SEED,
+      now: createClock().now,
+      world: { foodCount: 0, virusCount: 1, powerUpCount: 0, ...world }
+    });
+    const virus = server.getGameState().viruses[0];
+    virus.x = 2500;
+    virus.y = 2500;
+    return { server, virus };
+  }
+
+  // Shoots pellets at the virus from a cell just out of its reach, one at a time
+  function feed(server: GameServer, virus: Virus, pellets: number): void {
+    const feeder = server.getPlayer('feeder') ?? server.addPlayer('feeder', 'Feeder');
+    for (let i = 0; i < pellets; i++) {
+      place(server, feeder, virus.x - 150, virus.y, 500);
+      server.setPlayerTarget('feeder', { x: virus.x, y: virus.y, seq: i });
+      server.ejectMass('feeder');
+      for (let tick = 0; tick < 5; tick++) {
+        server.update(0);
+        server.checkCollisions();
+      }
+    }
+  }
+
+  it('pops a cell big enough to swallow it and puts a new virus somewhere else', () => {
+    const { server, virus } = createVirusWorld();
+    const player = server.addPlayer('a', 'Alpha');
+    place(server, player, virus.x, virus.y, 400);
+
+    server.checkCollisions();
+
+    expect(player.cells.length).toBeGreaterThan(1);
+    expect(player.mass).toBeCloseTo(400 + 150);
+    const viruses = server.getGameState().viruses;
+    expect(viruses).toHaveLength(1);
+    expect(viruses[0]).not.toBe(virus);
+  });
+
+  it('lets cells too small to swallow it pass over', () => {
+    const { server, virus } = createVirusWorld();
+    const player = server.addPlayer('a', 'Alpha');
+    place(server, player, virus.x, virus.y, 160);
+
+    server.checkCollisions();
+
+    expect(player.cells).toHaveLength(1);
+    expect(server.getGameState().viruses).toEqual([virus]);
+  });
+
+  it('duplicates a virus once it has been fed enough', () => {
+    const { server, virus } = createVirusWorld();
+
+    feed(server, virus, 8);
+    expect(server.getGameState().viruses).toHaveLength(1);
+    expect(virus.mass).toBe(150 + 8 * 12);
+
+    feed(server, virus, 1);
+    expect(server.getGameState().viruses).toHaveLength(2);
+    expect(virus.mass).toBe(150);
+    expect(server.getGameState().ejected).toHaveLength(0);
+  });
+
+  it('stops duplicating at the virus cap', () => {
+    const { server, virus } = createVirusWorld({ maxViruses: 1 });
+
+    feed(server, virus, 20);
+
+    expect(server.getGameState().viruses).toHaveLength(1);
+    expect(virus.mass).toBe(250);
+    expect(server.getGameState().ejected).toHaveLength(0);
+  });
+});
+
+describe('bounds', () => {
+  it('keeps cells inside the world when steering past the edge', () => {
+    const server = createServer();
+    const player = server.addPlayer('a', 'Alpha');
+
+    server.setPlayerTarget('a', { x: -10_000, y: WORLD_SIZE + 10_000, seq: 1 });
+    for (let tick = 0; tick < 400; tick++) {
+      server.update(50);
+    }
+
+    const cell = player.cells[0];
+    expect(cell.x).toBeCloseTo(cell.radius);
+    expect(cell.y).toBeCloseTo(WORLD_SIZE - cell.radius);
+  });
+
+  it('keeps split cells inside the world', () => {
+    const server = createServer();
+    const player = server.addPlayer('a', 'Alpha');
+    place(server, player, 30, 30, 400);
+
+    server.setPlayerTarget('a', { x: -500, y: -500, seq: 1 });
+    server.splitPlayer('a');
+    for (let tick = 0; tick < 20; tick++) {
+      server.update(50);
+    }
+
+    expect(player.cells).toHaveLength(2);
+    for (const cell of player.cells) {
+      expect(cell.x).toBeGreaterThanOrEqual(cell.radius);
+      expect(cell.y).toBeGreaterThanOrEqual(cell.radius);
+    }
+  });
+});
+
+describe('resuming', () => {
+  it('holds a frozen player in place', () => {
+    const server = createServer();
+    const player = server.addPlayer('a', 'Alpha');
+    const cell = place(server, player, 1000, 1000);
+
+    server.setPlayerTarget('a', { x: 4000, y: 4000, seq: 5 });
+    server.freezePlayer('a');
+    for (let tick = 0; tick < 20; tick++) {
+      server.update(50);
+    }
+
+    expect(cell.x).toBeCloseTo(1000);
+    expect(cell.y).toBeCloseTo(1000);
+  });
+
+  it('hands the player over to the new socket with its mass and session', () => {
+    const clock = createClock();
+    const server = createServer(clock);
+    const player = server.addPlayer('old', 'Alpha');
+    place(server, player, 1000, 1000, 250);
+    const sessionEnd = jest.fn();
+    server.on('sessionEnd', sessionEnd);
+
+    expect(server.reattachPlayer('old', 'new')).toBe(player);
+    expect(server.getPlayer('old')).toBeUndefined();
+    expect(server.getPlayer('new')).toBe(player);
+    expect(player.mass).toBe(250);
+    expect(player.cells.every((cell) => cell.ownerId === 'new')).toBe(true);
+
+    clock.advance(30_000);
+    server.removePlayer('new');
+    expect(sessionEnd).toHaveBeenCalledWith('new', expect.objectContaining({ name: 'Alpha', timeAlive: 30_000 }));
+  });
+
+  it('keeps accepting inputs after the handover', () => {
+    const server = createServer();
+    const player = server.addPlayer('old', 'Alpha');
+    const cell = place(server, player, 1000, 1000);
+
+    server.reattachPlayer('old', 'new');
+    server.setPlayerTarget('new', { x: 2000, y: 1000, seq: 1 });
+    server.update(50);
+
+    expect(cell.x).toBeGreaterThan(1000);
+  });
+
+  it('has nothing to hand over once the player is gone', () => {
+    const server = createServer();
+    server.addPlayer('old', 'Alpha');
+    server.removePlayer('old');
+
+    expect(server.reattachPlayer('old', 'new')).toBeNull();
+  });
+});
+
+describe('spawning', () => {
+  it('announces new players', () => {
+    const server = createServer();
+    const spawn = jest.fn();
+    server.on('playerSpawn', spawn);
+
+    const player = server.addPlayer('a', 'Alpha');
+
+    expect(spawn).toHaveBeenCalledWith('a', player);
+    expect(player.mass).toBe(100);
+    expect(player.x).toBeGreaterThanOrEqual(0);
+    expect(player.x).toBeLessThanOrEqual(WORLD_SIZE);
+  });
+});
+
+describe('area of interest', () => {
+  it('widens the view and its margin as the player grows', () => {
+    const server = createServer();
+    server.setFoodCount(0);
+    const big = server.addPlayer('big', 'Big');
+    const near = server.addPlayer('near', 'Near');
+    const far = server.addPlayer('far', 'Far');
+    // Radius 80 doubles the view: (960 + 200) * 2 = 2320 either side
+    place(server, big, 500, 2500, 1600);
+    place(server, near, 2830, 2500, 100);
+    place(server, far, 3100, 2500, 100);
+
+    const visible = server.getSnapshots().get('big')?.players.map((player) => player.name);
+    expect(visible).toContain('Near');
+    expect(visible).not.toContain('Far');
+  });
+
+  it("leaves other players' socket ids and movement internals out of snapshots", () => {
+    const server = createServer();
+    const alpha = server.addPlayer('socket-alpha', 'Alpha');
+    const beta = server.addPlayer('socket-beta', 'Beta');
+    place(server, alpha, 1000, 1000);
+    place(server, beta, 1100, 1000);
+
+    const snapshot = server.getSnapshots().get('socket-alpha');
+    const json = JSON.stringify(snapshot);
+    expect(json).not.toContain('socket-beta');
+    expect(json).not.toContain('socket-alpha');
+    expect(snapshot?.players.find((player) => player.id === beta.id)?.cells[0]).toEqual({
+      id: beta.cells[0].id,
+      x: 1100,
+      y: 1000,
+      radius: beta.cells[0].radius,
+      mass: beta.cells[0].mass
+    });
+    expect(json).not.toContain('boostX');
+    expect(json).not.toContain('mergeAt');
+  });
+});
+
+describe('leaderboard', () => {
+  it('lists the heaviest players with their positions', () => {
+    const server = createServer();
+    const light = server.addPlayer('light', 'Light');
+    const heavy = server.addPlayer('heavy', 'Heavy');
+    place(server, light, 1000, 2000, 100);
+    place(server, heavy, 3000, 4000, 500);
+
+    expect(server.getLeaderboard()).toEqual([
+      { id: heavy.id, name: 'Heavy', mass: 500, bot: false, x: 3000, y: 4000 },
+      { id: light.id, name: 'Light', mass: 100, bot: false, x: 1000, y: 2000 }
+    ]);
+  });
+});
+
+describe('teams', () => {
+  it('balances players across the teams as they join', () => {
+    const server = createEmptyServer(createClock(), { mode: 'teams', teamCount: 2 });
+    const teamIds = ['a', 'b', 'c', 'd'].map((socketId) => server.addPlayer(socketId, socketId).teamId);
+
+    expect(teamIds).toEqual([0, 1, 0, 1]);
+    expect(server.getTeamScores().map((score) => score.players)).toEqual([2, 2]);
+  });
+
+  it("doesn't let teammates eat each other, only the other team", () => {
+    const server = createEmptyServer(createClock(), { mode: 'teams', teamCount: 2 });
+    const big = server.addPlayer('a', 'Big');
+    const opponent = server.addPlayer('b', 'Opponent');
+    const teammate = server.addPlayer('c', 'Teammate');
+    place(server, big, 2500, 2500, 400);
+    place(server, teammate, 2510, 2500, 100);
+    place(server, opponent, 2490, 2500, 100);
+
+    server.checkCollisions();
+
+    expect(server.getPlayer('c')).toBe(teammate);
+    expect(server.getPlayer('b')).toBeUndefined();
+    expect(big.mass).toBe(500);
+  });
+});
+
+describe('bots', () => {
+  it('tops the world up to the population and makes room as humans join and leave', () => {
+    const clock = createClock();
+    const server = createEmptyServer(clock);
+    server.configureBots(4, 'normal');
+    expect(server.getBotCount()).toBe(4);
+    expect(server.getPlayerCount()).toBe(0);
+
+    server.addPlayer('a', 'Alpha');
+    server.addPlayer('b', 'Beta');
+    run(server, clock, 1);
+    expect(server.getBotCount()).toBe(2);
+    expect(server.getPlayerCount()).toBe(2);
+
+    server.removePlayer('a');
+    run(server, clock, 1);
+    expect(server.getBotCount()).toBe(3);
+
+    for (const socketId of ['c', 'd', 'e', 'f']) {
+      server.addPlayer(socketId, socketId);
+    }
+    run(server, clock, 1);
+    expect(server.getBotCount()).toBe(0);
+  });
+
+  it('leaves bots out of the snapshots but marks them on the leaderboard', () => {
+    const server = createEmptyServer();
+    server.configureBots(3, 'easy');
+    server.addPlayer('a', 'Alpha');
+
+    expect(Array.from(server.getSnapshots().keys())).toEqual(['a']);
+    expect(server.getLeaderboard().filter((entry) => entry.bot)).toHaveLength(3);
+  });
+
+  it("judges prey by the arena's eat ratio", () => {
+    const server = createEmptyServer();
+    const player = server.addPlayer('a', 'Alpha');
+    const other = server.addPlayer('b', 'Beta');
+    place(server, player, 1000, 1000, 130);
+    place(server, other, 1100, 1000, 100);
+    // A fixed random source takes the aim error out and makes bots wander to the world centre
+    const think = (eatRatio: number) => new Bot('normal', 5000, 5000, eatRatio, () => 0.5).think(player, [], other.cells);
+
+    expect(think(1.1).target).toMatchObject({ x: 1100, y: 1000 });
+    expect(think(1.5).target).toMatchObject({ x: 2500, y: 2500 });
+  });
+});
+
+describe('spectators', () => {
+  it("aren't counted as players but get snapshots that follow the leader", () => {
+    const server = createEmptyServer();
+    const leader = server.addPlayer('a', 'Alpha');
+    const other = server.addPlayer('b', 'Beta');
+    place(server, leader, 1000, 1000, 400);
+    place(server, other, 4000, 4000, 100);
+
+    server.addSpectator('s');
+
+    expect(server.getPlayerCount()).toBe(2);
+    expect(server.isSpectator('s')).toBe(true);
+    const snapshot = server.getSnapshots().get('s');
+    expect(snapshot?.totalPlayers).toBe(2);
+    expect(snapshot?.players.map((player) => player.name)).toEqual(['Alpha']);
+  });
+
+  it('takes the player out of the world when it starts spectating', () => {
+    const server = createEmptyServer();
+    server.addPlayer('a', 'Alpha');
+
+    server.addSpectator('a');
+
+    expect(server.getPlayer('a')).toBeUndefined();
+    expect(server.getPlayerCount()).toBe(0);
+    expect(server.getLeaderboard()).toEqual([]);
+  });
+});
@@ -0,0 +1,85 @@
+import { createInviteCode, INVITE_CODE_PATTERN, Party, partyArenaId } from '../src/party';
+import type { PartySettings } from '../src/types/serverTypes';
+
+const SETTINGS: PartySettings = { mode: 'ffa', preset: 'classic', mapSize: 5000, foodCount: 1000 };
+const ADDRESS = '203.0.113.1';
+
+describe('createInviteCode', () => {
+  it('makes short codes without lookalike characters', () => {
+    for (let i = 0; i < 50; i++) {
+      const code = createInviteCode();
+      expect(code).toMatch(INVITE_CODE_PATTERN);
+      expect(code).not.toMatch(/[01IO]/);
+    }
+  });
+
+  it('gives every party its own arena id', () => {
+    expect(partyArenaId('ABC234')).toBe('party-ABC234');
+  });
+});
+
+describe('Party', () => {
+  it('makes the first member the host and numbers members as they join', () => {
+    const party = new Party('ABC234', SETTINGS);
+    party.addMember('a', ADDRESS);
+    party.addMember('b', ADDRESS);
+    party.addMember('a', ADDRESS);
+
+    expect(party.isHost('a')).toBe(true);
+    expect(party.isHost('b')).toBe(false);
+    expect(party.getMemberId('a')).toBe(1);
+    expect(party.getMemberId('b')).toBe(2);
+    expect(party.findSocketId(2)).toBe('b');
+    expect(party.findSocketId(3)).toBeUndefined();
+  });
+
+  it('hands the host role to the longest-standing member', () => {
+    const party = new Party('ABC234', SETTINGS);
+    for (const socketId of ['a', 'b', 'c']) {
+      party.addMember(socketId, ADDRESS);
+    }
+
+    party.removeMember('a');
+    expect(party.isHost('b')).toBe(true);
+
+    party.removeMember('b');
+    party.removeMember('c');
+    party.addMember('d', ADDRESS);
+    expect(party.isHost('d')).toBe(true);
+  });
+
+  it('keeps number, place and host role for a reconnected member', () => {
+    const party = new Party('ABC234', SETTINGS);
+    party.addMember('a', ADDRESS);
+    party.addMember('b', ADDRESS);
+
+    party.replaceMember('a', 'a2');
+
+    expect(party.getSocketIds()).toEqual(['a2', 'b']);
+    expect(party.getMemberId('a2')).toBe(1);
+    expect(party.isHost('a2')).toBe(true);
+  });
+
+  it('remembers the address of kicked members', () => {
+    const party = new Party('ABC234', SETTINGS);
+    party.addMember('a', ADDRESS);
+    party.addMember('b', '203.0.113.2');
+
+    party.kick('b');
+
+    expect(party.getSocketIds()).toEqual(['a']);
+    expect(party.isKicked('203.0.113.2')).toBe(true);
+    expect(party.isKicked(ADDRESS)).toBe(false);
+  });
+
+  it('kicks a reconnected member by the address it first joined from', () => {
+    const party = new Party('ABC234', SETTINGS);
+    party.addMember('a', ADDRESS);
+    party.addMember('b', '203.0.113.2');
+
+    party.replaceMember('b', 'b2');
+    party.kick('b2');
+
+    expect(party.isKicked('203.0.113.2')).toBe(true);
+  });
+});
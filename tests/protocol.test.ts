@@ -0,0 +1,164 @@
+import { decodeMessage, decodeSnapshot, encodeJsonMessage, encodeSnapshot, MessageType } from '../src/public/js/protocol';
+import type { GameSnapshot } from '../src/types/serverTypes';
+
+const WORLD_WIDTH = 5000;
+const WORLD_HEIGHT = 3000;
+const TS = 1_700_000_000_000;
+
+// One quantization step of a 16 bit position across the world
+const X_STEP = WORLD_WIDTH / 0xffff;
+const Y_STEP = WORLD_HEIGHT / 0xffff;
+
+function expectClose(actual: number, expected: number, tolerance: number): void {
+  expect(Math.abs(actual - expected)).toBeLessThanOrEqual(tolerance);
+}
+
+function createSnapshot(): GameSnapshot {
+  const cell = (id: number, x: number, y: number, mass: number) => ({
+    id,
+    x,
+    y,
+    radius: Math.sqrt(mass) * 2,
+    mass
+  });
+
+  return {
+    ts: TS,
+    lastProcessedInput: 4_000_000_000,
+    players: [
+      {
+        id: 1,
+        x: 1234.56,
+        y: 789.01,
+        radius: 28.28,
+        color: '#FF6B6B',
+        name: 'Blob',
+        mass: 200.5,
+        teamId: 1,
+        effects: [{ type: 'magnet', expiresAt: TS + 4321 }],
+        cells: [cell(10, 1230.25, 785.5, 150.25), cell(11, 1260, 800, 50.25)]
+      },
+      {
+        id: 2,
+        x: 4999,
+        y: 0,
+        radius: 20,
+        // Outside the palette, so it goes out as raw RGB
+        color: '#123456',
+        name: 'Ünïcode 🙂',
+        mass: 100,
+        teamId: null,
+        effects: [],
+        cells: [cell(12, 4999, 0, 100)]
+      }
+    ],
+    foodAdded: [
+      { id: 100, x: 10.5, y: 2999.5, radius: 5, color: '#4ECDC4', mass: 1 },
+      { id: 101, x: 2500, y: 1500, radius: 5.25, color: '#96CEB4', mass: 1 }
+    ],
+    foodRemoved: [7, 8, 70000],
+    ejected: [{ id: 200, x: 300, y: 400, radius: 12.5, color: '#F7DC6F', mass: 12 }],
+    viruses: [{ id: 300, x: 1200, y: 800, radius: 24.5, mass: 150 }],
+    powerUps: [{ id: 400, type: 'doubler', x: 2500, y: 2500, radius: 18 }],
+    leaderboard: [
+      { id: 1, name: 'Blob', mass: 200.5, bot: false, x: 1234.56, y: 789.01 },
+      { id: 3, name: 'Bot 3', mass: 150.75, bot: true, x: 42, y: 2900 }
+    ],
+    teams: [
+      { id: 0, name: 'Red', color: '#FF6B6B', mass: 1234.5, players: 3 },
+      { id: 1, name: 'Green', color: '#82E0AA', mass: 987.25, players: 2 }
+    ],
+    totalPlayers: 5
+  };
+}
+
+describe('snapshots', () => {
+  const snapshot = createSnapshot();
+  const decoded = decodeSnapshot(encodeSnapshot(snapshot, WORLD_WIDTH, WORLD_HEIGHT));
+
+  it('keeps the header', () => {
+    expect(decoded.ts).toBe(TS);
+    expect(decoded.lastProcessedInput).toBe(snapshot.lastProcessedInput);
+    expect(decoded.totalPlayers).toBe(5);
+  });
+
+  it('round-trips players and their cells', () => {
+    expect(decoded.players).toHaveLength(2);
+    snapshot.players.forEach((player, i) => {
+      const other = decoded.players[i];
+      expect(other).toMatchObject({ id: player.id, name: player.name, color: player.color, teamId: player.teamId });
+      expect(other.mass).toBeCloseTo(player.mass, 3);
+      expectClose(other.x, player.x, X_STEP);
+      expectClose(other.y, player.y, Y_STEP);
+      expectClose(other.radius, player.radius, 0.125);
+
+      expect(other.cells).toHaveLength(player.cells.length);
+      player.cells.forEach((cell, j) => {
+        expect(other.cells[j].id).toBe(cell.id);
+        expectClose(other.cells[j].x, cell.x, X_STEP);
+        expectClose(other.cells[j].y, cell.y, Y_STEP);
+        expectClose(other.cells[j].radius, cell.radius, 0.125);
+        expect(other.cells[j].mass).toBeCloseTo(cell.mass, 3);
+      });
+    });
+  });
+
+  it('sends effects as the time left at the snapshot', () => {
+    expect(decoded.players[0].effects).toEqual([{ type: 'magnet', expiresAt: TS + 4321 }]);
+    expect(decoded.players[1].effects).toEqual([]);
+  });
+
+  it('round-trips food, ejected mass, viruses and power-ups', () => {
+    snapshot.foodAdded.forEach((food, i) => {
+      expect(decoded.foodAdded[i]).toMatchObject({ id: food.id, color: food.color, radius: food.radius });
+      expectClose(decoded.foodAdded[i].x, food.x, X_STEP);
+      expectClose(decoded.foodAdded[i].y, food.y, Y_STEP);
+    });
+    expect(decoded.foodRemoved).toEqual(snapshot.foodRemoved);
+    expect(decoded.ejected[0]).toMatchObject({ id: 200, color: '#F7DC6F', radius: 12.5 });
+    expect(decoded.viruses[0]).toMatchObject({ id: 300, radius: 24.5, mass: 150 });
+    expect(decoded.powerUps[0]).toMatchObject({ id: 400, type: 'doubler', radius: 18 });
+    expectClose(decoded.powerUps[0].x, 2500, X_STEP);
+  });
+
+  it('round-trips the leaderboard and team scores', () => {
+    snapshot.leaderboard.forEach((entry, i) => {
+      expect(decoded.leaderboard[i]).toMatchObject({ id: entry.id, name: entry.name, bot: entry.bot });
+      expect(decoded.leaderboard[i].mass).toBeCloseTo(entry.mass, 3);
+      expectClose(decoded.leaderboard[i].x, entry.x, X_STEP);
+      expectClose(decoded.leaderboard[i].y, entry.y, Y_STEP);
+    });
+    expect(decoded.teams).toEqual(snapshot.teams);
+  });
+
+  it('is much smaller than the same snapshot as JSON', () => {
+    const encoded = encodeSnapshot(snapshot, WORLD_WIDTH, WORLD_HEIGHT);
+    expect(encoded.byteLength * 2).toBeLessThan(Buffer.byteLength(JSON.stringify(snapshot)));
+  });
+});
+
+describe('messages', () => {
+  it('tells snapshots and JSON messages apart', () => {
+    const snapshot = decodeMessage(encodeSnapshot(createSnapshot(), WORLD_WIDTH, WORLD_HEIGHT));
+    expect(snapshot.type).toBe(MessageType.SNAPSHOT);
+    expect(snapshot.value.players[0].name).toBe('Blob');
+
+    const event = { type: 'death', ts: TS, playerId: 1, name: 'Blob', eatenBy: 'Bot 3', finalMass: 200 };
+    expect(decodeMessage(encodeJsonMessage(MessageType.REPLAY_EVENT, event))).toEqual({
+      type: MessageType.REPLAY_EVENT,
+      value: event
+    });
+  });
+
+  it('reads messages out of a larger buffer', () => {
+    const message = new Uint8Array(encodeJsonMessage(MessageType.REPLAY_HEADER, { version: 3 }));
+    const padded = new Uint8Array(message.length + 8);
+    padded.set(message, 4);
+
+    expect(decodeMessage(padded.subarray(4, 4 + message.length)).value).toEqual({ version: 3 });
+  });
+
+  it('refuses to decode something that is not a snapshot', () => {
+    expect(() => decodeSnapshot(encodeJsonMessage(MessageType.REPLAY_EVENT, {}))).toThrow(/Unknown message type/);
+  });
+});
@@ -0,0 +1,37 @@
+import { RateLimiter } from '../src/rateLimiter';
+
+describe('RateLimiter', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('allows a burst up to the capacity, then refuses', () => {
+    const limiter = new RateLimiter(3, 1);
+
+    expect([1, 2, 3, 4].map(() => limiter.tryConsume())).toEqual([true, true, true, false]);
+  });
+
+  it('refills at the given rate', () => {
+    const limiter = new RateLimiter(2, 10);
+    limiter.tryConsume();
+    limiter.tryConsume();
+
+    jest.advanceTimersByTime(50);
+    expect(limiter.tryConsume()).toBe(false);
+    jest.advanceTimersByTime(50);
+    expect(limiter.tryConsume()).toBe(true);
+    expect(limiter.tryConsume()).toBe(false);
+  });
+
+  it('never saves up more than the capacity', () => {
+    const limiter = new RateLimiter(2, 10);
+
+    jest.advanceTimersByTime(60_000);
+
+    expect([1, 2, 3].map(() => limiter.tryConsume())).toEqual([true, true, false]);
+  });
+});
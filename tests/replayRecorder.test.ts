@@ -0,0 +1,102 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { gunzipSync } from 'zlib';
+import { decodeMessage, decodeSnapshot, MessageType } from '../src/public/js/protocol';
+import { getReplayPath, listReplays, REPLAY_VERSION, ReplayRecorder } from '../src/replayRecorder';
+import type { GameSnapshot, ReplayHeader } from '../src/types/serverTypes';
+
+const HEADER: ReplayHeader = {
+  version: REPLAY_VERSION,
+  arenaId: 'arena-1',
+  arenaName: 'Arena 1',
+  mode: 'ffa',
+  teams: [],
+  worldWidth: 5000,
+  worldHeight: 5000,
+  tickRate: 50,
+  startedAt: 1_700_000_000_000
+};
+
+const SNAPSHOT: GameSnapshot = {
+  ts: HEADER.startedAt + 50,
+  lastProcessedInput: 0,
+  players: [],
+  foodAdded: [],
+  foodRemoved: [],
+  ejected: [],
+  viruses: [],
+  powerUps: [],
+  leaderboard: [],
+  teams: [],
+  totalPlayers: 0
+};
+
+// Splits a replay file back into its length-prefixed messages
+function readRecords(file: string): ArrayBuffer[] {
+  const data = gunzipSync(fs.readFileSync(file));
+  const records: ArrayBuffer[] = [];
+  for (let offset = 0; offset < data.length; ) {
+    const length = data.readUInt32LE(offset);
+    offset += 4;
+    records.push(new Uint8Array(data.subarray(offset, offset + length)).buffer);
+    offset += length;
+  }
+  return records;
+}
+
+describe('ReplayRecorder', () => {
+  let dir: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replays-'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes the header, events and snapshots in order and lists the finished replay', async () => {
+    const recorder = new ReplayRecorder(dir, HEADER);
+    recorder.writeEvent({ type: 'join', ts: HEADER.startedAt, playerId: 1, name: 'Blob' });
+    recorder.writeSnapshot(SNAPSHOT);
+    await recorder.close();
+
+    const file = getReplayPath(dir, recorder.id);
+    expect(file).not.toBeNull();
+    const [header, event, snapshot] = readRecords(file as string);
+    expect(decodeMessage(header)).toEqual({ type: MessageType.REPLAY_HEADER, value: HEADER });
+    expect(decodeMessage(event).value).toMatchObject({ type: 'join', name: 'Blob' });
+    expect(decodeSnapshot(snapshot).ts).toBe(SNAPSHOT.ts);
+
+    const replays = await listReplays(dir);
+    expect(replays).toHaveLength(1);
+    expect(replays[0]).toMatchObject({ id: recorder.id, arenaId: 'arena-1', players: ['Blob'] });
+  });
+
+  it('throws from the constructor when the directory cannot be created', () => {
+    const blocker = path.join(dir, 'not-a-dir');
+    fs.writeFileSync(blocker, '');
+
+    expect(() => new ReplayRecorder(path.join(blocker, 'replays'), HEADER)).toThrow();
+  });
+
+  it('marks itself failed instead of crashing when the file cannot be written', async () => {
+    // A directory where the replay file should go makes the open fail once the stream starts
+    fs.mkdirSync(path.join(dir, `${HEADER.arenaId}-${HEADER.startedAt}.replay.gz`));
+
+    const recorder = new ReplayRecorder(dir, HEADER);
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    recorder.writeSnapshot(SNAPSHOT);
+    await recorder.close();
+
+    expect(recorder.failed).toBe(true);
+    expect(await listReplays(dir)).toEqual([]);
+  });
+
+  it('rejects replay ids that could leave the directory', () => {
+    expect(getReplayPath(dir, '../secret')).toBeNull();
+  });
+});
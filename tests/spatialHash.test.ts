@@ -0,0 +1,66 @@
+import { type SpatialEntity, SpatialHash } from '../src/spatialHash';
+
+function ids(entities: SpatialEntity[]): number[] {
+  return entities.map((entity) => entity.id).sort((a, b) => a - b);
+}
+
+describe('SpatialHash', () => {
+  it('finds entities in range across bucket borders', () => {
+    const hash = new SpatialHash<SpatialEntity>(100);
+    // Either side of the border at x = 100, and one straddling it
+    hash.insert({ id: 1, x: 95, y: 50, radius: 2 });
+    hash.insert({ id: 2, x: 105, y: 50, radius: 2 });
+    hash.insert({ id: 3, x: 100, y: 150, radius: 30 });
+    hash.insert({ id: 4, x: 450, y: 450, radius: 2 });
+
+    expect(ids(hash.query(100, 50, 10))).toEqual([1, 2]);
+    expect(ids(hash.query(60, 170, 15))).toEqual([3]);
+    expect(ids(hash.queryRect(0, 0, 200, 200))).toEqual([1, 2, 3]);
+    expect(hash.query(300, 300, 10)).toEqual([]);
+  });
+
+  it('returns an entity spanning several buckets once', () => {
+    const hash = new SpatialHash<SpatialEntity>(100);
+    hash.insert({ id: 1, x: 200, y: 200, radius: 150 });
+
+    expect(ids(hash.queryRect(0, 0, 400, 400))).toEqual([1]);
+  });
+
+  it('handles coordinates slightly outside the world', () => {
+    const hash = new SpatialHash<SpatialEntity>(100);
+    hash.insert({ id: 1, x: -20, y: -20, radius: 5 });
+
+    expect(ids(hash.query(0, 0, 30))).toEqual([1]);
+  });
+
+  it('follows an entity that moves or grows', () => {
+    const hash = new SpatialHash<SpatialEntity>(100);
+    const entity = { id: 1, x: 50, y: 50, radius: 5 };
+    hash.insert(entity);
+
+    entity.x = 950;
+    hash.update(entity);
+    expect(hash.query(50, 50, 10)).toEqual([]);
+    expect(ids(hash.query(950, 50, 10))).toEqual([1]);
+
+    entity.radius = 200;
+    hash.update(entity);
+    expect(ids(hash.query(760, 50, 5))).toEqual([1]);
+    expect(hash.size).toBe(1);
+  });
+
+  it('forgets removed entities', () => {
+    const hash = new SpatialHash<SpatialEntity>(100);
+    const entity = { id: 1, x: 50, y: 50, radius: 5 };
+    hash.insert(entity);
+    hash.insert({ id: 2, x: 60, y: 60, radius: 5 });
+
+    hash.remove(entity);
+    expect(hash.has(1)).toBe(false);
+    expect(ids(hash.query(50, 50, 20))).toEqual([2]);
+
+    hash.clear();
+    expect(hash.size).toBe(0);
+    expect(hash.query(50, 50, 20)).toEqual([]);
+  });
+});
@@ -0,0 +1,97 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { StatsStore } from '../src/statsStore';
+import type { SessionRecord } from '../src/types/serverTypes';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createSession(overrides: Partial<SessionRecord>): SessionRecord {
+  return {
+    name: 'Blob',
+    peakMass: 100,
+    finalMass: 100,
+    timeAlive: 60_000,
+    playersEaten: 0,
+    foodEaten: 0,
+    killedBy: null,
+    endedAt: Date.now(),
+    arenaId: 'arena-1',
+    ...overrides
+  };
+}
+
+// Appends happen in the background, this waits until the file holds the expected lines
+async function waitForLines(file: string, count: number): Promise<void> {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (fs.existsSync(file) && fs.readFileSync(file, 'utf8').trim().split('\n').length >= count) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`${file} never reached ${count} lines`);
+}
+
+describe('StatsStore', () => {
+  let dir: string;
+  let file: string;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stats-'));
+    file = path.join(dir, 'nested', 'sessions.jsonl');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps recorded sessions across a restart', async () => {
+    const store = new StatsStore(file);
+    store.record(createSession({ name: 'Alpha', peakMass: 300 }));
+    store.record(createSession({ name: 'Beta', peakMass: 500 }));
+    await waitForLines(file, 2);
+
+    const reloaded = new StatsStore(file);
+    expect(reloaded.getHighscores('all').map((session) => session.name)).toEqual(['Beta', 'Alpha']);
+  });
+
+  it('skips a half-written last line', () => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, `${JSON.stringify(createSession({ name: 'Alpha' }))}\n{"name":"Be`);
+
+    expect(new StatsStore(file).getHighscores('all').map((session) => session.name)).toEqual(['Alpha']);
+  });
+
+  it('limits high scores to the period', async () => {
+    const store = new StatsStore(file);
+    store.record(createSession({ name: 'Today', peakMass: 200 }));
+    store.record(createSession({ name: 'Last week', peakMass: 900, endedAt: Date.now() - 3 * DAY }));
+    store.record(createSession({ name: 'Long ago', peakMass: 5000, endedAt: Date.now() - 30 * DAY }));
+
+    expect(store.getHighscores('day').map((session) => session.name)).toEqual(['Today']);
+    expect(store.getHighscores('week').map((session) => session.name)).toEqual(['Last week', 'Today']);
+    expect(store.getHighscores('all', 1).map((session) => session.name)).toEqual(['Long ago']);
+    await waitForLines(file, 3);
+  });
+
+  it('adds up every session played under a name', async () => {
+    const store = new StatsStore(file);
+    store.record(createSession({ name: 'blob', peakMass: 300, timeAlive: 1000, playersEaten: 2, endedAt: 1000 }));
+    store.record(createSession({ name: 'Blob ', peakMass: 200, timeAlive: 5000, foodEaten: 40, endedAt: 2000 }));
+    store.record(createSession({ name: 'Other' }));
+
+    expect(store.getPlayerStats('BLOB')).toMatchObject({
+      name: 'Blob ',
+      games: 2,
+      bestPeakMass: 300,
+      bestTimeAlive: 5000,
+      totalTimeAlive: 6000,
+      totalPlayersEaten: 2,
+      totalFoodEaten: 40,
+      lastPlayedAt: 2000
+    });
+    expect(store.getPlayerStats('nobody')).toBeNull();
+    await waitForLines(file, 3);
+  });
+});
@@ -0,0 +1,281 @@
+import { EventEmitter } from 'events';
+import type { Socket } from 'socket.io';
+import {
+  INVALID_PAYLOAD_LIMIT,
+  MAX_COORDINATE,
+  normalizeName,
+  onValidated,
+  parseChat,
+  parseCreateParty,
+  parseInviteCode,
+  parseJoin,
+  parseJoinParty,
+  parseMemberId,
+  parseMove,
+  parseNoPayload,
+  parsePartySettings,
+  parsePosition,
+  parseResumeToken,
+  parseSpectate,
+  parseSpectateFollow
+} from '../src/validation';
+
+// Just enough of a Socket.IO socket for onValidated: events, data and disconnect
+function createSocket(): Socket & { disconnect: jest.Mock } {
+  const socket = new EventEmitter() as unknown as Socket & { disconnect: jest.Mock };
+  Object.assign(socket, {
+    id: 'test-socket',
+    data: { invalidPayloads: 0, joined: false },
+    disconnect: jest.fn()
+  });
+  return socket;
+}
+
+const MALFORMED = [undefined, null, 42, 'text', true, [], {}, NaN, () => {}];
+
+beforeEach(() => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('normalizeName', () => {
+  it('trims and collapses whitespace', () => {
+    expect(normalizeName('  Big   Blob ')).toBe('Big Blob');
+  });
+
+  it('folds full-width letters into plain ones', () => {
+    expect(normalizeName('Ｂｌｏｂ')).toBe('Blob');
+  });
+
+  it('strips zero-width and bidi control characters', () => {
+    expect(normalizeName('Bl\u200Bob\u202E')).toBe('Blob');
+  });
+
+  it('falls back to Anonymous for an empty name', () => {
+    expect(normalizeName('   ')).toBe('Anonymous');
+  });
+
+  it('accepts names from other scripts and emoji', () => {
+    expect(normalizeName('Ñandú 🍩')).toBe('Ñandú 🍩');
+    expect(normalizeName('細胞')).toBe('細胞');
+  });
+
+  it('rejects names longer than 15 characters', () => {
+    expect(normalizeName('a'.repeat(16))).toBeNull();
+    expect(normalizeName('a'.repeat(10_000))).toBeNull();
+  });
+
+  it('rejects control characters', () => {
+    expect(normalizeName('Blob\u0000')).toBeNull();
+    expect(normalizeName('Bl\u0007ob')).toBeNull();
+  });
+
+  it.each(MALFORMED.filter((value) => typeof value !== 'string'))('rejects %p', (value) => {
+    expect(normalizeName(value)).toBeNull();
+  });
+});
+
+describe('parseJoin', () => {
+  it('accepts a name with or without a room id', () => {
+    expect(parseJoin('Blob', 'arena-2')).toEqual(['Blob', 'arena-2']);
+    expect(parseJoin('Blob', undefined)).toEqual(['Blob', undefined]);
+    expect(parseJoin('Blob', null)).toEqual(['Blob', undefined]);
+    expect(parseJoin('Blob', '')).toEqual(['Blob', undefined]);
+  });
+
+  it.each([42, {}, ['arena-1'], '../../etc', 'a'.repeat(33), '<script>'])('rejects room id %p', (roomId) => {
+    expect(parseJoin('Blob', roomId)).toBeNull();
+  });
+
+  it('rejects a malformed name', () => {
+    expect(parseJoin({ name: 'Blob' }, 'arena-1')).toBeNull();
+  });
+});
+
+describe('parseSpectate', () => {
+  it('accepts an optional room id', () => {
+    expect(parseSpectate(undefined)).toEqual([undefined]);
+    expect(parseSpectate('arena-1')).toEqual(['arena-1']);
+  });
+
+  it('rejects a non-string room id', () => {
+    expect(parseSpectate({ id: 'arena-1' })).toBeNull();
+  });
+});
+
+describe('parseSpectateFollow', () => {
+  it('accepts a player id or null', () => {
+    expect(parseSpectateFollow(7)).toEqual([7]);
+    expect(parseSpectateFollow(null)).toEqual([null]);
+  });
+
+  it.each([undefined, -1, 1.5, NaN, Infinity, '7', {}, []])('rejects %p', (value) => {
+    expect(parseSpectateFollow(value)).toBeNull();
+  });
+});
+
+describe('parseMove', () => {
+  it('accepts a target with a sequence number', () => {
+    expect(parseMove({ x: 120.5, y: -40, seq: 3 })).toEqual([{ x: 120.5, y: -40, seq: 3 }]);
+  });
+
+  it('drops fields it does not know', () => {
+    expect(parseMove({ x: 1, y: 2, seq: 3, speed: 1000 })).toEqual([{ x: 1, y: 2, seq: 3 }]);
+  });
+
+  it.each([
+    { x: NaN, y: 0, seq: 1 },
+    { x: 0, y: Infinity, seq: 1 },
+    { x: '100', y: 0, seq: 1 },
+    { x: 0, y: null, seq: 1 },
+    { x: MAX_COORDINATE + 1, y: 0, seq: 1 },
+    { x: 0, y: 0 },
+    { x: 0, y: 0, seq: -1 },
+    { x: 0, y: 0, seq: 1.5 },
+    { x: 0, y: 0, seq: 2 ** 32 },
+    ...MALFORMED
+  ])('rejects %p', (data) => {
+    expect(parseMove(data)).toBeNull();
+  });
+});
+
+describe('parsePosition', () => {
+  it('accepts finite coordinates', () => {
+    expect(parsePosition({ x: 10, y: 20 })).toEqual([{ x: 10, y: 20 }]);
+  });
+
+  it.each([{ x: 10 }, { x: NaN, y: 0 }, { x: 0, y: -MAX_COORDINATE - 1 }, ...MALFORMED])('rejects %p', (data) => {
+    expect(parsePosition(data)).toBeNull();
+  });
+});
+
+describe('parseResumeToken', () => {
+  it('accepts a token as the server issues them', () => {
+    const token = '0123456789abcdef0123456789abcdef';
+    expect(parseResumeToken(token)).toEqual([token]);
+  });
+
+  it.each(['0123456789ABCDEF0123456789ABCDEF', 'abc', 'g'.repeat(32), 'a'.repeat(33), ...MALFORMED])(
+    'rejects %p',
+    (token) => {
+      expect(parseResumeToken(token)).toBeNull();
+    }
+  );
+});
+
+describe('parseChat', () => {
+  it('accepts text', () => {
+    expect(parseChat('hello')).toEqual(['hello']);
+  });
+
+  it.each([42, {}, ['hello'], null, 'x'.repeat(10_000)])('rejects %p', (text) => {
+    expect(parseChat(text)).toBeNull();
+  });
+});
+
+describe('parseInviteCode', () => {
+  it('accepts codes in either case', () => {
+    expect(parseInviteCode('ABC234')).toBe('ABC234');
+    expect(parseInviteCode(' abc234 ')).toBe('ABC234');
+  });
+
+  it.each([...MALFORMED, 'ABC23', 'ABC2345', 'ABC10O', '../etc'])('rejects %p', (code) => {
+    expect(parseInviteCode(code)).toBeNull();
+  });
+});
+
+describe('party payloads', () => {
+  const settings = { mode: 'teams', preset: 'huge-map', mapSize: 8000, foodCount: 1500 };
+
+  it('takes the name along when creating or joining a party', () => {
+    expect(parseCreateParty('  Blob ')).toEqual(['Blob']);
+    expect(parseJoinParty('abc234', 'Blob')).toEqual(['ABC234', 'Blob']);
+    expect(parseJoinParty('abc234', {})).toBeNull();
+    expect(parseJoinParty('nope', 'Blob')).toBeNull();
+  });
+
+  it('accepts settings within the limits and drops anything extra', () => {
+    expect(parsePartySettings({ ...settings, admin: true })).toEqual([settings]);
+  });
+
+  it.each([
+    { mode: 'battle' },
+    { preset: 'Huge Map' },
+    { mapSize: 500 },
+    { mapSize: 5000.5 },
+    { foodCount: 100000 },
+    { foodCount: '100' }
+  ])('rejects settings with %p', (change) => {
+    expect(parsePartySettings({ ...settings, ...change })).toBeNull();
+  });
+
+  it.each(MALFORMED)('rejects settings %p', (data) => {
+    expect(parsePartySettings(data)).toBeNull();
+  });
+
+  it('accepts member ids as the server hands them out', () => {
+    expect(parseMemberId(3)).toEqual([3]);
+    expect(parseMemberId(0)).toBeNull();
+    expect(parseMemberId('3')).toBeNull();
+  });
+});
+
+describe('onValidated', () => {
+  it('passes parsed arguments to the handler', () => {
+    const socket = createSocket();
+    const handler = jest.fn();
+    onValidated(socket, 'join', parseJoin, handler);
+
+    socket.emit('join', '  Blob ', 'arena-1');
+
+    expect(handler).toHaveBeenCalledWith('Blob', 'arena-1');
+    expect(socket.data.invalidPayloads).toBe(0);
+  });
+
+  it('counts malformed payloads without calling the handler', () => {
+    const socket = createSocket();
+    socket.data.joined = true;
+    const handler = jest.fn();
+    onValidated(socket, 'move', parseMove, handler, { requiresJoin: true });
+
+    socket.emit('move', { x: NaN, y: 0, seq: 1 });
+    socket.emit('move', 'garbage');
+    socket.emit('move');
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(socket.data.invalidPayloads).toBe(3);
+    expect(socket.disconnect).not.toHaveBeenCalled();
+  });
+
+  it('rejects inputs before join', () => {
+    const socket = createSocket();
+    const handler = jest.fn();
+    onValidated(socket, 'split', parseNoPayload, handler, { requiresJoin: true });
+
+    socket.emit('split');
+    expect(handler).not.toHaveBeenCalled();
+    expect(socket.data.invalidPayloads).toBe(1);
+
+    socket.data.joined = true;
+    socket.emit('split');
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  it('disconnects a socket that keeps sending invalid payloads', () => {
+    const socket = createSocket();
+    const handler = jest.fn();
+    onValidated(socket, 'chat', parseChat, handler);
+
+    for (let i = 0; i < INVALID_PAYLOAD_LIMIT - 1; i++) {
+      socket.emit('chat', { text: 'spam' });
+    }
+    expect(socket.disconnect).not.toHaveBeenCalled();
+
+    socket.emit('chat', { text: 'spam' });
+    expect(socket.disconnect).toHaveBeenCalledWith(true);
+    expect(handler).not.toHaveBeenCalled();
+  });
+});